@@ -7,9 +7,13 @@ class RiderApp {
     constructor() {
         try {
             this.filesCache = [];
+            this.fileResults = new Map();
             this.extractedText = '';
+            this.rawText = '';
             this.parsedData = null;
             this.isProcessing = false;
+            this.processingJob = null;
+            this.parallelOCR = CONFIG.ocr.pool.parallel && ocrProcessor.pool.size > 1;
             
             // Initialize on DOM ready
             if (document.readyState === 'loading') {
@@ -25,7 +29,7 @@ class RiderApp {
     /**
      * Initialize application
      */
-    init() {
+    async init() {
         try {
             console.log('Initializing Rider Checklist Builder...');
             
@@ -35,6 +39,14 @@ class RiderApp {
             // Setup event listeners
             this.setupEventListeners();
             
+            // Open the database and restore the last checklist
+            await Storage.init();
+            checklistManager.loadState();
+            this.checkStorageUsage();
+            
+            // Service worker, connection status and the queue of network tasks
+            this.setupOffline();
+            
             // Check for saved state
             this.checkSavedState();
             
@@ -70,7 +82,7 @@ class RiderApp {
             
             // Check for required libraries
             try {
-                this.checkRequiredLibraries();
+                this.checkRequiredLibraries().catch(error => console.error('Error checking required libraries:', error));
             } catch (error) {
                 console.error('Error checking required libraries:', error);
             }
@@ -96,6 +108,7 @@ class RiderApp {
             const uploadArea = DOM.get('#uploadArea');
             const processBtn = DOM.get('#processBtn');
             const clearBtn = DOM.get('#clearBtn');
+            const libraryBtn = DOM.get('#libraryBtn');
             
             if (fileInput) {
                 try {
@@ -129,6 +142,54 @@ class RiderApp {
                 }
             }
             
+            if (libraryBtn) {
+                try {
+                    libraryBtn.addEventListener('click', () => this.showLibrary());
+                } catch (error) {
+                    console.error('Error adding library button click listener:', error);
+                }
+            }
+            
+            const diagnosticsBtn = DOM.get('#diagnosticsBtn');
+            if (diagnosticsBtn) {
+                diagnosticsBtn.addEventListener('click', () => libraryDiagnostics.show());
+            }
+            
+            const pauseProcessingBtn = DOM.get('#pauseProcessingBtn');
+            const cancelProcessingBtn = DOM.get('#cancelProcessingBtn');
+            
+            if (pauseProcessingBtn) {
+                try {
+                    pauseProcessingBtn.addEventListener('click', () => this.togglePause());
+                } catch (error) {
+                    console.error('Error adding pause button click listener:', error);
+                }
+            }
+            
+            if (cancelProcessingBtn) {
+                try {
+                    cancelProcessingBtn.addEventListener('click', () => this.cancelProcessing());
+                } catch (error) {
+                    console.error('Error adding cancel button click listener:', error);
+                }
+            }
+            
+            const compareBtn = DOM.get('#compareBtn');
+            if (compareBtn) {
+                try {
+                    compareBtn.addEventListener('click', () => this.compareThroughput());
+                } catch (error) {
+                    console.error('Error adding compare button click listener:', error);
+                }
+            }
+            
+            this.setupProfileSelect();
+            this.setupLanguageSelect();
+            this.setupParallelToggle();
+            this.setupCacheControls();
+            ocrProcessor.setPasswordPrompt((filename, incorrect, signal) => this.promptPassword(filename, incorrect, signal));
+            confidenceOverlay.attach(DOM.get('#extractedText'));
+            
             // Analysis section
             const generateBtn = DOM.get('#generateBtn');
             const editTextBtn = DOM.get('#editTextBtn');
@@ -257,6 +318,12 @@ class RiderApp {
         
         Array.from(files).forEach(file => {
             try {
+                // Exported checklists are restored directly rather than processed
+                if (FileUtils.isChecklistExport(file)) {
+                    this.importChecklist(file);
+                    return;
+                }
+                
                 // Check file type
                 if (!FileUtils.isValidType(file)) {
                     errors.push(`${file.name}: Unsupported file type`);
@@ -304,6 +371,185 @@ class RiderApp {
         }
     }
 
+    /**
+     * Restore a checklist from an exported JSON file
+     */
+    async importChecklist(file) {
+        try {
+            const data = await DataExport.importJSON(file);
+            this.parsedData = checklistManager.importExport(data);
+            
+            if (this.parsedData.sourceText) {
+                this.extractedText = this.parsedData.sourceText;
+                this.rawText = this.extractedText;
+            }
+            confidenceOverlay.setWords([]);
+            
+            this.displayDetectedInfo();
+            this.displayStructurePreview();
+            DOM.show('#analysisSection');
+            this.generateChecklist();
+            
+            showToast(`Imported checklist from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('Error importing checklist:', error);
+            showToast(`${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Fill the image cleanup select from the configured preprocessing profiles
+     */
+    setupProfileSelect() {
+        const select = DOM.get('#ocrProfile');
+        if (!select) return;
+        
+        const profiles = CONFIG.ocr.preprocessing.profiles;
+        select.appendChild(DOM.create('option', { value: 'auto', textContent: 'Auto (best confidence)' }));
+        Object.keys(profiles).forEach(name => {
+            select.appendChild(DOM.create('option', { value: name, textContent: profiles[name].label }));
+        });
+        
+        select.value = ocrProcessor.profile;
+        select.addEventListener('change', () => ocrProcessor.setProfile(select.value));
+    }
+
+    /**
+     * Fill the language select from the language packs
+     * The choice applies to both OCR traineddata and the parser's pattern packs.
+     */
+    setupLanguageSelect() {
+        const select = DOM.get('#riderLanguage');
+        if (!select) return;
+        
+        select.appendChild(DOM.create('option', { value: 'auto', textContent: 'Auto-detect' }));
+        Object.entries(LANGUAGE_PACKS).forEach(([code, pack]) => {
+            select.appendChild(DOM.create('option', { value: code, textContent: pack.name }));
+        });
+        
+        select.value = ocrProcessor.language;
+        select.addEventListener('change', () => {
+            ocrProcessor.setLanguage(select.value);
+            riderParser.setLanguage(select.value);
+        });
+    }
+
+    /**
+     * Parallel OCR checkbox, labelled with the pool size
+     * Disabled on single-core machines where the pool has one worker.
+     */
+    setupParallelToggle() {
+        const checkbox = DOM.get('#ocrParallel');
+        const label = DOM.get('#ocrParallelLabel');
+        if (!checkbox) return;
+        
+        const size = ocrProcessor.pool.size;
+        if (label) label.textContent = `Parallel OCR (${size} worker${size === 1 ? '' : 's'})`;
+        
+        checkbox.checked = this.parallelOCR;
+        checkbox.disabled = size < 2;
+        checkbox.addEventListener('change', () => {
+            this.parallelOCR = checkbox.checked;
+        });
+    }
+
+    /**
+     * Re-read toggle and clear button for the extraction cache
+     */
+    setupCacheControls() {
+        const refresh = DOM.get('#ocrRefresh');
+        const clearBtn = DOM.get('#clearCacheBtn');
+        
+        if (refresh) {
+            refresh.checked = ocrProcessor.cacheMode === 'refresh';
+            refresh.addEventListener('change', () => ocrProcessor.setCacheMode(refresh.checked ? 'refresh' : 'use'));
+        }
+        
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                const count = extractionCache.entries().length;
+                if (count === 0) {
+                    showToast('The extraction cache is empty', 'info');
+                    return;
+                }
+                if (!confirm(`Forget cached text for ${count} file(s) and page(s)?`)) return;
+                
+                extractionCache.clear();
+                this.fileResults.forEach(result => result.cached = false);
+                this.updateFileList();
+                showToast('Extraction cache cleared', 'success');
+            });
+        }
+    }
+
+    /**
+     * Ask for the password of a locked PDF; resolves to null when skipped
+     * Cancelling the run aborts the signal, which closes the prompt too.
+     */
+    promptPassword(filename, incorrect, signal) {
+        return new Promise(resolve => {
+            if (signal?.aborted) {
+                resolve(null);
+                return;
+            }
+            
+            const modal = DOM.create('div', { className: 'modal active password-modal' });
+            const finish = (password) => {
+                signal?.removeEventListener('abort', cancel);
+                modal.remove();
+                resolve(password);
+            };
+            const cancel = () => finish(null);
+            signal?.addEventListener('abort', cancel, { once: true });
+            
+            modal.appendChild(DOM.create('div', { className: 'modal-overlay', onclick: cancel }));
+            
+            const content = DOM.create('form', {
+                className: 'modal-content',
+                onkeydown: (e) => {
+                    if (e.key === 'Escape') cancel();
+                },
+                onsubmit: (e) => {
+                    e.preventDefault();
+                    finish(input.value || null);
+                }
+            });
+            content.appendChild(DOM.create('button', { type: 'button', className: 'modal-close', textContent: '×', onclick: cancel }));
+            content.appendChild(DOM.create('h3', { textContent: '🔒 Password required' }));
+            content.appendChild(DOM.create('p', {
+                className: incorrect ? 'password-error' : '',
+                textContent: incorrect
+                    ? `That password did not open ${filename} - try again.`
+                    : `${filename} is password protected. Enter its password to read it, or skip the file.`
+            }));
+            
+            const input = DOM.create('input', { type: 'password', className: 'password-input', autocomplete: 'off' });
+            content.appendChild(input);
+            
+            const actions = DOM.create('div', { className: 'password-actions' });
+            actions.appendChild(DOM.create('button', { type: 'button', className: 'btn btn-secondary', textContent: 'Skip file', onclick: cancel }));
+            actions.appendChild(DOM.create('button', { type: 'submit', className: 'btn btn-primary', textContent: 'Open' }));
+            content.appendChild(actions);
+            
+            modal.appendChild(content);
+            document.body.appendChild(modal);
+            input.focus();
+        });
+    }
+
+    /**
+     * Forget one file's cached text so the next run reads it again
+     */
+    evictCached(file) {
+        const result = this.fileResults.get(file.name);
+        if (!result || !result.hash) return;
+        
+        extractionCache.evict(result.hash);
+        result.cached = false;
+        this.updateFileList();
+        showToast(`${file.name} will be read again next time`, 'info');
+    }
+
     /**
      * Update file list display
      */
@@ -328,11 +574,31 @@ class RiderApp {
                                 <span class="file-icon">📄</span>
                                 <span class="file-name">${file.name}</span>
                                 <span class="file-size">${FileUtils.formatSize(file.size)}</span>
+                                ${this.buildPageMethods(this.fileResults.get(file.name))}
+                                ${this.buildOrientation(this.fileResults.get(file.name))}
+                                ${this.buildOCRDetails(this.fileResults.get(file.name))}
+                                ${this.buildLanguage(this.fileResults.get(file.name))}
+                                ${this.buildAttachments(this.fileResults.get(file.name))}
+                                ${this.buildFileError(this.fileResults.get(file.name))}
+                                ${this.fileResults.get(file.name)?.cached ? '<button class="file-cached" title="Read from the extraction cache - click to forget it and re-read next time">⚡ cached</button>' : ''}
                             </div>
+                            ${this.fileResults.has(file.name) && ['pdf', 'image'].includes(documentExtractor.detectFormat(file)) ? '<button class="file-region" title="Re-read part of this file">✂️</button>' : ''}
                             <button class="file-remove" data-index="${index}">×</button>
                         `
                     });
                     
+                    const cachedBtn = fileItem.querySelector('.file-cached');
+                    if (cachedBtn) {
+                        cachedBtn.addEventListener('click', () => this.evictCached(file));
+                    }
+                    
+                    const regionBtn = fileItem.querySelector('.file-region');
+                    if (regionBtn) {
+                        regionBtn.addEventListener('click', () => regionSelector.open(file, {
+                            onInsert: (region) => this.spliceRegionText(region)
+                        }));
+                    }
+                    
                     // Add remove handler
                     const removeBtn = fileItem.querySelector('.file-remove');
                     if (removeBtn) {
@@ -349,12 +615,204 @@ class RiderApp {
         }
     }
 
+    /**
+     * Per-page extraction method badges for a processed PDF
+     */
+    buildPageMethods(result) {
+        if (!result || !result.pages || result.pages.length === 0) return '';
+        
+        const labels = { text: 'text', ocr: 'OCR', empty: 'empty', error: 'unreadable' };
+        const badges = result.pages.map(page => {
+            const details = (page.ocr ? `, ${this.describeOCR(page.ocr)}` : '') + (page.error ? `, ${page.error}` : '');
+            const cached = page.cached ? ', from cache' : '';
+            return `<span class="page-method ${page.method}" title="${page.chars} characters${details}${cached}">p${page.page} ${labels[page.method]}${page.cached ? ' ⚡' : ''}</span>`;
+        }).join('');
+        
+        return `<div class="file-pages">${badges}</div>`;
+    }
+
+    /**
+     * Preprocessing profile and Tesseract confidence for an OCR'd image
+     */
+    buildOCRDetails(result) {
+        if (!result || !result.ocr) return '';
+        return `<span class="file-ocr">${this.describeOCR(result.ocr)}</span>`;
+    }
+
+    /**
+     * Detected document language
+     */
+    buildLanguage(result) {
+        if (!result || !result.language || !result.language.confident) return '';
+        return `<span class="file-language" title="Detected language">🌐 ${result.language.name}</span>`;
+    }
+
+    /**
+     * Attachments read from an email, with any that were skipped or failed
+     */
+    buildAttachments(result) {
+        if (!result || !result.attachments || result.attachments.length === 0) return '';
+        
+        const read = result.attachments.filter(attachment => !attachment.skipped && !attachment.error);
+        const details = result.attachments.map(attachment => {
+            if (attachment.error) return `${attachment.filename}: ${attachment.error}`;
+            if (attachment.skipped) return `${attachment.filename}: not read`;
+            return attachment.filename;
+        }).join('\n');
+        
+        return `<span class="file-attachments" title="${details}">📎 ${read.length} of ${result.attachments.length} attachment(s) read</span>`;
+    }
+
+    /**
+     * Why a file could not be read, e.g. a locked PDF whose password prompt was skipped
+     */
+    buildFileError(result) {
+        if (!result || result.success !== false || !result.error) return '';
+        
+        // Error messages carry file names, so escape them like text
+        const message = DOM.create('span', { textContent: result.error }).innerHTML;
+        return `<span class="file-error">${/password/i.test(result.error) ? '🔒' : '⚠️'} ${message}</span>`;
+    }
+
+    describeOCR({ profile, confidence }) {
+        const label = CONFIG.ocr.preprocessing.profiles[profile]?.label || profile;
+        return `${label} profile, ${Math.round(confidence)}% confidence`;
+    }
+
+    /**
+     * Rotation and deskew applied before OCR, per image or scanned page
+     */
+    buildOrientation(result) {
+        if (!result) return '';
+        
+        const describe = ({ rotation, skew }) => [
+            rotation ? `↻ ${rotation}°` : '',
+            skew ? `deskewed ${skew > 0 ? '+' : ''}${skew}°` : ''
+        ].filter(Boolean).join(', ');
+        
+        const corrections = result.pages
+            ? result.pages
+                .filter(page => page.orientation && describe(page.orientation))
+                .map(page => `p${page.page} ${describe(page.orientation)}`)
+            : [result.orientation && describe(result.orientation)].filter(Boolean);
+        
+        if (corrections.length === 0) return '';
+        
+        return `<span class="file-orientation" title="Corrected before OCR">${corrections.join(' · ')}</span>`;
+    }
+
+    /**
+     * Put region OCR text into the extracted text
+     * Lines on the same page that read like the region are replaced; otherwise
+     * the text goes in at the region's height on the page.
+     */
+    spliceRegionText({ file, page, text, position }) {
+        // Hand edits only exist in the editor until the text is re-analyzed
+        const editor = DOM.get('#extractedText');
+        if (editor && editor.value && editor.value !== this.extractedText) {
+            showToast('Re-analyze your edits before inserting region text', 'warning');
+            return;
+        }
+        
+        const bounds = this.findSourceSection(file.name, page);
+        if (!bounds) {
+            showToast(`Could not find ${file.name} in the extracted text`, 'error');
+            return;
+        }
+        
+        const section = this.rawText.slice(bounds.start, bounds.end);
+        const lines = section.split('\n');
+        const regionLines = text.split('\n');
+        const match = this.findMatchingLines(lines, regionLines);
+        
+        let start;
+        let removed;
+        if (match) {
+            start = match.start;
+            removed = match.length;
+        } else {
+            // Skip the blank lines around the section when picking a line
+            const first = lines.findIndex(line => line.trim());
+            const last = lines.length - 1 - [...lines].reverse().findIndex(line => line.trim());
+            start = first < 0 ? 0 : first + Math.round(position * (last + 1 - first));
+            removed = 0;
+        }
+        
+        lines.splice(start, removed, ...regionLines);
+        this.rawText = this.rawText.slice(0, bounds.start) + lines.join('\n') + this.rawText.slice(bounds.end);
+        this.extractedText = riderParser.normalizeText(this.rawText);
+        
+        // Select the region text as it reads after normalizing
+        const inserted = riderParser.normalizeText(text);
+        const offset = this.extractedText.indexOf(inserted);
+        
+        this.showTextEditor();
+        const textArea = DOM.get('#extractedText');
+        if (textArea && offset >= 0) textArea.setSelectionRange(offset, offset + inserted.length);
+        
+        showToast(
+            `${match ? 'Replaced' : 'Inserted'} region text - re-analyze to update the checklist`,
+            'success'
+        );
+    }
+
+    /**
+     * Character range of a file's text (and one page of a PDF) in the raw extracted text
+     */
+    findSourceSection(filename, page) {
+        const header = `--- ${filename} ---`;
+        const headerIndex = this.rawText.indexOf(header);
+        if (headerIndex < 0) return null;
+        
+        let start = headerIndex + header.length;
+        let end = this.rawText.length;
+        this.filesCache.forEach(other => {
+            if (other.name === filename) return;
+            const next = this.rawText.indexOf(`\n\n--- ${other.name} ---`, start);
+            if (next >= 0 && next < end) end = next;
+        });
+        
+        if (page) {
+            const pages = this.rawText.slice(start, end).split(PATTERNS.normalize.pageBreak);
+            if (page > pages.length) return null;
+            start += pages.slice(0, page - 1).reduce((total, text) => total + text.length + 1, 0);
+            end = start + pages[page - 1].length;
+        }
+        
+        return { start, end };
+    }
+
+    /**
+     * Run of lines whose words mostly match the region text
+     */
+    findMatchingLines(lines, regionLines) {
+        const words = text => new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+        const target = words(regionLines.join(' '));
+        if (target.size === 0) return null;
+        
+        const length = regionLines.length;
+        let best = null;
+        
+        for (let start = 0; start + length <= lines.length; start++) {
+            const candidate = words(lines.slice(start, start + length).join(' '));
+            const shared = [...candidate].filter(word => target.has(word)).length;
+            const score = shared / (candidate.size + target.size - shared || 1);
+            
+            if (score >= 0.5 && (!best || score > best.score)) {
+                best = { start, length, score };
+            }
+        }
+        
+        return best;
+    }
+
     /**
      * Remove file from list
      */
     removeFile(index) {
         try {
-            this.filesCache.splice(index, 1);
+            const [removed] = this.filesCache.splice(index, 1);
+            if (removed) this.fileResults.delete(removed.name);
             this.updateFileList();
             
             if (this.filesCache.length === 0) {
@@ -384,38 +842,74 @@ class RiderApp {
             return;
         }
         
-        // Check if required libraries are available
-        if (typeof pdfjsLib === 'undefined' || typeof Tesseract === 'undefined') {
-            showToast('Required libraries not loaded. Please refresh the page.', 'error');
+        // Check the libraries the queued formats need are available
+        const missing = ocrProcessor.missingLibraries(this.filesCache);
+        if (missing.length > 0) {
+            showToast(`${missing.join(' and ')} not loaded. Please refresh the page, or remove the files that need it.`, 'error');
             return;
         }
         
         this.isProcessing = true;
+        this.processingJob = new ProcessingJob();
         this.showProcessing(true);
         
         try {
-            // Extract text from files
-            const result = await ocrProcessor.processFiles(
+            // Extract text from files, on the worker pool or one page at a time
+            const extract = this.parallelOCR ? 'batchProcess' : 'processFiles';
+            const result = await ocrProcessor[extract](
                 this.filesCache,
-                (progress) => this.updateProcessingProgress(progress)
+                (progress) => this.updateProcessingProgress(progress),
+                this.processingJob
             );
             
+            // A job cancelled before anything was read leaves the previous results alone
+            if (result.cancelled && !result.totalText) {
+                this.updateStatus('Processing cancelled', 'info');
+                return;
+            }
+            
+            // The raw text keeps its file headers and page breaks for region splicing
+            // and per-file language detection; the editor shows it normalized
+            this.rawText = result.totalText;
             this.extractedText = result.totalText;
             
+            // Keep per-file results so the file list can show how each page was read
+            result.results.forEach(fileResult => this.fileResults.set(fileResult.filename, fileResult));
+            this.updateFileList();
+            
+            // A new rider gets its own library entry
+            checklistManager.startNew();
+            
             // Update text editor
             const textArea = DOM.get('#extractedText');
             if (textArea) {
                 textArea.value = this.extractedText;
             }
             
+            // Highlight words OCR was unsure of
+            confidenceOverlay.setWords(confidenceOverlay.collectWords(result.results));
+            
             // Parse the extracted text
             await this.parseText();
             
-            // Show success
-            this.updateStatus(
-                `Successfully processed ${result.successCount} file(s)`,
-                'success'
-            );
+            // Show success, what was kept from a cancelled job, or what could not be read
+            const problems = this.describeProblems(result.results);
+            if (result.cancelled) {
+                this.updateStatus(
+                    `Cancelled - kept text from ${result.successCount} of ${this.filesCache.length} file(s)`,
+                    'warning'
+                );
+            } else if (problems) {
+                this.updateStatus(
+                    `Processed ${result.successCount} file(s) with problems - ${problems}`,
+                    'warning'
+                );
+            } else {
+                this.updateStatus(
+                    `Successfully processed ${result.successCount} file(s) - ${this.describeStats(result.stats)}`,
+                    'success'
+                );
+            }
             
             // Show analysis section
             DOM.show('#analysisSection');
@@ -430,6 +924,7 @@ class RiderApp {
             showToast('Failed to process files', 'error');
         } finally {
             this.isProcessing = false;
+            this.processingJob = null;
             this.showProcessing(false);
         }
     }
@@ -445,7 +940,15 @@ class RiderApp {
         
         try {
             // Parse with intelligent parser
-            this.parsedData = await riderParser.parse(this.extractedText);
+            const text = this.rawText || this.extractedText;
+            this.parsedData = await riderParser.parse(text);
+            
+            // Show the normalized text so source spans line up with the editor
+            if (this.parsedData.sourceText) {
+                this.extractedText = this.parsedData.sourceText;
+                const textArea = DOM.get('#extractedText');
+                if (textArea) textArea.value = this.extractedText;
+            }
             
             // Display detected information
             this.displayDetectedInfo();
@@ -460,6 +963,12 @@ class RiderApp {
                 generateBtn.disabled = false;
             }
             
+            // Offline: the on-device parse stands until LLM parsing can run
+            if (riderParser.llmDeferred) {
+                syncQueue.add('llm-parse', { text, sourceText: this.extractedText }, { label: 'LLM parsing', unique: true });
+                showToast('Offline - parsed on this device; LLM parsing will run when you reconnect', 'info');
+            }
+            
         } catch (error) {
             console.error('Parsing error:', error);
             showToast('Failed to parse text', 'error');
@@ -475,17 +984,11 @@ class RiderApp {
         
         infoGrid.innerHTML = '';
         
+        const details = this.parsedData.details || {};
+        
         // Artists
         if (this.parsedData.artists.length > 0) {
-            infoGrid.appendChild(DOM.create('div', {
-                className: 'info-item',
-                innerHTML: `
-                    <span class="info-label">Artists:</span>
-                    <span class="info-value">
-                        ${this.parsedData.artists.map(a => `<span class="badge">${a}</span>`).join('')}
-                    </span>
-                `
-            }));
+            infoGrid.appendChild(this.buildBadgeInfoItem('Artists:', this.parsedData.artists, details.artists, 'badge'));
         }
         
         // Rooms
@@ -515,94 +1018,102 @@ class RiderApp {
         
         // Allergies
         if (this.parsedData.allergies.length > 0) {
+            infoGrid.appendChild(this.buildBadgeInfoItem('⚠️ Allergies:', this.parsedData.allergies, details.allergies, 'badge warning'));
+        }
+        
+        // Contacts
+        if (this.parsedData.contacts.length > 0) {
             infoGrid.appendChild(DOM.create('div', {
                 className: 'info-item',
                 innerHTML: `
-                    <span class="info-label">⚠️ Allergies:</span>
-                    <span class="info-value">
-                        ${this.parsedData.allergies.map(a => `<span class="badge warning">${a}</span>`).join('')}
-                    </span>
+                    <span class="info-label">Contacts:</span>
+                    <span class="info-value">${this.parsedData.contacts.length} found</span>
                 `
             }));
         }
         
-        // Contacts
-        if (this.parsedData.contacts.length > 0) {
+        // Low-confidence entities
+        const reviewCount = this.countNeedsReview();
+        if (reviewCount > 0) {
             infoGrid.appendChild(DOM.create('div', {
                 className: 'info-item',
                 innerHTML: `
-                    <span class="info-label">Contacts:</span>
-                    <span class="info-value">${this.parsedData.contacts.length} found</span>
+                    <span class="info-label">🔎 Needs Review:</span>
+                    <span class="info-value">${reviewCount} below ${Math.round(CONFIG.parsing.confidenceThreshold * 100)}% confidence</span>
                 `
             }));
         }
     }
 
     /**
-     * Display structure preview
+     * Build an info row of badges, flagging low-confidence values
+     */
+    buildBadgeInfoItem(label, values, details = [], badgeClass) {
+        const valueSpan = DOM.create('span', { className: 'info-value' });
+        
+        values.forEach(value => {
+            const detail = details.find(d => d.value === value);
+            valueSpan.appendChild(DOM.create('span', {
+                className: `${badgeClass}${detail?.needsReview ? ' low-confidence' : ''}`,
+                textContent: value,
+                title: detail ? `Confidence ${Math.round(detail.confidence * 100)}% - click to show source` : '',
+                onclick: () => this.jumpToSource(detail?.source)
+            }));
+        });
+        
+        return DOM.create('div', { className: 'info-item' }, [
+            DOM.create('span', { className: 'info-label', textContent: label }),
+            valueSpan
+        ]);
+    }
+
+    /**
+     * Count parsed entities that fall below the confidence threshold
+     */
+    countNeedsReview() {
+        const data = this.parsedData;
+        const details = data.details || {};
+        const entities = [
+            ...(data.items || []),
+            ...(data.rooms || []),
+            ...(data.contacts || []),
+            ...(details.artists || []),
+            ...(details.allergies || [])
+        ];
+        return entities.filter(entity => entity.needsReview).length;
+    }
+
+    /**
+     * Select the originating text of a parsed entity in the editor
+     */
+    jumpToSource(source) {
+        if (!source) return;
+        
+        this.showTextEditor();
+        const textArea = DOM.get('#extractedText');
+        if (!textArea) return;
+        
+        textArea.focus();
+        textArea.setSelectionRange(source.start, source.end);
+        
+        // Scroll the selected line into the middle of the editor
+        const lineHeight = parseFloat(getComputedStyle(textArea).lineHeight) || 20;
+        textArea.scrollTop = Math.max(0, (source.line - 1) * lineHeight - textArea.clientHeight / 2);
+        DOM.get('#textEditorSection')?.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Display the editable review grid for the parsed items
      */
     displayStructurePreview() {
         const preview = DOM.get('#structurePreview');
         if (!preview || !this.parsedData) return;
         
-        preview.innerHTML = '<h3>Detected Structure</h3>';
-        
-        // Show by rooms if available
-        if (this.parsedData.rooms.length > 0) {
-            this.parsedData.rooms.forEach(room => {
-                if (room.items.length === 0) return;
-                
-                const roomSection = DOM.create('div', {
-                    className: 'room-section',
-                    innerHTML: `
-                        <div class="room-title">Room ${room.id} ${room.description ? `- ${room.description}` : ''}</div>
-                    `
-                });
-                
-                // Group items by category
-                const categories = {};
-                room.items.forEach(item => {
-                    const cat = item.category || 'General';
-                    if (!categories[cat]) categories[cat] = [];
-                    categories[cat].push(item);
-                });
-                
-                Object.entries(categories).forEach(([cat, items]) => {
-                    const categoryDiv = DOM.create('div', {
-                        className: 'category-group',
-                        innerHTML: `
-                            <div class="category-title">${cat}</div>
-                            ${items.map(item => `
-                                <div class="item-preview">
-                                    • ${item.quantity > 1 ? `(${item.quantity}) ` : ''}${item.name}
-                                </div>
-                            `).join('')}
-                        `
-                    });
-                    roomSection.appendChild(categoryDiv);
-                });
-                
-                preview.appendChild(roomSection);
-            });
-        } else if (this.parsedData.categories) {
-            // Show by categories
-            Object.entries(this.parsedData.categories).forEach(([cat, items]) => {
-                if (items.length === 0) return;
-                
-                const categorySection = DOM.create('div', {
-                    className: 'category-group',
-                    innerHTML: `
-                        <div class="category-title">${cat}</div>
-                        ${items.map(item => `
-                            <div class="item-preview">
-                                • ${item.quantity > 1 ? `(${item.quantity}) ` : ''}${item.name}
-                            </div>
-                        `).join('')}
-                    `
-                });
-                preview.appendChild(categorySection);
-            });
-        }
+        reviewGrid.load(this.parsedData, (reviewed) => {
+            this.parsedData = reviewed;
+            this.displayDetectedInfo();
+        });
+        reviewGrid.render(preview);
     }
 
     /**
@@ -614,6 +1125,9 @@ class RiderApp {
             return;
         }
         
+        // Use the reviewed items, with the edit log stored alongside the parse
+        this.parsedData = reviewGrid.getReviewedData() || this.parsedData;
+        
         // Generate checklist
         const checklistHTML = checklistManager.generate(this.parsedData);
         
@@ -644,6 +1158,7 @@ class RiderApp {
         const textArea = DOM.get('#extractedText');
         if (textArea) {
             textArea.value = this.extractedText;
+            confidenceOverlay.render();
             textArea.focus();
         }
     }
@@ -659,7 +1174,11 @@ class RiderApp {
         const textArea = DOM.get('#extractedText');
         if (!textArea) return;
         
-        this.extractedText = textArea.value;
+        // Hand edits become the source text; without edits the raw text is parsed again
+        if (textArea.value !== this.extractedText) {
+            this.extractedText = textArea.value;
+            this.rawText = textArea.value;
+        }
         
         if (!this.extractedText) {
             showToast('No text to analyze', 'warning');
@@ -680,8 +1199,12 @@ class RiderApp {
         }
         
         this.filesCache = [];
+        this.fileResults.clear();
         this.extractedText = '';
+        this.rawText = '';
         this.parsedData = null;
+        confidenceOverlay.setWords([]);
+        checklistManager.startNew();
         
         // Clear UI
         this.updateFileList();
@@ -737,6 +1260,14 @@ class RiderApp {
             if (overlay) {
                 overlay.classList.toggle('active', show);
             }
+            
+            if (show) {
+                const detail = DOM.get('#processingDetail');
+                const progressBar = DOM.get('#processingProgress');
+                if (detail) detail.textContent = '';
+                if (progressBar) progressBar.style.width = '0%';
+                this.updateProcessingControls();
+            }
         } catch (error) {
             console.error('Error showing/hiding processing overlay:', error);
         }
@@ -757,11 +1288,195 @@ class RiderApp {
             if (progressBar && progress.progress) {
                 progressBar.style.width = `${Math.round(progress.progress * 100)}%`;
             }
+            
+            const detail = DOM.get('#processingDetail');
+            if (detail && !this.processingJob?.paused) {
+                detail.textContent = this.describeProgress(progress);
+            }
         } catch (error) {
             console.error('Error updating processing progress:', error);
         }
     }
 
+    /**
+     * File and page position with the time left, e.g. "File 2 of 3 · Page 12 of 60 · about 4 min left"
+     */
+    describeProgress(progress) {
+        const parts = [];
+        
+        if (progress.file && progress.file.total > 1) {
+            parts.push(`File ${progress.file.current} of ${progress.file.total}`);
+        }
+        if (progress.page) {
+            parts.push(`Page ${progress.page.current} of ${progress.page.total}`);
+        }
+        if (progress.pages && progress.pages.total > 0) {
+            parts.push(`${progress.pages.current} of ${progress.pages.total} OCR pages`);
+        }
+        if (progress.eta !== null && progress.eta !== undefined) {
+            parts.push(`about ${DateUtils.duration(progress.eta)} left`);
+        }
+        
+        return parts.join(' · ');
+    }
+
+    /**
+     * Pause or resume the running job
+     * Pausing waits for the page being read to finish.
+     */
+    togglePause() {
+        const job = this.processingJob;
+        if (!job || job.cancelled) return;
+        
+        if (job.paused) {
+            job.resume();
+        } else {
+            job.pause();
+        }
+        
+        const detail = DOM.get('#processingDetail');
+        if (detail) {
+            detail.textContent = job.paused ? 'Paused - finishing the current page first' : 'Resuming...';
+        }
+        this.updateProcessingControls();
+    }
+
+    /**
+     * Stop the running job, keeping the text already extracted
+     */
+    cancelProcessing() {
+        const job = this.processingJob;
+        if (!job || job.cancelled) return;
+        
+        job.cancel();
+        
+        const text = DOM.get('#processingText');
+        if (text) text.textContent = 'Cancelling...';
+        this.updateProcessingControls();
+    }
+
+    /**
+     * Files that failed and pages that could not be read, or '' when all went well
+     */
+    describeProblems(results) {
+        const failed = results.filter(result => !result.success).map(result => result.error || result.filename);
+        const pages = results.reduce((count, result) => count + (result.pages || []).filter(page => page.method === 'error').length, 0);
+        
+        const problems = [...failed];
+        if (pages > 0) problems.push(`${pages} unreadable page(s)`);
+        return problems.join('; ');
+    }
+
+    /**
+     * Pages, time and throughput of a run, e.g. "12 page(s) in 40s, 18 pages/min"
+     */
+    describeStats(stats) {
+        if (!stats) return '';
+        const workers = stats.workers > 1 ? ` on ${stats.workers} workers` : '';
+        const cached = stats.cachedFiles ? `, ${stats.cachedFiles} file(s) from cache` : '';
+        return `${stats.pages} page(s) in ${DateUtils.duration(stats.seconds)}${workers}, ${stats.pagesPerMinute} pages/min${cached}`;
+    }
+
+    /**
+     * Process the uploaded files one page at a time and then on the worker
+     * pool, and show the throughput of each
+     * The extracted text is not replaced; this only measures.
+     */
+    async compareThroughput() {
+        if (this.filesCache.length === 0) {
+            showToast('Please upload files first', 'warning');
+            return;
+        }
+        
+        if (this.isProcessing) {
+            showToast('Already processing files', 'warning');
+            return;
+        }
+        
+        if (typeof pdfjsLib === 'undefined' || typeof Tesseract === 'undefined') {
+            showToast('Required libraries not loaded. Please refresh the page.', 'error');
+            return;
+        }
+        
+        const output = DOM.get('#ocrBenchmark');
+        const runs = [
+            { label: 'One page at a time', method: 'processFiles' },
+            { label: 'Worker pool', method: 'batchProcess' }
+        ];
+        
+        // Cached files would make both runs instant
+        const cacheMode = ocrProcessor.cacheMode;
+        ocrProcessor.setCacheMode('bypass');
+        
+        this.isProcessing = true;
+        this.processingJob = new ProcessingJob();
+        this.showProcessing(true);
+        
+        try {
+            // Neither timed run should include downloading traineddata
+            this.updateProcessingProgress({ message: 'Loading OCR language data...' });
+            await ocrProcessor.warmUp();
+            
+            for (const run of runs) {
+                // Each run is timed by its own job, which keeps a pause or cancel made in between
+                const previous = this.processingJob;
+                if (previous.cancelled) {
+                    this.updateStatus('Speed comparison cancelled', 'info');
+                    return;
+                }
+                
+                this.processingJob = new ProcessingJob();
+                if (previous.paused) this.processingJob.pause();
+                this.updateProcessingControls();
+                
+                const result = await ocrProcessor[run.method](
+                    this.filesCache,
+                    (progress) => this.updateProcessingProgress({ ...progress, message: `${run.label}: ${progress.message}` }),
+                    this.processingJob
+                );
+                
+                if (result.cancelled) {
+                    this.updateStatus('Speed comparison cancelled', 'info');
+                    return;
+                }
+                run.stats = result.stats;
+            }
+            
+            const [sequential, pooled] = runs.map(run => run.stats);
+            const speedup = pooled.seconds > 0 ? Math.round((sequential.seconds / pooled.seconds) * 10) / 10 : 1;
+            
+            if (output) {
+                output.textContent = runs.map(run => `${run.label}: ${this.describeStats(run.stats)}`).join(' · ') +
+                    ` · ${speedup}× ${speedup >= 1 ? 'faster' : 'slower'} on the pool`;
+            }
+            this.updateStatus(`Worker pool was ${speedup}× the speed of one page at a time`, 'info');
+        } catch (error) {
+            console.error('Speed comparison error:', error);
+            showToast('Speed comparison failed', 'error');
+        } finally {
+            ocrProcessor.setCacheMode(cacheMode);
+            this.isProcessing = false;
+            this.processingJob = null;
+            this.showProcessing(false);
+        }
+    }
+
+    updateProcessingControls() {
+        const job = this.processingJob;
+        const pauseBtn = DOM.get('#pauseProcessingBtn');
+        const cancelBtn = DOM.get('#cancelProcessingBtn');
+        
+        if (pauseBtn) {
+            pauseBtn.disabled = !job || job.cancelled;
+            pauseBtn.innerHTML = job?.paused
+                ? '<span class="btn-icon">▶️</span> Resume'
+                : '<span class="btn-icon">⏸️</span> Pause';
+        }
+        if (cancelBtn) {
+            cancelBtn.disabled = !job || job.cancelled;
+        }
+    }
+
     /**
      * Handle keyboard shortcuts
      */
@@ -811,30 +1526,181 @@ class RiderApp {
     }
 
     /**
-     * Check for saved state
+     * Offer the saved checklist library on startup
      */
     checkSavedState() {
         try {
-            const state = Storage.get(CONFIG.storage.checklistState);
-            
-            if (state && state.currentData) {
-                const lastSaved = state.lastSaved ? DateUtils.relative(state.lastSaved) : 'unknown time';
-                
-                const restore = confirm(`Found saved checklist from ${lastSaved}. Would you like to restore it?`);
-                
-                if (restore) {
-                    this.parsedData = state.currentData;
-                    this.displayDetectedInfo();
-                    this.displayStructurePreview();
-                    DOM.show('#analysisSection');
-                    showToast('Previous checklist restored', 'success');
-                }
+            if (checklistLibrary.list().length > 0) {
+                this.showLibrary();
             }
         } catch (error) {
             console.error('Error checking saved state:', error);
         }
     }
 
+    /**
+     * Show the saved checklist picker
+     */
+    showLibrary() {
+        checklistLibrary.showPicker({
+            onOpen: (id) => this.openSavedChecklist(id),
+            onNew: () => this.clearAll()
+        });
+    }
+
+    /**
+     * Load a saved checklist into the analysis view
+     */
+    openSavedChecklist(id) {
+        try {
+            const data = checklistManager.open(id);
+            if (!data) {
+                showToast('Saved checklist could not be loaded', 'error');
+                return;
+            }
+            
+            this.parsedData = data;
+            this.extractedText = data.sourceText || '';
+            this.rawText = this.extractedText;
+            
+            const textArea = DOM.get('#extractedText');
+            if (textArea) textArea.value = this.extractedText;
+            
+            this.displayDetectedInfo();
+            this.displayStructurePreview();
+            DOM.show('#analysisSection');
+            showToast(`Opened ${checklistLibrary.get(id)?.title || 'checklist'}`, 'success');
+        } catch (error) {
+            console.error('Error opening saved checklist:', error);
+            showToast('Error opening saved checklist', 'error');
+        }
+    }
+
+    /**
+     * Warn when the browser's storage quota is nearly used up
+     */
+    async checkStorageUsage() {
+        try {
+            const { percentUsed } = await Storage.getUsage();
+            if (percentUsed !== null && percentUsed >= CONFIG.database.warnAtPercent) {
+                showToast(`Storage is ${percentUsed}% full - consider deleting old checklists`, 'warning');
+            }
+        } catch (error) {
+            console.error('Error checking storage usage:', error);
+        }
+    }
+
+    /**
+     * Offline support: service worker, install button, connection status and queued tasks
+     */
+    setupOffline() {
+        syncQueue.register('llm-parse', (payload) => this.runQueuedLLMParse(payload));
+        syncQueue.onChange(() => this.updateConnectionStatus());
+        
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            syncQueue.flush();
+        });
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        
+        this.registerServiceWorker();
+        this.setupInstallButton();
+        this.updateConnectionStatus();
+        
+        if (navigator.onLine) syncQueue.flush();
+    }
+
+    /**
+     * Register sw.js, which needs http(s); the page also works without it
+     */
+    async registerServiceWorker() {
+        if (!CONFIG.pwa.enabled || !('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+        
+        try {
+            await navigator.serviceWorker.register(CONFIG.pwa.serviceWorker);
+            
+            // Background sync fired: run whatever is queued
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'sync') syncQueue.flush();
+            });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Show the install button once the browser offers to install the app
+     */
+    setupInstallButton() {
+        const installBtn = DOM.get('#installBtn');
+        if (!installBtn) return;
+        
+        let installPrompt = null;
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            installPrompt = event;
+            installBtn.hidden = false;
+        });
+        
+        installBtn.addEventListener('click', async () => {
+            if (!installPrompt) return;
+            installPrompt.prompt();
+            await installPrompt.userChoice;
+            installPrompt = null;
+            installBtn.hidden = true;
+        });
+        
+        window.addEventListener('appinstalled', () => {
+            installBtn.hidden = true;
+            showToast('Installed - open it from your home screen, even without signal', 'success');
+        });
+    }
+
+    /**
+     * Online/offline badge in the header, with the number of tasks waiting
+     */
+    updateConnectionStatus() {
+        const status = DOM.get('#connectionStatus');
+        if (!status) return;
+        
+        const waiting = syncQueue.entries().length;
+        const queued = waiting > 0 ? ` - ${waiting} task(s) waiting` : '';
+        
+        status.classList.toggle('offline', !navigator.onLine);
+        status.textContent = navigator.onLine
+            ? `🟢 Online${queued}`
+            : `📴 Offline - saved checklists still work${queued}`;
+    }
+
+    /**
+     * Queued LLM pass over a rider parsed offline
+     * Only applied if that rider is still open, and after asking, since it
+     * replaces the on-device parse and any review edits.
+     */
+    async runQueuedLLMParse({ text, sourceText }) {
+        if (this.extractedText !== sourceText) {
+            console.log('Queued LLM parsing skipped - another rider is open');
+            return;
+        }
+        
+        const parsed = await riderParser.parse(text);
+        if (riderParser.llmDeferred) throw new Error('Still offline');
+        if (riderParser.lastMethod !== 'llm' || this.extractedText !== sourceText) return;
+        
+        if (!confirm('LLM parsing has finished for this rider. Replace the on-device parse with it?')) return;
+        
+        this.parsedData = parsed;
+        this.displayDetectedInfo();
+        this.displayStructurePreview();
+        
+        showToast(
+            checklistManager.currentData
+                ? 'LLM parsing applied - generate the checklist again to update it (progress is kept)'
+                : 'LLM parsing applied',
+            'success'
+        );
+    }
+
     /**
      * Check for API keys
      */
@@ -851,32 +1717,24 @@ class RiderApp {
     /**
      * Check for required libraries
      */
-    checkRequiredLibraries() {
-        // Wait a bit for libraries to load, then check
-        setTimeout(() => {
-            // Check PDF.js
-            if (typeof pdfjsLib !== 'undefined') {
-                console.log('PDF.js library loaded successfully (v' + (pdfjsLib.version || 'unknown') + ')');
-                
-                // Check if worker is properly configured
-                if (pdfjsLib.GlobalWorkerOptions.workerSrc) {
-                    console.log('PDF.js worker source configured:', pdfjsLib.GlobalWorkerOptions.workerSrc);
-                } else {
-                    console.warn('PDF.js worker source not configured');
-                }
-            } else {
-                console.warn('PDF.js library not loaded - PDF processing will be disabled');
-                showToast('PDF processing disabled - PDF.js not loaded', 'warning');
-            }
-            
-            // Check Tesseract.js
-            if (typeof Tesseract !== 'undefined') {
-                console.log('Tesseract.js library loaded successfully (v' + (Tesseract.version || 'unknown') + ')');
-            } else {
-                console.warn('Tesseract.js library not loaded - OCR processing will be disabled');
-                showToast('OCR processing disabled - Tesseract.js not loaded', 'warning');
-            }
-        }, 2000); // Wait 2 seconds for libraries to load
+    async checkRequiredLibraries() {
+        await assetLoader.loadLibraries();
+        
+        // Check PDF.js
+        if (typeof pdfjsLib !== 'undefined') {
+            console.log(`PDF.js ${pdfjsLib.version || 'unknown'} loaded from ${assetLoader.describeSource(assetLoader.loads.pdfjs?.src)}`);
+        } else {
+            console.warn('PDF.js library not loaded - PDF processing will be disabled');
+            showToast('PDF processing disabled - PDF.js not loaded', 'warning');
+        }
+        
+        // Check Tesseract.js
+        if (typeof Tesseract !== 'undefined') {
+            console.log(`Tesseract.js ${Tesseract.version || 'unknown'} loaded from ${assetLoader.describeSource(assetLoader.loads.tesseract?.src)}`);
+        } else {
+            console.warn('Tesseract.js library not loaded - OCR processing will be disabled');
+            showToast('OCR processing disabled - Tesseract.js not loaded', 'warning');
+        }
     }
 
     /**
@@ -0,0 +1,210 @@
+/**
+ * Library Asset Sources
+ * Decides where PDF.js and Tesseract.js come from: the self-hosted copies in
+ * vendor/ (scripts, workers, WASM cores, cmaps, fonts and traineddata), or
+ * the CDNs. The vendor manifest written by vendor-assets.js marks a complete
+ * copy; with it on this origin nothing is fetched from the network, so
+ * riders can be processed offline. Library scripts are checked against
+ * CONFIG.assets.integrity, and each load is recorded (source, attempts,
+ * time) for the diagnostics panel.
+ */
+
+class AssetLoader {
+    constructor() {
+        this.source = null;
+        this.manifest = null;
+        this.detecting = null;
+        this.loads = {};
+        this.ready = null;
+    }
+
+    /**
+     * Load every library in CONFIG.assets.cdn; resolves once each has loaded or run out of sources
+     */
+    loadLibraries() {
+        if (!this.ready) {
+            this.ready = Promise.allSettled(Object.keys(CONFIG.assets.cdn).map(name => this.loadScript(name)));
+        }
+        return this.ready;
+    }
+
+    /**
+     * 'local' or 'cdn', settled once per page load
+     */
+    detectSource() {
+        if (!this.detecting) {
+            this.detecting = this.probe().then(source => {
+                this.source = source;
+                console.log(`Library assets: ${this.describe()}`);
+                return source;
+            });
+        }
+        return this.detecting;
+    }
+
+    async probe() {
+        const { mode } = CONFIG.assets;
+        if (mode === 'cdn') return 'cdn';
+        
+        this.manifest = await this.fetchManifest();
+        if (mode === 'local') return 'local';
+        
+        return this.isCurrent(this.manifest) ? 'local' : 'cdn';
+    }
+
+    /**
+     * The vendor manifest, or null when it is missing or the request fails (e.g. on file://)
+     */
+    async fetchManifest() {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.assets.probeTimeout);
+        
+        try {
+            const response = await fetch(CONFIG.assets.manifest, { cache: 'no-store', signal: controller.signal });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * A copy made for other library versions is ignored rather than half-used
+     */
+    isCurrent(manifest) {
+        if (!manifest || !manifest.versions) return false;
+        
+        const stale = Object.entries(CONFIG.assets.versions)
+            .filter(([name, version]) => manifest.versions[name] !== version);
+        if (stale.length > 0) {
+            console.warn('vendor/ holds other library versions - re-run vendor-assets.js. Using CDNs.', stale);
+            return false;
+        }
+        return true;
+    }
+
+    isLocal() {
+        return this.source === 'local';
+    }
+
+    describe() {
+        if (!this.source) return 'detecting...';
+        return this.isLocal() ? 'self-hosted (works offline)' : 'CDN';
+    }
+
+    /**
+     * Absolute URL of a vendored asset; workers resolve relative paths against their own location
+     */
+    localURL(name) {
+        return new URL(CONFIG.assets.local[name], document.baseURI).href;
+    }
+
+    /**
+     * Script URLs to try in order: the vendored copy first, then the CDNs
+     * unless mode is 'local'
+     */
+    scriptSources(name) {
+        const cdn = CONFIG.assets.cdn[name];
+        if (!this.isLocal()) return cdn;
+        return CONFIG.assets.mode === 'local' ? [this.localURL(name)] : [this.localURL(name), ...cdn];
+    }
+
+    /**
+     * Load a library script, falling back through its sources; resolves to the URL that loaded
+     * A failed integrity check looks like any other load error to the page,
+     * so both move on to the next source.
+     */
+    async loadScript(name) {
+        await this.detectSource();
+        const sources = this.scriptSources(name);
+        const integrity = CONFIG.assets.integrity[name] || null;
+        const load = { name, src: null, ms: null, integrity: Boolean(integrity), attempts: [] };
+        this.loads[name] = load;
+        
+        for (const src of sources) {
+            const started = performance.now();
+            try {
+                await this.appendScript(src, integrity);
+                load.src = src;
+                load.ms = Math.round(performance.now() - started);
+                return src;
+            } catch (error) {
+                console.warn(`Failed to load ${src}, trying fallback...`);
+                load.attempts.push({ src, ms: Math.round(performance.now() - started), error: integrity ? 'failed to load or integrity mismatch' : 'failed to load' });
+            }
+        }
+        throw new Error(`Failed to load ${name} from ${sources.join(', ')}`);
+    }
+
+    appendScript(src, integrity = null) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            if (integrity) {
+                script.integrity = integrity;
+                script.crossOrigin = 'anonymous';
+            }
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Version reported by a loaded library, or null
+     */
+    version(name) {
+        if (name === 'pdfjs') return typeof pdfjsLib !== 'undefined' ? pdfjsLib.version : null;
+        if (name === 'tesseract') return typeof Tesseract !== 'undefined' ? Tesseract.version || null : null;
+        return null;
+    }
+
+    /**
+     * Where a URL is served from: 'self-hosted' or the CDN's host name
+     */
+    describeSource(src) {
+        if (!src) return 'not loaded';
+        const url = new URL(src, document.baseURI);
+        return url.origin === location.origin ? 'self-hosted' : url.hostname;
+    }
+
+    /**
+     * PDF.js worker, cmaps and standard fonts
+     */
+    pdfOptions() {
+        if (this.isLocal()) {
+            return {
+                workerSrc: this.localURL('pdfWorker'),
+                cMapUrl: this.localURL('cMaps'),
+                standardFontDataUrl: this.localURL('standardFonts')
+            };
+        }
+        
+        return {
+            workerSrc: CONFIG.pdf.workerSrc,
+            cMapUrl: CONFIG.pdf.cMapUrl,
+            standardFontDataUrl: CONFIG.pdf.standardFontDataUrl
+        };
+    }
+
+    /**
+     * Tesseract.createWorker paths (part of its third, options argument);
+     * empty on the CDNs, where Tesseract's own defaults apply
+     */
+    tesseractOptions() {
+        if (!this.isLocal()) return {};
+        
+        return {
+            workerPath: this.localURL('tesseractWorker'),
+            corePath: this.localURL('tesseractCore'),
+            langPath: this.localURL('tessdata')
+        };
+    }
+}
+
+// Create global instance
+const assetLoader = new AssetLoader();
@@ -0,0 +1,90 @@
+/**
+ * Extraction Cache
+ * Keeps extracted text under the SHA-256 of the file, or of the rendered
+ * image of a scanned PDF page, so processing the same rider again skips PDF
+ * extraction and OCR. An entry is only reused while the OCR settings it was
+ * made with still match. Word crops are dropped to keep entries small.
+ */
+
+class ExtractionCache {
+    key(hash) {
+        return `${CONFIG.storage.extractionCache}_${hash}`;
+    }
+
+    /**
+     * Stored result for a hash, or null when missing or made with other settings
+     */
+    get(hash, signature) {
+        if (!CONFIG.cache.enabled || !hash) return null;
+        
+        const entry = Storage.get(this.key(hash));
+        if (!entry || entry.signature !== signature) return null;
+        
+        entry.usedAt = new Date().toISOString();
+        Storage.set(this.key(hash), entry);
+        return entry.result;
+    }
+
+    /**
+     * Store a result; meta (filename, size, pageHashes...) is kept for listing and eviction
+     */
+    set(hash, signature, result, meta = {}) {
+        if (!CONFIG.cache.enabled || !hash) return;
+        
+        const now = new Date().toISOString();
+        Storage.set(this.key(hash), {
+            ...meta,
+            hash,
+            signature,
+            result: JSON.parse(JSON.stringify(result, (key, value) => key === 'crop' ? undefined : value)),
+            cachedAt: now,
+            usedAt: now
+        });
+        this.prune();
+    }
+
+    /**
+     * Forget an entry and the scanned-page entries it was built from
+     */
+    evict(hash) {
+        const entry = Storage.get(this.key(hash));
+        if (!entry) return false;
+        
+        (entry.pageHashes || []).forEach(pageHash => Storage.remove(this.key(pageHash)));
+        Storage.remove(this.key(hash));
+        return true;
+    }
+
+    entries() {
+        const prefix = `${CONFIG.storage.extractionCache}_`;
+        return Storage.keys()
+            .filter(key => key.startsWith(prefix))
+            .map(key => Storage.get(key))
+            .filter(Boolean);
+    }
+
+    /**
+     * Remove every entry; returns how many there were
+     */
+    clear() {
+        const entries = this.entries();
+        entries.forEach(entry => Storage.remove(this.key(entry.hash)));
+        return entries.length;
+    }
+
+    /**
+     * Drop the least recently used entries beyond CONFIG.cache.maxEntries
+     */
+    prune() {
+        const entries = this.entries();
+        if (entries.length <= CONFIG.cache.maxEntries) return;
+        
+        entries
+            .sort((a, b) => new Date(b.usedAt) - new Date(a.usedAt))
+            .slice(CONFIG.cache.maxEntries)
+            .forEach(entry => Storage.remove(this.key(entry.hash)));
+    }
+}
+
+// Create global instance
+const extractionCache = new ExtractionCache();
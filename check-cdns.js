@@ -2,26 +2,26 @@
 
 /**
  * CDN Availability Checker
- * This script checks various CDN endpoints to find the most reliable ones
+ * Checks the library sources in CONFIG.assets.cdn to find the most reliable
+ * ones, and verifies their Subresource Integrity hashes.
+ *
+ * Usage: node check-cdns.js [--check-versions] [--verify] [--update-sri]
  */
 
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config.js');
+const { download } = require('./vendor-assets.js');
 
-// CDN endpoints to test
+const CONFIG_FILE = path.join(__dirname, 'config.js');
+
+// CDN endpoints to test, from the same config the app loads them with
 const CDN_ENDPOINTS = {
-    'PDF.js': [
-        'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
-        'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.min.js',
-        'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
-        'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.0.379/pdf.min.js',
-        'https://unpkg.com/pdfjs-dist@4.0.379/build/pdf.min.js'
-    ],
-    'Tesseract.js': [
-        'https://cdnjs.cloudflare.com/ajax/libs/tesseract.js/5.0.5/tesseract.min.js',
-        'https://unpkg.com/tesseract.js@5.0.5/dist/tesseract.min.js',
-        'https://cdn.jsdelivr.net/npm/tesseract.js@5.0.5/dist/tesseract.min.js'
-    ]
+    ...CONFIG.assets.cdn,
+    pdfWorker: [CONFIG.pdf.workerSrc]
 };
 
 // Test a single URL
@@ -124,13 +124,14 @@ function generateRecommendations(results) {
 
 // Check specific version availability
 async function checkVersionAvailability() {
-    console.log('🔍 Checking Latest Version Availability...\n');
+    console.log(`🔍 Checking Latest Version Availability (configured: ${CONFIG.assets.versions.pdfjs})...\n`);
     
-    const versions = [
+    const versions = [...new Set([
+        CONFIG.assets.versions.pdfjs,
         '3.11.174', '3.11.175', '3.11.176',
         '4.0.379', '4.0.380', '4.0.381',
         '4.1.0', '4.2.0', '4.3.0'
-    ];
+    ])];
     
     const baseUrls = [
         'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/',
@@ -163,6 +164,75 @@ async function checkVersionAvailability() {
     console.log('');
 }
 
+// SRI value for a script body, in the same form the browser checks
+function integrityOf(data) {
+    return `sha384-${crypto.createHash('sha384').update(data).digest('base64')}`;
+}
+
+// Download every source of each library and compare its hash with CONFIG.assets.integrity
+async function verifyIntegrity() {
+    console.log('🔐 Verifying Subresource Integrity...\n');
+    
+    const results = {};
+    
+    for (const [library, urls] of Object.entries(CONFIG.assets.cdn)) {
+        const expected = CONFIG.assets.integrity[library] || null;
+        console.log(`📄 ${library}: ${expected || 'no hash configured'}`);
+        results[library] = [];
+        
+        for (const url of urls) {
+            process.stdout.write(`  ${url}... `);
+            try {
+                const hash = integrityOf(await download(url));
+                const matches = expected ? hash === expected : null;
+                results[library].push({ url, hash, matches });
+                
+                if (matches === null) {
+                    console.log(hash);
+                } else {
+                    console.log(matches ? '✅ matches' : `❌ mismatch (${hash})`);
+                }
+            } catch (error) {
+                results[library].push({ url, error: error.message, matches: null });
+                console.log(`❌ ${error.message}`);
+            }
+        }
+        
+        const hashes = new Set(results[library].filter(r => r.hash).map(r => r.hash));
+        if (hashes.size > 1) {
+            console.log('  ⚠️  Sources serve different files - only the ones matching the hash will load');
+        }
+        console.log('');
+    }
+    
+    return results;
+}
+
+// Write the hash of the first working source of each library into config.js
+function updateIntegrity(results) {
+    let source = fs.readFileSync(CONFIG_FILE, 'utf8');
+    const block = source.match(/integrity: \{[^}]*\}/);
+    if (!block) {
+        throw new Error('No integrity block found in config.js');
+    }
+    
+    let updated = block[0];
+    for (const [library, checked] of Object.entries(results)) {
+        const first = checked.find(r => r.hash);
+        if (!first) {
+            console.warn(`⚠️  ${library}: no source could be downloaded - hash left unchanged`);
+            continue;
+        }
+        
+        updated = updated.replace(new RegExp(`(${library}: )(null|'[^']*')`), `$1'${first.hash}'`);
+        console.log(`✏️  ${library}: ${first.hash} (from ${first.url})`);
+    }
+    
+    source = source.replace(block[0], updated);
+    fs.writeFileSync(CONFIG_FILE, source);
+    console.log('\n✅ Updated CONFIG.assets.integrity in config.js');
+}
+
 // Main execution
 async function main() {
     try {
@@ -173,6 +243,17 @@ async function main() {
             await checkVersionAvailability();
         }
         
+        if (process.argv.includes('--verify') || process.argv.includes('--update-sri')) {
+            const verified = await verifyIntegrity();
+            
+            if (process.argv.includes('--update-sri')) {
+                updateIntegrity(verified);
+            } else if (Object.values(verified).flat().some(r => r.matches === false)) {
+                console.error('❌ Some sources do not match their integrity hash.');
+                process.exit(1);
+            }
+        }
+        
         // Exit with error code if no CDNs are working
         const totalWorking = Object.values(results).flat().filter(r => r.success).length;
         if (totalWorking === 0) {
@@ -193,4 +274,4 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { testURL, testAllCDNs, generateRecommendations };
+module.exports = { testURL, testAllCDNs, generateRecommendations, verifyIntegrity, integrityOf };
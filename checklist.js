@@ -6,21 +6,41 @@ class ChecklistManager {
     constructor() {
         this.currentData = null;
         this.checklistItems = [];
-        this.completedItems = new Set();
+        this.itemStatus = new Map();
         this.itemNotes = new Map();
+        this.deliveredCounts = new Map();
+        this.weightByUnits = CONFIG.checklist.weightByUnits;
+        this.orphanedProgress = [];
+        this.lastReconciliation = null;
         this.lastSaved = null;
-        
-        // Load saved state if exists
-        this.loadState();
+        this.activeId = null;
+    }
+
+    /**
+     * IDs of items whose status counts as done (kept for exports and older callers)
+     */
+    get completedItems() {
+        return new Set(Array.from(this.itemStatus.entries())
+            .filter(([, entry]) => this.isDone(entry.status))
+            .map(([id]) => id));
     }
 
     /**
      * Generate checklist from parsed data
      */
     generate(parsedData) {
+        const previousItems = this.checklistItems;
+        
         this.currentData = parsedData;
         this.checklistItems = this.flattenItems(parsedData);
         
+        // Carry check state and notes over to the matching re-parsed items
+        this.lastReconciliation = this.reconcileProgress(previousItems, this.checklistItems);
+        if (this.lastReconciliation.orphaned.length > 0) {
+            this.orphanedProgress.push(...this.lastReconciliation.orphaned);
+            showToast(`${this.lastReconciliation.orphaned.length} saved item(s) no longer match the rider`, 'warning');
+        }
+        
         // Generate HTML
         const html = this.buildChecklistHTML(parsedData);
         
@@ -35,14 +55,14 @@ class ChecklistManager {
      */
     flattenItems(data) {
         const items = [];
-        let id = 0;
+        const seen = new Map();
         
         // Process by rooms if available
         if (data.rooms && data.rooms.length > 0) {
             data.rooms.forEach(room => {
                 room.items.forEach(item => {
                     items.push({
-                        id: `item_${id++}`,
+                        id: this.getItemId(item, room.id, item.category, seen),
                         ...item,
                         roomId: room.id,
                         roomName: room.name || `Room ${room.id}`
@@ -64,7 +84,7 @@ class ChecklistManager {
                     
                     if (!exists) {
                         items.push({
-                            id: `item_${id++}`,
+                            id: this.getItemId(item, item.room, category, seen),
                             ...item,
                             category: category
                         });
@@ -83,7 +103,7 @@ class ChecklistManager {
                 
                 if (!exists) {
                     items.push({
-                        id: `item_${id++}`,
+                        id: this.getItemId(item, item.room, item.category, seen),
                         ...item
                     });
                 }
@@ -93,6 +113,90 @@ class ChecklistManager {
         return items;
     }
 
+    /**
+     * Derive a stable ID from an item's content, room and category
+     * Identical lines get a numbered suffix in order of appearance.
+     */
+    getItemId(item, room, category, seen) {
+        const key = [this.normalizeName(item.name), room || '', (category || 'General').toLowerCase()].join('|');
+        const base = `item_${HashUtils.stableHash(key)}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        
+        return count > 1 ? `${base}_${count}` : base;
+    }
+
+    normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Move check state and notes from previous items onto re-parsed items
+     * Items whose content is unchanged keep their ID; items that only moved
+     * room or category are matched by name when the match is unambiguous.
+     * Anything else is reported as orphaned rather than applied to the wrong item.
+     */
+    reconcileProgress(previousItems, items) {
+        const report = { carried: 0, moved: 0, orphaned: [] };
+        const withProgress = previousItems.filter(item =>
+            this.itemStatus.has(item.id) || this.itemNotes.has(item.id) || this.deliveredCounts.has(item.id)
+        );
+        
+        const statuses = new Map();
+        const notes = new Map();
+        const delivered = new Map();
+        const claimed = new Set();
+        const newIds = new Set(items.map(item => item.id));
+        const unmatched = [];
+        
+        const transfer = (from, to) => {
+            claimed.add(to);
+            if (this.itemStatus.has(from)) statuses.set(to, this.itemStatus.get(from));
+            if (this.itemNotes.has(from)) notes.set(to, this.itemNotes.get(from));
+            if (this.deliveredCounts.has(from)) delivered.set(to, this.deliveredCounts.get(from));
+        };
+        
+        // Exact ID matches first so name matching cannot steal them
+        withProgress.forEach(item => {
+            if (newIds.has(item.id)) {
+                transfer(item.id, item.id);
+                report.carried++;
+            } else {
+                unmatched.push(item);
+            }
+        });
+        
+        unmatched.forEach(item => {
+            const name = this.normalizeName(item.name);
+            const candidates = items.filter(candidate =>
+                !claimed.has(candidate.id) && this.normalizeName(candidate.name) === name
+            );
+            
+            if (candidates.length === 1) {
+                transfer(item.id, candidates[0].id);
+                report.moved++;
+            } else {
+                report.orphaned.push({
+                    id: item.id,
+                    name: item.name,
+                    room: item.roomId || item.room || null,
+                    category: item.category || 'General',
+                    completed: this.isDone(this.getStatus(item.id)),
+                    status: this.itemStatus.get(item.id) || null,
+                    delivered: this.deliveredCounts.get(item.id) || 0,
+                    notes: this.itemNotes.get(item.id) || '',
+                    orphanedAt: new Date().toISOString()
+                });
+            }
+        });
+        
+        this.itemStatus = statuses;
+        this.itemNotes = notes;
+        this.deliveredCounts = delivered;
+        
+        return report;
+    }
+
     /**
      * Build complete checklist HTML
      */
@@ -110,6 +214,11 @@ class ChecklistManager {
             container.appendChild(this.buildAllergyWarning(data.allergies));
         }
         
+        // Progress that could not be matched after re-parsing
+        if (this.orphanedProgress.length > 0) {
+            container.appendChild(this.buildOrphanWarning());
+        }
+        
         // Action buttons
         container.appendChild(this.buildActionButtons());
         
@@ -194,6 +303,17 @@ class ChecklistManager {
         });
         container.appendChild(stats);
         
+        // Unit weighting toggle
+        const unitsToggle = DOM.create('label', { className: 'progress-units-toggle' });
+        const unitsCheckbox = DOM.create('input', {
+            type: 'checkbox',
+            onchange: (e) => this.setWeightByUnits(e.target.checked)
+        });
+        unitsCheckbox.checked = this.weightByUnits;
+        unitsToggle.appendChild(unitsCheckbox);
+        unitsToggle.appendChild(document.createTextNode(' Weight progress by units'));
+        container.appendChild(unitsToggle);
+        
         return container;
     }
 
@@ -210,6 +330,40 @@ class ChecklistManager {
         });
     }
 
+    /**
+     * Build orphaned progress warning
+     */
+    buildOrphanWarning() {
+        const warning = DOM.create('div', { className: 'orphan-warning' });
+        warning.appendChild(DOM.create('strong', { textContent: '⚠️ Unmatched progress:' }));
+        warning.appendChild(document.createTextNode(
+            ` ${this.orphanedProgress.length} saved item(s) could not be matched to the re-parsed rider and were not applied.`
+        ));
+        
+        // Names and notes come from rider text, so they are set as text rather than markup
+        const list = DOM.create('ul');
+        this.orphanedProgress.forEach(orphan => {
+            const status = orphan.status ? ` — ${this.getStatusLabel(orphan.status.status)}` : '';
+            const note = orphan.notes ? ` — note: ${orphan.notes}` : '';
+            list.appendChild(DOM.create('li', {
+                textContent: `${orphan.name}${orphan.room ? ` (Room ${orphan.room})` : ''}${status}${note}`
+            }));
+        });
+        warning.appendChild(list);
+        
+        warning.appendChild(DOM.create('button', {
+            className: 'btn btn-secondary btn-small',
+            textContent: 'Dismiss',
+            onclick: () => {
+                this.orphanedProgress = [];
+                warning.remove();
+                this.saveState();
+            }
+        }));
+        
+        return warning;
+    }
+
     /**
      * Build action buttons
      */
@@ -273,6 +427,7 @@ class ChecklistManager {
      * Build room section
      */
     buildRoomSection(room) {
+        const roomItems = this.checklistItems.filter(item => item.roomId === room.id);
         const section = DOM.create('div', {
             className: 'checklist-section',
             id: `room_${room.id}`
@@ -284,7 +439,7 @@ class ChecklistManager {
             innerHTML: `
                 <span class="section-toggle" onclick="checklistManager.toggleSection('room_${room.id}')">▼</span>
                 Room ${room.id} ${room.description ? `- ${room.description}` : ''}
-                <span class="section-count">(${room.items.length} items)</span>
+                <span class="section-count">(${roomItems.length} items)</span>
             `
         });
         section.appendChild(header);
@@ -295,7 +450,7 @@ class ChecklistManager {
         });
         
         // Group items by category within room
-        const categorized = this.groupByCategory(room.items);
+        const categorized = this.groupByCategory(roomItems);
         Object.entries(categorized).forEach(([category, items]) => {
             const categoryDiv = DOM.create('div', { className: 'checklist-category' });
             
@@ -357,8 +512,9 @@ class ChecklistManager {
      * Build individual item element
      */
     buildItemElement(item) {
+        const status = this.getStatus(item.id);
         const itemDiv = DOM.create('div', {
-            className: 'checklist-item',
+            className: `checklist-item status-${status}`,
             id: item.id
         });
         
@@ -367,15 +523,15 @@ class ChecklistManager {
             type: 'checkbox',
             className: 'checklist-checkbox',
             id: `${item.id}_check`,
-            checked: this.completedItems.has(item.id),
             onchange: (e) => this.toggleItem(item.id, e.target.checked)
         });
+        checkbox.checked = this.isDone(status);
         itemDiv.appendChild(checkbox);
         
         // Label
         const label = DOM.create('label', {
             className: 'checklist-label',
-            htmlFor: `${item.id}_check`
+            for: `${item.id}_check`
         });
         
         // Quantity
@@ -415,8 +571,34 @@ class ChecklistManager {
             }));
         }
         
+        // Status reason and timestamp
+        label.appendChild(DOM.create('span', {
+            className: 'status-detail',
+            id: `${item.id}_statusDetail`
+        }));
+        
         itemDiv.appendChild(label);
         
+        // Delivered quantity stepper
+        if (this.getRequested(item) > 1) {
+            itemDiv.appendChild(this.buildQuantityStepper(item));
+        }
+        
+        // Status selector
+        const statusSelect = DOM.create('select', {
+            className: 'checklist-status',
+            id: `${item.id}_status`,
+            onchange: (e) => this.changeStatus(item.id, e.target.value)
+        });
+        Object.entries(CONFIG.checklist.statuses).forEach(([key, config]) => {
+            statusSelect.appendChild(DOM.create('option', {
+                value: key,
+                textContent: `${config.icon} ${config.label}`
+            }));
+        });
+        statusSelect.value = status;
+        itemDiv.appendChild(statusSelect);
+        
         // Notes input
         const notes = DOM.create('input', {
             type: 'text',
@@ -427,14 +609,38 @@ class ChecklistManager {
         });
         itemDiv.appendChild(notes);
         
-        // Update completed state
-        if (this.completedItems.has(item.id)) {
-            itemDiv.classList.add('completed');
-        }
+        this.renderItemStatus(item.id, itemDiv);
         
         return itemDiv;
     }
 
+    /**
+     * Build delivered/requested stepper for multi-unit items
+     */
+    buildQuantityStepper(item) {
+        const stepper = DOM.create('div', {
+            className: 'quantity-stepper',
+            title: 'Units delivered'
+        });
+        
+        stepper.appendChild(DOM.create('button', {
+            className: 'stepper-btn',
+            textContent: '−',
+            onclick: () => this.stepDelivered(item.id, -1)
+        }));
+        stepper.appendChild(DOM.create('span', {
+            className: 'delivered-count',
+            textContent: `${this.getDelivered(item)}/${this.getRequested(item)}`
+        }));
+        stepper.appendChild(DOM.create('button', {
+            className: 'stepper-btn',
+            textContent: '+',
+            onclick: () => this.stepDelivered(item.id, 1)
+        }));
+        
+        return stepper;
+    }
+
     /**
      * Build footer actions
      */
@@ -476,20 +682,226 @@ class ChecklistManager {
      * Toggle item completion
      */
     toggleItem(itemId, checked) {
-        const itemElement = document.getElementById(itemId);
+        const { checkedStatus, defaultStatus } = CONFIG.checklist;
+        this.deliveredCounts.delete(itemId);
+        this.setStatus(itemId, checked ? checkedStatus : defaultStatus);
+    }
+
+    /**
+     * Change status from the selector, asking for a reason where one is required
+     */
+    changeStatus(itemId, status) {
+        const config = CONFIG.checklist.statuses[status];
+        if (!config) return;
+        
+        let reason = '';
+        if (config.reason) {
+            const current = this.itemStatus.get(itemId);
+            reason = prompt(`Reason for "${config.label}":`, current?.status === status ? current.reason : '');
+            
+            // Cancelled - put the selector back
+            if (reason === null) {
+                this.renderItemStatus(itemId);
+                return;
+            }
+        }
+        
+        this.setStatus(itemId, status, reason.trim());
+    }
+
+    /**
+     * Set an item's status and persist it
+     */
+    setStatus(itemId, status, reason = '') {
+        if (!this.applyStatus(itemId, status, reason)) return;
+        
+        this.renderItemStatus(itemId);
+        this.updateProgress();
+        this.saveState();
+    }
+
+    /**
+     * Record a status change with its timestamp and reason, keeping earlier states as history
+     */
+    applyStatus(itemId, status, reason = '') {
+        if (!CONFIG.checklist.statuses[status]) return false;
+        
+        const previous = this.itemStatus.get(itemId);
+        if (previous && previous.status === status && previous.reason === reason) return false;
+        if (!previous && status === CONFIG.checklist.defaultStatus) return false;
+        
+        // Received means everything arrived
+        if (status === CONFIG.checklist.checkedStatus) {
+            this.deliveredCounts.delete(itemId);
+        }
+        
+        const history = previous ? [...(previous.history || []), {
+            status: previous.status,
+            reason: previous.reason,
+            updatedAt: previous.updatedAt
+        }] : [];
+        
+        this.itemStatus.set(itemId, {
+            status,
+            reason,
+            updatedAt: new Date().toISOString(),
+            history
+        });
         
-        if (checked) {
-            this.completedItems.add(itemId);
-            itemElement?.classList.add('completed');
+        return true;
+    }
+
+    /**
+     * Sync an item element with its status
+     */
+    renderItemStatus(itemId, itemElement = document.getElementById(itemId)) {
+        if (!itemElement) return;
+        
+        const status = this.getStatus(itemId);
+        const entry = this.itemStatus.get(itemId);
+        
+        Object.keys(CONFIG.checklist.statuses).forEach(key => {
+            itemElement.classList.toggle(`status-${key}`, key === status);
+        });
+        itemElement.classList.toggle('completed', this.isDone(status));
+        
+        const item = this.findItem(itemId);
+        const counter = itemElement.querySelector('.delivered-count');
+        if (item && counter) {
+            const delivered = this.getDelivered(item);
+            const requested = this.getRequested(item);
+            counter.textContent = `${delivered}/${requested}`;
+            itemElement.classList.toggle('partial', delivered > 0 && delivered < requested);
+        }
+        
+        const checkbox = itemElement.querySelector('.checklist-checkbox');
+        if (checkbox) checkbox.checked = this.isDone(status);
+        
+        const select = itemElement.querySelector('.checklist-status');
+        if (select) select.value = status;
+        
+        const detail = itemElement.querySelector('.status-detail');
+        if (detail) {
+            detail.textContent = entry && status !== CONFIG.checklist.defaultStatus
+                ? `${this.getStatusLabel(status)} ${DateUtils.relative(entry.updatedAt)}${entry.reason ? ` — ${entry.reason}` : ''}`
+                : '';
+            detail.title = entry ? DateUtils.format(entry.updatedAt) : '';
+        }
+    }
+
+    /**
+     * Status helpers
+     */
+    getStatus(itemId) {
+        return this.itemStatus.get(itemId)?.status || CONFIG.checklist.defaultStatus;
+    }
+
+    getStatusLabel(status) {
+        return CONFIG.checklist.statuses[status]?.label || status;
+    }
+
+    isDone(status) {
+        return !!CONFIG.checklist.statuses[status]?.done;
+    }
+
+    findItem(itemId) {
+        return this.checklistItems.find(item => item.id === itemId);
+    }
+
+    /**
+     * Units requested and delivered for an item
+     * Received items without an explicit count are fully delivered.
+     */
+    getRequested(item) {
+        return Math.max(1, parseInt(item.quantity) || 1);
+    }
+
+    getDelivered(item) {
+        const requested = this.getRequested(item);
+        if (this.deliveredCounts.has(item.id)) {
+            return Math.min(this.deliveredCounts.get(item.id), requested);
+        }
+        return this.getStatus(item.id) === CONFIG.checklist.checkedStatus ? requested : 0;
+    }
+
+    /**
+     * Units that count towards progress - done statuses cover the whole line
+     */
+    getFulfilled(item) {
+        return this.isDone(this.getStatus(item.id)) ? this.getRequested(item) : this.getDelivered(item);
+    }
+
+    stepDelivered(itemId, delta) {
+        const item = this.findItem(itemId);
+        if (item) this.setDelivered(itemId, this.getDelivered(item) + delta);
+    }
+
+    /**
+     * Record units delivered, marking the item received once all have arrived
+     */
+    setDelivered(itemId, count) {
+        const item = this.findItem(itemId);
+        if (!item) return;
+        
+        const requested = this.getRequested(item);
+        const delivered = Math.max(0, Math.min(requested, count));
+        const status = this.getStatus(itemId);
+        
+        if (delivered === requested && !this.isDone(status)) {
+            this.applyStatus(itemId, CONFIG.checklist.checkedStatus);
+        } else if (delivered < requested && status === CONFIG.checklist.checkedStatus) {
+            this.applyStatus(itemId, CONFIG.checklist.defaultStatus);
+        }
+        
+        if (delivered > 0 && delivered < requested) {
+            this.deliveredCounts.set(itemId, delivered);
         } else {
-            this.completedItems.delete(itemId);
-            itemElement?.classList.remove('completed');
+            this.deliveredCounts.delete(itemId);
         }
         
+        this.renderItemStatus(itemId);
         this.updateProgress();
         this.saveState();
     }
 
+    /**
+     * Total units requested and fulfilled across the checklist
+     */
+    getUnitTotals() {
+        return this.checklistItems.reduce((totals, item) => {
+            totals.requested += this.getRequested(item);
+            totals.delivered += this.getDelivered(item);
+            totals.fulfilled += this.getFulfilled(item);
+            return totals;
+        }, { requested: 0, delivered: 0, fulfilled: 0 });
+    }
+
+    setWeightByUnits(enabled) {
+        this.weightByUnits = enabled;
+        this.updateProgress();
+        this.saveState();
+    }
+
+    /**
+     * Count checklist items per status
+     */
+    getStatusCounts() {
+        const counts = {};
+        Object.keys(CONFIG.checklist.statuses).forEach(key => counts[key] = 0);
+        this.checklistItems.forEach(item => counts[this.getStatus(item.id)]++);
+        return counts;
+    }
+
+    /**
+     * Human readable breakdown, e.g. "42 received, 3 substituted, 1 unavailable"
+     */
+    getStatusSummary(counts = this.getStatusCounts()) {
+        const parts = Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([key, count]) => `${count} ${this.getStatusLabel(key).toLowerCase()}`);
+        return parts.join(', ') || 'No items';
+    }
+
     /**
      * Update item notes
      */
@@ -507,8 +919,18 @@ class ChecklistManager {
      */
     updateProgress() {
         const total = this.checklistItems.length;
-        const completed = this.completedItems.size;
-        const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+        const counts = this.getStatusCounts();
+        const done = Object.entries(counts)
+            .filter(([key]) => this.isDone(key))
+            .reduce((sum, [, count]) => sum + count, 0);
+        const units = this.getUnitTotals();
+        
+        const percentage = this.weightByUnits
+            ? (units.requested > 0 ? Math.round((units.fulfilled / units.requested) * 100) : 0)
+            : (total > 0 ? Math.round((done / total) * 100) : 0);
+        const counted = this.weightByUnits
+            ? `${units.fulfilled} of ${units.requested} units`
+            : `${done} of ${total} items`;
         
         // Update progress bar
         const progressFill = document.getElementById('checklistProgressFill');
@@ -519,7 +941,7 @@ class ChecklistManager {
         // Update stats
         const stats = document.getElementById('checklistStats');
         if (stats) {
-            stats.textContent = `${percentage}% Complete (${completed} of ${total} items)`;
+            stats.textContent = `${percentage}% Complete (${counted}) · ${this.getStatusSummary(counts)}`;
         }
     }
 
@@ -564,11 +986,10 @@ class ChecklistManager {
      */
     checkAll() {
         this.checklistItems.forEach(item => {
-            this.completedItems.add(item.id);
-            const checkbox = document.getElementById(`${item.id}_check`);
-            if (checkbox) checkbox.checked = true;
-            const itemElement = document.getElementById(item.id);
-            if (itemElement) itemElement.classList.add('completed');
+            if (this.isDone(this.getStatus(item.id))) return;
+            this.deliveredCounts.delete(item.id);
+            this.applyStatus(item.id, CONFIG.checklist.checkedStatus);
+            this.renderItemStatus(item.id);
         });
         
         this.updateProgress();
@@ -579,9 +1000,12 @@ class ChecklistManager {
      * Uncheck all items
      */
     uncheckAll() {
-        this.completedItems.clear();
-        document.querySelectorAll('.checklist-checkbox').forEach(cb => cb.checked = false);
-        document.querySelectorAll('.checklist-item').forEach(item => item.classList.remove('completed'));
+        this.checklistItems.forEach(item => {
+            if (!this.isDone(this.getStatus(item.id))) return;
+            this.deliveredCounts.delete(item.id);
+            this.applyStatus(item.id, CONFIG.checklist.defaultStatus);
+            this.renderItemStatus(item.id);
+        });
         
         this.updateProgress();
         this.saveState();
@@ -615,14 +1039,14 @@ class ChecklistManager {
      * Reset all progress
      */
     resetAll() {
-        if (!confirm('Are you sure you want to reset all checkboxes and notes?')) return;
+        if (!confirm('Are you sure you want to reset all statuses and notes?')) return;
         
-        this.completedItems.clear();
+        this.itemStatus.clear();
         this.itemNotes.clear();
+        this.deliveredCounts.clear();
         
-        document.querySelectorAll('.checklist-checkbox').forEach(cb => cb.checked = false);
         document.querySelectorAll('.checklist-notes').forEach(input => input.value = '');
-        document.querySelectorAll('.checklist-item').forEach(item => item.classList.remove('completed'));
+        this.checklistItems.forEach(item => this.renderItemStatus(item.id));
         
         this.updateProgress();
         this.saveState();
@@ -641,22 +1065,35 @@ class ChecklistManager {
      * Show export options
      */
     showExportOptions() {
-        const data = this.getExportData();
+        const formats = [
+            { icon: '📄', label: 'JSON', hint: 'Full data, can be re-imported', action: () => this.exportJSON() },
+            { icon: '📊', label: 'CSV', hint: 'Spreadsheet of items and counts', action: () => this.exportCSV() },
+            { icon: '🌐', label: 'HTML', hint: 'Web page for sharing', action: () => this.exportHTML() },
+            { icon: '📑', label: 'PDF', hint: 'Printable checklist with sign-off', action: () => this.exportPDF() }
+        ];
         
-        // Create export modal
-        const modal = DOM.create('div', {
-            className: 'export-modal',
-            innerHTML: `
-                <h3>Export Checklist</h3>
-                <button onclick="checklistManager.exportJSON()">📄 Export as JSON</button>
-                <button onclick="checklistManager.exportCSV()">📊 Export as CSV</button>
-                <button onclick="checklistManager.exportHTML()">🌐 Export as HTML</button>
-                <button onclick="checklistManager.exportPDF()">📑 Export as PDF</button>
-            `
+        const modal = DOM.create('div', { className: 'modal active export-modal', id: 'exportModal' });
+        const close = () => modal.remove();
+        
+        modal.appendChild(DOM.create('div', { className: 'modal-overlay', onclick: close }));
+        
+        const content = DOM.create('div', { className: 'modal-content' });
+        content.appendChild(DOM.create('button', { className: 'modal-close', textContent: '×', onclick: close }));
+        content.appendChild(DOM.create('h3', { textContent: 'Export Checklist' }));
+        
+        formats.forEach(format => {
+            content.appendChild(DOM.create('button', {
+                className: 'export-option',
+                innerHTML: `<span>${format.icon}</span> <strong>${format.label}</strong> <small>${format.hint}</small>`,
+                onclick: () => {
+                    close();
+                    format.action();
+                }
+            }));
         });
         
-        // For now, just export JSON
-        this.exportJSON();
+        document.getElementById('exportModal')?.remove();
+        document.body.appendChild(modal);
     }
 
     /**
@@ -673,11 +1110,7 @@ class ChecklistManager {
      * Export as CSV
      */
     exportCSV() {
-        const items = this.checklistItems.map(item => ({
-            ...item,
-            completed: this.completedItems.has(item.id),
-            notes: this.itemNotes.get(item.id) || ''
-        }));
+        const items = this.checklistItems.map(item => this.getExportItem(item));
         
         const timestamp = DateUtils.format(new Date(), 'YYYY-MM-DD_HHmm');
         DataExport.exportCSV(items, `rider-checklist_${timestamp}.csv`);
@@ -688,29 +1121,128 @@ class ChecklistManager {
      * Export as HTML
      */
     exportHTML() {
-        const data = this.getExportData();
+        const exportItems = this.checklistItems.map(item => this.getExportItem(item));
+        const data = {
+            ...this.getExportData(),
+            rooms: (this.currentData.rooms || []).map(room => ({
+                ...room,
+                items: exportItems.filter(item => item.roomId === room.id)
+            })),
+            categories: this.groupByCategory(exportItems)
+        };
         const timestamp = DateUtils.format(new Date(), 'YYYY-MM-DD_HHmm');
         DataExport.exportHTML(data, `rider-checklist_${timestamp}.html`);
         showToast('Exported as HTML', 'success');
     }
 
+    /**
+     * Export as PDF
+     */
+    exportPDF() {
+        try {
+            const data = this.getExportData();
+            const timestamp = DateUtils.format(new Date(), 'YYYY-MM-DD_HHmm');
+            DataExport.exportPDF(data, `rider-checklist_${timestamp}.pdf`);
+            showToast('Exported as PDF', 'success');
+        } catch (error) {
+            console.error('PDF export error:', error);
+            showToast('Error generating PDF', 'error');
+        }
+    }
+
+    /**
+     * Checklist item with its status and notes, as exported
+     */
+    getExportItem(item) {
+        const status = this.getStatus(item.id);
+        const entry = this.itemStatus.get(item.id);
+        const requested = this.getRequested(item);
+        const delivered = this.getDelivered(item);
+        
+        return {
+            ...item,
+            requested: requested,
+            delivered: delivered,
+            outstanding: requested - this.getFulfilled(item),
+            status: status,
+            statusLabel: this.getStatusLabel(status),
+            statusReason: entry?.reason || '',
+            statusUpdated: entry ? entry.updatedAt : '',
+            completed: this.isDone(status),
+            notes: this.itemNotes.get(item.id) || ''
+        };
+    }
+
     /**
      * Get export data
      */
     getExportData() {
+        const total = this.checklistItems.length;
+        const completed = this.completedItems.size;
+        const counts = this.getStatusCounts();
+        const units = this.getUnitTotals();
+        
         return {
             ...this.currentData,
+            exportVersion: CONFIG.checklist.exportVersion,
+            idScheme: 'content',
             exportDate: new Date().toISOString(),
             completedItems: Array.from(this.completedItems),
+            itemStatus: Array.from(this.itemStatus.entries()),
             itemNotes: Array.from(this.itemNotes.entries()),
+            deliveredCounts: Array.from(this.deliveredCounts.entries()),
+            checklistItems: this.checklistItems.map(item => this.getExportItem(item)),
+            orphanedProgress: this.orphanedProgress,
             progress: {
-                total: this.checklistItems.length,
-                completed: this.completedItems.size,
-                percentage: Math.round((this.completedItems.size / this.checklistItems.length) * 100)
+                total: total,
+                completed: completed,
+                percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+                byStatus: counts,
+                summary: this.getStatusSummary(counts),
+                weightedByUnits: this.weightByUnits,
+                units: {
+                    requested: units.requested,
+                    delivered: units.delivered,
+                    outstanding: units.requested - units.fulfilled
+                }
             }
         };
     }
 
+    /**
+     * Build status entries for saves that only recorded checked item IDs
+     */
+    statusFromCompleted(completedIds, timestamp) {
+        const updatedAt = timestamp || new Date().toISOString();
+        return new Map(completedIds.map(id => [id, {
+            status: CONFIG.checklist.checkedStatus,
+            reason: '',
+            updatedAt,
+            history: []
+        }]));
+    }
+
+    /**
+     * Re-key progress saved with positional IDs onto content-derived IDs
+     */
+    migratePositionalIds() {
+        const remap = id => {
+            const match = /^item_(\d+)$/.exec(id);
+            const item = match ? this.checklistItems[parseInt(match[1])] : null;
+            return item ? item.id : null;
+        };
+        
+        this.itemStatus = new Map(Array.from(this.itemStatus.entries())
+            .map(([id, entry]) => [remap(id), entry])
+            .filter(([id]) => id));
+        this.itemNotes = new Map(Array.from(this.itemNotes.entries())
+            .map(([id, note]) => [remap(id), note])
+            .filter(([id]) => id));
+        this.deliveredCounts = new Map(Array.from(this.deliveredCounts.entries())
+            .map(([id, count]) => [remap(id), count])
+            .filter(([id]) => id));
+    }
+
     /**
      * Save progress
      */
@@ -720,37 +1252,157 @@ class ChecklistManager {
     }
 
     /**
-     * Save state to localStorage
+     * Save state to the checklist library
      */
     saveState() {
+        if (!this.currentData) return;
+        
+        const total = this.checklistItems.length;
+        const completed = this.completedItems.size;
         const state = {
             currentData: this.currentData,
             completedItems: Array.from(this.completedItems),
+            itemStatus: Array.from(this.itemStatus.entries()),
             itemNotes: Array.from(this.itemNotes.entries()),
+            deliveredCounts: Array.from(this.deliveredCounts.entries()),
+            weightByUnits: this.weightByUnits,
+            orphanedProgress: this.orphanedProgress,
+            idScheme: 'content',
+            progress: {
+                total: total,
+                completed: completed,
+                percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+            },
             lastSaved: new Date().toISOString()
         };
         
-        Storage.set(CONFIG.storage.checklistState, state);
+        this.activeId = checklistLibrary.save(this.activeId, state);
         this.lastSaved = new Date();
     }
 
     /**
-     * Load state from localStorage
+     * Load the last open checklist from the library (after Storage.init)
      */
     loadState() {
-        const state = Storage.get(CONFIG.storage.checklistState);
+        checklistLibrary.migrateLegacy();
+        
+        const id = checklistLibrary.getActiveId();
+        const state = checklistLibrary.load(id);
         
         if (state) {
-            this.currentData = state.currentData;
-            this.completedItems = new Set(state.completedItems || []);
-            this.itemNotes = new Map(state.itemNotes || []);
-            this.lastSaved = state.lastSaved ? new Date(state.lastSaved) : null;
+            this.activeId = id;
+            this.applyState(state);
+        }
+    }
+
+    /**
+     * Switch to a saved checklist
+     */
+    open(id) {
+        const state = checklistLibrary.load(id);
+        if (!state) return null;
+        
+        this.startNew();
+        this.activeId = id;
+        this.applyState(state);
+        checklistLibrary.setActiveId(id);
+        
+        return this.currentData;
+    }
+
+    /**
+     * Detach from the current checklist so the next one is saved as a new library entry
+     */
+    startNew() {
+        this.activeId = null;
+        this.currentData = null;
+        this.checklistItems = [];
+        this.itemStatus = new Map();
+        this.itemNotes = new Map();
+        this.deliveredCounts = new Map();
+        this.orphanedProgress = [];
+        this.lastReconciliation = null;
+        this.lastSaved = null;
+        checklistLibrary.setActiveId(null);
+    }
+
+    /**
+     * Restore checklist data and progress from a saved or imported state
+     */
+    applyState(state) {
+        this.currentData = state.currentData;
+        this.itemStatus = state.itemStatus
+            ? new Map(state.itemStatus)
+            : this.statusFromCompleted(state.completedItems || [], state.lastSaved);
+        this.itemNotes = new Map(state.itemNotes || []);
+        this.deliveredCounts = new Map(state.deliveredCounts || []);
+        this.weightByUnits = state.weightByUnits ?? CONFIG.checklist.weightByUnits;
+        this.orphanedProgress = state.orphanedProgress || [];
+        this.lastSaved = state.lastSaved ? new Date(state.lastSaved) : null;
+        
+        if (this.currentData) {
+            this.checklistItems = this.flattenItems(this.currentData);
             
-            if (this.currentData) {
-                this.checklistItems = this.flattenItems(this.currentData);
+            // Older saves keyed progress by position (item_0, item_1, ...)
+            if (state.idScheme !== 'content') {
+                this.migratePositionalIds();
             }
         }
     }
+
+    /**
+     * Restore a checklist from an exported JSON file
+     */
+    importExport(data) {
+        const state = this.migrateExport(data);
+        
+        this.startNew();
+        this.applyState(state);
+        this.saveState();
+        
+        return this.currentData;
+    }
+
+    /**
+     * Convert any supported export shape into saved-state form
+     * Version 1 exports predate exportVersion and may use positional IDs.
+     */
+    migrateExport(data) {
+        if (!data || typeof data !== 'object' || !(data.categories || data.rooms || data.items)) {
+            throw new Error('File is not a rider checklist export');
+        }
+        
+        const version = data.exportVersion || 1;
+        if (version > CONFIG.checklist.exportVersion) {
+            throw new Error(`Export version ${version} is newer than this app supports (${CONFIG.checklist.exportVersion})`);
+        }
+        
+        // Everything else in an export is the parsed rider data
+        const {
+            exportVersion, exportDate, idScheme, progress, checklistItems,
+            completedItems, itemStatus, itemNotes, deliveredCounts, orphanedProgress,
+            ...currentData
+        } = data;
+        
+        const progressIds = [
+            ...(completedItems || []),
+            ...(itemStatus || []).map(([id]) => id),
+            ...(itemNotes || []).map(([id]) => id)
+        ];
+        const positional = progressIds.length > 0 && progressIds.every(id => /^item_\d+$/.test(id));
+        
+        return {
+            currentData,
+            completedItems: completedItems || [],
+            itemStatus: itemStatus,
+            itemNotes: itemNotes || [],
+            deliveredCounts: deliveredCounts || [],
+            weightByUnits: progress?.weightedByUnits,
+            orphanedProgress: orphanedProgress || [],
+            idScheme: version >= 2 ? 'content' : (idScheme || (positional ? 'positional' : 'content')),
+            lastSaved: exportDate
+        };
+    }
 }
 
 // Create global instance
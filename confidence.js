@@ -0,0 +1,172 @@
+/**
+ * OCR Confidence Overlay
+ * Highlights words Tesseract was unsure of in the extracted text editor.
+ * A backdrop behind the transparent textarea carries the highlights, and
+ * hovering one shows the crop of the original image it was read from.
+ */
+
+class ConfidenceOverlay {
+    constructor() {
+        this.words = [];
+        this.textArea = null;
+        this.backdrop = null;
+        this.tooltip = null;
+        this.marks = [];
+    }
+
+    /**
+     * Wrap the editor textarea with a highlight backdrop
+     */
+    attach(textArea) {
+        if (!textArea || this.textArea === textArea) return;
+        this.textArea = textArea;
+        
+        const wrapper = DOM.create('div', { className: 'text-editor-wrapper' });
+        this.backdrop = DOM.create('div', { className: 'text-editor-backdrop', 'aria-hidden': 'true' });
+        textArea.parentNode.insertBefore(wrapper, textArea);
+        wrapper.appendChild(this.backdrop);
+        wrapper.appendChild(textArea);
+        
+        textArea.addEventListener('input', () => this.render());
+        textArea.addEventListener('scroll', () => this.syncScroll());
+        textArea.addEventListener('mousemove', (e) => this.handleHover(e));
+        textArea.addEventListener('mouseleave', () => this.hideTooltip());
+        
+        // Keep the backdrop the same size when the textarea is resized
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.syncScroll()).observe(textArea);
+        }
+    }
+
+    /**
+     * Replace the low-confidence words, in reading order
+     */
+    setWords(words) {
+        this.words = words || [];
+        this.render();
+    }
+
+    /**
+     * Collect low-confidence words from processFiles results (images and OCR'd PDF pages)
+     */
+    collectWords(results) {
+        return results.flatMap(result => {
+            if (result.pages) {
+                return result.pages.flatMap(page => page.ocr?.words || []);
+            }
+            return result.ocr?.words || [];
+        });
+    }
+
+    /**
+     * Find each word in the editor text, in order
+     * A word the reviewer has corrected no longer matches and drops its highlight.
+     */
+    locateWords(text) {
+        const found = [];
+        let cursor = 0;
+        
+        this.words.forEach((word, index) => {
+            const escaped = word.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(^|[^\\w])(${escaped})(?![\\w])`, 'g');
+            pattern.lastIndex = cursor;
+            
+            const match = pattern.exec(text);
+            if (!match) return;
+            
+            const start = match.index + match[1].length;
+            found.push({ index, start, end: start + word.text.length });
+            cursor = start + word.text.length;
+        });
+        
+        return found;
+    }
+
+    /**
+     * Redraw the highlights to match the current editor text
+     */
+    render() {
+        if (!this.textArea || !this.backdrop) return;
+        
+        const text = this.textArea.value;
+        this.backdrop.innerHTML = '';
+        this.marks = [];
+        this.textArea.classList.toggle('has-confidence', this.words.length > 0);
+        
+        if (this.words.length === 0) return;
+        
+        let position = 0;
+        this.locateWords(text).forEach(({ index, start, end }) => {
+            this.backdrop.appendChild(document.createTextNode(text.slice(position, start)));
+            
+            const mark = DOM.create('mark', {
+                className: 'low-confidence',
+                textContent: text.slice(start, end)
+            });
+            mark.dataset.index = index;
+            this.backdrop.appendChild(mark);
+            this.marks.push(mark);
+            
+            position = end;
+        });
+        
+        // A trailing newline needs content after it to take up a line
+        this.backdrop.appendChild(document.createTextNode(`${text.slice(position)} `));
+        this.syncScroll();
+    }
+
+    syncScroll() {
+        if (!this.backdrop || !this.textArea) return;
+        this.backdrop.scrollTop = this.textArea.scrollTop;
+        this.backdrop.scrollLeft = this.textArea.scrollLeft;
+    }
+
+    /**
+     * The textarea sits on top of the highlights, so hit-test them by position
+     */
+    handleHover(e) {
+        const mark = this.marks.find(candidate =>
+            Array.from(candidate.getClientRects()).some(rect =>
+                e.clientX >= rect.left && e.clientX <= rect.right &&
+                e.clientY >= rect.top && e.clientY <= rect.bottom
+            )
+        );
+        
+        if (!mark) {
+            this.hideTooltip();
+            return;
+        }
+        
+        this.showTooltip(mark.dataset.index, e.clientX, e.clientY);
+    }
+
+    showTooltip(index, x, y) {
+        const word = this.words[index];
+        if (!this.tooltip) {
+            this.tooltip = DOM.create('div', { className: 'confidence-tooltip' });
+            document.body.appendChild(this.tooltip);
+        }
+        
+        if (this.tooltip.dataset.index !== index) {
+            this.tooltip.innerHTML = '';
+            if (word.crop) {
+                this.tooltip.appendChild(DOM.create('img', { src: word.crop, alt: word.text }));
+            }
+            this.tooltip.appendChild(DOM.create('small', {
+                textContent: `Read as "${word.text}" · ${word.confidence}% confident`
+            }));
+            this.tooltip.dataset.index = index;
+        }
+        
+        this.tooltip.style.left = `${x + 12}px`;
+        this.tooltip.style.top = `${y + 16}px`;
+        this.tooltip.classList.add('visible');
+    }
+
+    hideTooltip() {
+        if (this.tooltip) this.tooltip.classList.remove('visible');
+    }
+}
+
+// Create global instance
+const confidenceOverlay = new ConfidenceOverlay();
@@ -14,13 +14,107 @@ const CONFIG = {
         standardFontDataFallback: 'https://unpkg.com/pdfjs-dist@3.11.174/standard_fonts/'
     },
 
+    // Library assets: self-hosted copies in vendor/ (fetched by `node vendor-assets.js`) or the CDNs
+    assets: {
+        mode: 'auto', // 'auto' uses vendor/ when its manifest is there, 'local' always does, 'cdn' never does
+        manifest: 'vendor/manifest.json',
+        probeTimeout: 3000, // ms to wait for the manifest before settling on the CDNs
+        versions: {
+            pdfjs: '3.11.174',
+            tesseract: '5.0.5',
+            tesseractCore: '5.0.0'
+        },
+        local: {
+            pdfjs: 'vendor/pdfjs/pdf.min.js',
+            pdfWorker: 'vendor/pdfjs/pdf.worker.min.js',
+            cMaps: 'vendor/pdfjs/cmaps/',
+            standardFonts: 'vendor/pdfjs/standard_fonts/',
+            tesseract: 'vendor/tesseract/tesseract.min.js',
+            tesseractWorker: 'vendor/tesseract/worker.min.js',
+            tesseractCore: 'vendor/tesseract-core', // Tesseract adds the file names itself, so no trailing slash
+            tessdata: 'vendor/tessdata'
+        },
+        cdn: {
+            // Scripts are tried in order until one loads
+            pdfjs: [
+                'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
+                'https://unpkg.com/pdfjs-dist@3.11.174/build/pdf.min.js',
+                'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js'
+            ],
+            tesseract: [
+                'https://cdnjs.cloudflare.com/ajax/libs/tesseract.js/5.0.5/tesseract.min.js',
+                'https://unpkg.com/tesseract.js@5.0.5/dist/tesseract.min.js',
+                'https://cdn.jsdelivr.net/npm/tesseract.js@5.0.5/dist/tesseract.min.js'
+            ]
+        },
+        // Subresource Integrity hash of each library script, the same file on every source
+        // (vendor/ included): all three CDNs serve the file from its npm package unchanged.
+        // A source serving anything else is skipped for the next one. null loads without a
+        // check; `node check-cdns.js --update-sri` refreshes these after a version bump.
+        integrity: {
+            pdfjs: 'sha384-/1qUCSGwTur9vjf/z9lmu/eCUYbpOTgSjmpbMQZ1/CtX2v/WcAIKqRv+U1DUCG6e',
+            tesseract: 'sha384-sZlPHqJ8Pk1GMyFXfg9vOgDjyUZZe7wE2c0NoPg2z1vs2fmI4wOC0O1ONVyr73qa'
+        }
+    },
+
     // Tesseract.js Configuration
     ocr: {
         lang: 'eng',
+        language: 'auto', // 'auto' detects each document's language and re-reads it with that traineddata
+        minPageTextLength: 25, // PDF pages with fewer text-layer characters are OCR'd
+        pdfRenderScale: 2, // Render scanned pages at 2x (~144 DPI) before OCR
+        pool: {
+            size: 'auto', // 'auto' uses one worker per core, less one for the page, up to maxWorkers
+            maxWorkers: 4, // Each worker holds its own traineddata and WASM heap
+            parallel: true // Spread OCR pages across the pool instead of reading one page at a time
+        },
+        orientation: {
+            enabled: true,
+            minConfidence: 2, // Tesseract OSD orientation confidence needed to rotate
+            maxSkew: 15, // Degrees searched either side of level
+            minSkew: 0.3, // Smaller skew angles are left alone
+            analysisSize: 800 // Longest side of the downscaled copy used for skew detection
+        },
+        confidence: {
+            threshold: 75, // Words Tesseract is less sure of are highlighted in the editor
+            maxWords: 300,
+            cropPadding: 6 // Pixels of context around each word crop
+        },
+        preprocessing: {
+            profile: 'auto', // 'auto' OCRs with every profile and keeps the most confident result
+            fallbackProfile: 'scan',
+            maxUpscale: 3,
+            profiles: {
+                // Flatbed scans: even lighting, a global threshold is enough
+                scan: { label: 'Scan', minSize: 1600, removeShadows: false, denoise: false, binarize: 'otsu' },
+                // Phone photos: shadows and gradients need a local threshold
+                photo: { label: 'Photo', minSize: 1600, removeShadows: true, shadowBlock: 32, denoise: true, binarize: 'sauvola', window: 31, k: 0.2 },
+                // Faxes: low resolution and speckled
+                fax: { label: 'Fax', minSize: 2400, removeShadows: false, denoise: true, binarize: 'otsu' }
+            }
+        },
         logger: null, // Will be set dynamically for progress tracking
         errorHandler: null
     },
 
+    // Document language detection (codes are keys of LANGUAGE_PACKS)
+    language: {
+        default: 'en',
+        minWords: 12, // Shorter texts are assumed to be in the default language
+        minShare: 0.5 // Share of the stopword hits the winning language needs
+    },
+
+    // PDF layout reconstruction (distances are multiples of the font size)
+    layout: {
+        lineTolerance: 0.4, // Baseline difference still treated as the same line
+        cellGap: 1.5, // Horizontal gap that separates table cells / columns
+        maxRowGap: 2.2, // Vertical gap that ends a table
+        anchorTolerance: 1, // Column starts closer than this are the same column
+        minTableRows: 2,
+        minColumnLines: 3,
+        gutterBand: [0.25, 0.75] // Where on the page a column gutter may sit
+    },
+
     // File Upload Configuration
     upload: {
         maxFileSize: 50 * 1024 * 1024, // 50MB
@@ -32,9 +126,16 @@ const CONFIG = {
             'image/gif',
             'image/bmp',
             'image/tiff',
-            'image/webp'
+            'image/webp',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'text/plain',
+            'application/rtf',
+            'text/rtf',
+            'message/rfc822',
+            'application/json' // Previously exported checklists
         ],
-        maxFiles: 10
+        maxFiles: 10,
+        maxEmailDepth: 2 // Forwarded emails attached to emails are read this many levels deep
     },
 
     // Text Parsing Configuration
@@ -45,15 +146,50 @@ const CONFIG = {
         maxCategoryLength: 40,
         minItemLength: 3,
         maxItemLength: 200,
-        confidenceThreshold: 0.7
+        confidenceThreshold: 0.7, // Entities scored below this are flagged for review
+        llmConfidence: 0.8 // Assumed confidence for LLM results, which carry no score
     },
 
     // Local Storage Keys
     storage: {
-        lastRider: 'riderChecklist_lastRider',
+        lastRider: 'riderChecklist_lastRider', // ID of the checklist open last
         preferences: 'riderChecklist_preferences',
-        history: 'riderChecklist_history',
-        checklistState: 'riderChecklist_state'
+        history: 'riderChecklist_history', // Library index; each checklist is saved under history_<id>
+        checklistState: 'riderChecklist_state', // Single-checklist save from earlier versions, migrated on load
+        extractionCache: 'riderChecklist_extraction', // Each cached file or scanned page is saved under extraction_<sha256>
+        syncQueue: 'riderChecklist_syncQueue' // Tasks waiting for a network connection
+    },
+
+    // Installable app: service worker caches and the queue of work that needs the network
+    pwa: {
+        enabled: true,
+        serviceWorker: 'sw.js',
+        cacheVersion: 1, // Bump when the app shell changes so installed copies drop their old cache
+        syncTag: 'rider-sync',
+        maxSyncAttempts: 5, // A queued task that keeps failing while online is dropped after this many tries
+        libraryHosts: [ // CDN responses (libraries, WASM cores, traineddata) are cached on first use
+            'cdn.jsdelivr.net',
+            'unpkg.com',
+            'cdnjs.cloudflare.com',
+            'tessdata.projectnaptha.com'
+        ]
+    },
+
+    // Extracted text reused when the same file (or scanned page) is processed again
+    cache: {
+        enabled: true,
+        maxEntries: 200, // Least recently used entries are dropped beyond this
+        version: 1 // Bump to invalidate every entry after an extraction change
+    },
+
+    // IndexedDB settings; bump version and add a Storage.migrations entry to change the schema
+    database: {
+        name: 'riderChecklist',
+        version: 1,
+        store: 'records',
+        legacyPrefix: 'riderChecklist_', // localStorage keys migrated on first run
+        legacyKeys: ['hasVisitedBefore'],
+        warnAtPercent: 90
     },
 
     // UI Configuration
@@ -64,6 +200,24 @@ const CONFIG = {
         autosaveInterval: 30000 // 30 seconds
     },
 
+    // Checklist Item Status Workflow
+    // "done" statuses count towards completion; "reason" statuses prompt for an explanation
+    checklist: {
+        defaultStatus: 'pending',
+        checkedStatus: 'received',
+        weightByUnits: false, // Progress counts units (6 bottles = 6) instead of lines
+        exportVersion: 2, // Bump when the JSON export shape changes; add a migration in migrateExport
+        statuses: {
+            pending: { label: 'Pending', icon: '○', done: false, reason: false },
+            requested: { label: 'Requested', icon: '📨', done: false, reason: false },
+            ordered: { label: 'Ordered', icon: '🛒', done: false, reason: false },
+            received: { label: 'Received', icon: '✓', done: true, reason: false },
+            substituted: { label: 'Substituted', icon: '⇄', done: true, reason: true },
+            unavailable: { label: 'Unavailable', icon: '✕', done: false, reason: true },
+            waived: { label: 'Waived by TM', icon: '✋', done: true, reason: true }
+        }
+    },
+
     // LLM Configuration
     llm: {
         enabled: false, // Set to true when API key is provided
@@ -113,17 +267,17 @@ Return JSON with this exact structure:
 const PATTERNS = {
     // Artist/Performer Detection
     artist: [
-        /(?:artist|performer|talent|act)[\s:]+([A-Z][A-Za-z\s&'\-\.]+?)(?:\n|tour|rider|dressing|management)/gi,
-        /([A-Z][A-Za-z\s&'\-\.]+?)(?:'s)?\s+(?:tour\s+)?rider/gi,
-        /(?:for|featuring|presents?)[\s:]+([A-Z][A-Za-z\s&'\-\.]+?)(?:\n|tour|rider)/gi,
-        /dressing\s+room\s+\d+\s*[-–:]\s*([A-Z][A-Za-z\s&'\-\.]+)/gi
+        /(?:artist|performer|talent|act)[\s:]+([A-Z][A-Za-z &'\-\.]+?)(?:\n|tour|rider|dressing|management)/gi,
+        /([A-Z][A-Za-z &'\-\.]+?)(?:'s)?\s+(?:tour\s+)?rider/gi,
+        /(?:for|featuring|presents?)[\s:]+([A-Z][A-Za-z &'\-\.]+?)(?:\n|tour|rider)/gi,
+        /dressing\s+room\s+\d+\s*[-–:]\s*([A-Z][A-Za-z &'\-\.]+)/gi
     ],
 
     // Room Detection
     room: [
-        /(?:dressing\s+room|room|dr|d\.r\.|area)\s*#?\s*(\d+|[A-Z])\s*[-–:)]?\s*([^\n]+)?/gi,
-        /(?:green\s+room|backstage|production\s+office|hospitality)\s*#?\s*(\d+|[A-Z])?/gi,
-        /(?:artist|talent|performer)\s+(?:room|area)\s*#?\s*(\d+|[A-Z])?/gi
+        /\b(?:dressing\s+room|room|dr|d\.r\.|area)\s*#?\s*(\d+|[A-Z])\b\s*[-–:)]?\s*([^\n]+)?/gi,
+        /\b(?:green\s+room|backstage|production\s+office|hospitality)\s*#?\s*(\d+|[A-Z])?\b/gi,
+        /\b(?:artist|talent|performer)\s+(?:room|area)\s*#?\s*(\d+|[A-Z])?\b/gi
     ],
 
     // Contact Information
@@ -140,6 +294,20 @@ const PATTERNS = {
         /\*+\s*([^\n]+?)\s+(?:allergy|allergic|restriction)/gi
     ],
 
+    // Tables rebuilt from PDF layout, one "| cell | cell |" line per row
+    table: {
+        row: /^\|(.*)\|$/,
+        separator: /^\|[\s\-:|]+\|$/,
+        columns: {
+            quantity: /^(?:qty|quantity|amount|count|no|#|units?|pcs)$/i,
+            name: /^(?:items?|description|product|requirements?|requests?|article)$/i,
+            notes: /^(?:notes?|comments?|details?|remarks?|specs?|specifications?)$/i,
+            brand: /^(?:brand|make|preferred brand)$/i,
+            room: /^(?:room|location|dressing room|area)$/i,
+            category: /^(?:category|type|section|department)$/i
+        }
+    },
+
     // Quantities
     quantity: {
         numeric: /^(\d+)\s+/,
@@ -162,6 +330,12 @@ const PATTERNS = {
         /^(wardrobe|clothing|laundry|costumes?)/i
     ],
 
+    // Show details used to label saved checklists
+    event: {
+        venue: /^[ \t]*(?:venue|location|hall)[ \t]*[:\-][ \t]*([^\n]+)/im,
+        date: /^[ \t]*(?:show|event|performance)?[ \t]*date[ \t]*[:\-][ \t]*([^\n]+)/im
+    },
+
     // Special Requirements
     special: {
         mustHave: /(?:must\s+have|essential|required|mandatory|critical)/i,
@@ -170,6 +344,25 @@ const PATTERNS = {
         timing: /(?:by|before|after|at)\s+(\d{1,2}:\d{2}\s*(?:am|pm)?|\d{1,2}\s*(?:hours?|hrs?|minutes?|mins?))/i
     },
 
+    // Text Normalization (applied before any parsing)
+    normalize: {
+        bullet: /^( *)(?:[•◦▪▫■□●○◆◇►▶▸‣⁃∙·➢➤➔→✓✔☐☑❖]|[oO](?=\s+[A-Z0-9]))\s*/,
+        hyphenBreak: /([A-Za-zÀ-ÿ])[-\u00ad]\n *([a-zà-ÿ])/g,
+        pageBreak: '\f',
+        fileSeparator: /^---\s.+\s---$/,
+        pageNumber: [
+            /^page\s+\d+(?:\s*(?:of|\/)\s*\d+)?$/i,
+            /^[-–—]\s*\d{1,4}\s*[-–—]$/,
+            /^\d{1,4}\s*(?:of|\/)\s*\d{1,4}$/i,
+            /^\d{1,4}$/
+        ],
+        // Footer text carrying a page number, e.g. "Tour Rider - Page 3 of 12"
+        runningNumber: /\b(?:page|p\.|pg\.?|seite|página|pagina)\s*\d+|\d+\s*(?:of|\/)\s*\d+$/i,
+        // Bullet and quantity lines are items, never running headers
+        itemLine: /^(?:[-–*+•◦▪▫■□●○◆◇►▶▸‣⁃∙·➢➤➔→✓✔☐☑❖]\s|\d+\s*[x×]\s|\(\d+\)\s)/i,
+        tabWidth: 4
+    },
+
     // Items and Products
     item: /^[\s\-•*]*(?:(\d+|one|two|three|four|five|six|seven|eight|nine|ten|dozen)\s+)?(?:\((\d+)\)\s+)?([^\n]+?)(?:\s*[-–]\s*([^\n]+))?$/i
 };
@@ -239,6 +432,235 @@ const COMMON_ALLERGENS = [
     'sulfites', 'preservatives'
 ];
 
+// Language Packs for International Riders
+// English comes from the tables above; other packs add to them when a document
+// is detected in that language. Categories and allergens map onto English names
+// so checklists group the same way whatever language the rider was written in.
+const LANGUAGE_PACKS = {
+    en: {
+        name: 'English',
+        tesseract: 'eng',
+        stopwords: ['the', 'and', 'of', 'with', 'for', 'to', 'in', 'please', 'each', 'per', 'is', 'be', 'must', 'should', 'all', 'any']
+    },
+
+    es: {
+        name: 'Spanish',
+        tesseract: 'spa',
+        stopwords: ['el', 'la', 'los', 'las', 'del', 'y', 'con', 'para', 'por', 'una', 'que', 'sin', 'al', 'se', 'cada', 'favor', 'debe'],
+        hints: /[ñ¿¡]/g,
+        numbers: {
+            'uno': 1, 'una': 1, 'un': 1, 'dos': 2, 'tres': 3, 'cuatro': 4, 'cinco': 5, 'seis': 6,
+            'siete': 7, 'ocho': 8, 'nueve': 9, 'diez': 10, 'once': 11, 'doce': 12,
+            'docena': 12, 'media docena': 6, 'caja': 24, 'par': 2
+        },
+        partitive: /^(?:de|del)\s+/i,
+        units: {
+            'bottle': /botellas?/i,
+            'can': /latas?/i,
+            'case': /cajas?/i,
+            'pack': /paquetes?/i,
+            'bag': /bolsas?/i,
+            'liter': /litros?/i
+        },
+        categories: [
+            [/^(bebidas?|tragos|alcohol|licores?)/i, 'Beverages'],
+            [/^(comidas?|alimentos?|aperitivos|botanas|frutas?|verduras)/i, 'Food'],
+            [/^(equipos?|equipamiento|t[eé]cnica|producci[oó]n|sonido|iluminaci[oó]n)/i, 'Equipment'],
+            [/^(mobiliario|muebles)/i, 'Furniture'],
+            [/^(art[ií]culos\s+de\s+aseo|aseo|higiene|ba[ñn]o)/i, 'Personal Care'],
+            [/^(hospitalidad|servicio)/i, 'Hospitality'],
+            [/^(vestuario|ropa|lavander[ií]a)/i, 'Wardrobe'],
+            [/^(seguridad|acreditaciones|pases)/i, 'Security'],
+            [/^(transporte|estacionamiento|veh[ií]culos?)/i, 'Transportation']
+        ],
+        categoryKeywords: {
+            beverages: ['agua', 'refresco', 'jugo', 'zumo', 'café', 'cerveza', 'vino', 'bebida', 'botella', 'lata'],
+            food: ['sándwich', 'bocadillo', 'ensalada', 'fruta', 'verdura', 'comida', 'cena', 'almuerzo', 'desayuno', 'chocolate', 'queso', 'carne', 'pollo', 'pescado'],
+            equipment: ['micrófono', 'altavoz', 'cable', 'cargador', 'enchufe'],
+            furniture: ['silla', 'mesa', 'sofá', 'espejo', 'lámpara', 'perchero'],
+            toiletries: ['jabón', 'champú', 'toalla', 'pañuelos', 'papel higiénico', 'desodorante'],
+            wardrobe: ['plancha', 'vaporizador', 'percha', 'lavandería'],
+            hospitality: ['azúcar', 'leche', 'miel', 'limón', 'hielo', 'servilleta', 'plato', 'vaso', 'taza']
+        },
+        allergy: [
+            /(?:alergias?|al[eé]rgic[oa]s?|evitar|no\s+(?:servir|incluir))[\s:]*(?:(?:a|al|de)\s+)?([^\n\.]+)/gi
+        ],
+        allergyExplicit: /al[eé]rg/i,
+        allergens: {
+            'cacahuetes': 'peanuts', 'cacahuates': 'peanuts', 'maní': 'peanuts', 'frutos secos': 'tree nuts',
+            'nueces': 'nuts', 'almendras': 'almonds', 'anacardos': 'cashews', 'lácteos': 'dairy', 'leche': 'milk',
+            'queso': 'cheese', 'lactosa': 'lactose', 'trigo': 'wheat', 'mariscos': 'shellfish', 'camarones': 'shrimp',
+            'gambas': 'shrimp', 'langosta': 'lobster', 'cangrejo': 'crab', 'ostras': 'oysters', 'huevos': 'eggs',
+            'soja': 'soy', 'pescado': 'fish', 'salmón': 'salmon', 'atún': 'tuna', 'sésamo': 'sesame', 'sulfitos': 'sulfites'
+        },
+        room: [
+            /\b(?:camerino|sala)\s*#?\s*(\d+|[A-Z])\b\s*[-–:)]?\s*([^\n]+)?/gi
+        ]
+    },
+
+    fr: {
+        name: 'French',
+        tesseract: 'fra',
+        stopwords: ['le', 'les', 'des', 'du', 'et', 'avec', 'pour', 'une', 'dans', 'sur', 'pas', 'sans', 'au', 'aux', 'est', 'chaque', 'merci'],
+        hints: /[èêëœ]/g,
+        numbers: {
+            'un': 1, 'une': 1, 'deux': 2, 'trois': 3, 'quatre': 4, 'cinq': 5, 'six': 6, 'sept': 7,
+            'huit': 8, 'neuf': 9, 'dix': 10, 'onze': 11, 'douze': 12,
+            'douzaine': 12, 'demi-douzaine': 6, 'caisse': 24, 'paire': 2
+        },
+        partitive: /^(?:de|d'|des)\s*/i,
+        units: {
+            'bottle': /bouteilles?/i,
+            'can': /canettes?/i,
+            'case': /caisses?|cartons?/i,
+            'pack': /paquets?/i,
+            'bag': /sacs?/i
+        },
+        categories: [
+            [/^(boissons?|alcools?|spiritueux)/i, 'Beverages'],
+            [/^(nourriture|repas|restauration|collations?|fruits?|l[ée]gumes)/i, 'Food'],
+            [/^([ée]quipements?|mat[ée]riel|technique|son|lumi[èe]res?)/i, 'Equipment'],
+            [/^(mobilier|meubles)/i, 'Furniture'],
+            [/^(articles\s+de\s+toilette|toilette|hygi[èe]ne|salle\s+de\s+bains?)/i, 'Personal Care'],
+            [/^(accueil|hospitalit[ée])/i, 'Hospitality'],
+            [/^(costumes?|habillement|blanchisserie)/i, 'Wardrobe'],
+            [/^(s[ée]curit[ée]|accr[ée]ditations?|laissez-passer)/i, 'Security'],
+            [/^(transports?|stationnement|v[ée]hicules?)/i, 'Transportation']
+        ],
+        categoryKeywords: {
+            beverages: ['jus', 'thé', 'café', 'bière', 'vin', 'boisson', 'bouteille', 'soda'],
+            food: ['salade', 'fruit', 'légume', 'repas', 'dîner', 'déjeuner', 'chocolat', 'noix', 'fromage', 'viande', 'poulet', 'poisson'],
+            equipment: ['micro', 'enceinte', 'câble', 'chargeur', 'rallonge'],
+            furniture: ['chaise', 'canapé', 'miroir', 'lampe', 'portant'],
+            toiletries: ['savon', 'shampooing', 'serviette', 'mouchoirs', 'papier toilette', 'déodorant'],
+            wardrobe: ['fer à repasser', 'défroisseur', 'cintre', 'blanchisserie'],
+            hospitality: ['sucre', 'lait', 'miel', 'citron', 'glaçons', 'assiette', 'verre', 'tasse']
+        },
+        allergy: [
+            /(?:allergi(?:ques?|es?)|pas\s+de|[ée]viter|ne\s+pas\s+servir)[\s:]*(?:(?:[àa]|aux?)\s+)?([^\n\.]+)/gi
+        ],
+        allergyExplicit: /allerg/i,
+        allergens: {
+            'arachides': 'peanuts', 'cacahuètes': 'peanuts', 'fruits à coque': 'tree nuts', 'noix': 'nuts',
+            'amandes': 'almonds', 'produits laitiers': 'dairy', 'lait': 'milk', 'fromage': 'cheese', 'blé': 'wheat',
+            'fruits de mer': 'shellfish', 'crustacés': 'shellfish', 'crevettes': 'shrimp', 'homard': 'lobster',
+            'crabe': 'crab', 'huîtres': 'oysters', 'œufs': 'eggs', 'oeufs': 'eggs', 'soja': 'soy', 'poisson': 'fish',
+            'saumon': 'salmon', 'thon': 'tuna', 'sésame': 'sesame'
+        },
+        room: [
+            /\b(?:loge|salle)\s*#?\s*(\d+|[A-Z])\b\s*[-–:)]?\s*([^\n]+)?/gi
+        ]
+    },
+
+    de: {
+        name: 'German',
+        tesseract: 'deu',
+        stopwords: ['der', 'die', 'das', 'und', 'mit', 'für', 'von', 'ein', 'eine', 'im', 'auf', 'nicht', 'bitte', 'zu', 'den', 'dem', 'keine', 'pro'],
+        hints: /[äöüß]/g,
+        numbers: {
+            'ein': 1, 'eine': 1, 'zwei': 2, 'drei': 3, 'vier': 4, 'fünf': 5, 'sechs': 6, 'sieben': 7,
+            'acht': 8, 'neun': 9, 'zehn': 10, 'elf': 11, 'zwölf': 12,
+            'dutzend': 12, 'halbes dutzend': 6, 'kiste': 24, 'paar': 2
+        },
+        units: {
+            'bottle': /flaschen?/i,
+            'can': /dosen?/i,
+            'case': /kisten?/i,
+            'pack': /packungen?/i,
+            'bag': /beutel|tüten?/i
+        },
+        categories: [
+            [/^(getr[äa]nke|alkohol|spirituosen)/i, 'Beverages'],
+            [/^(essen|speisen|verpflegung|obst|gem[üu]se)/i, 'Food'],
+            [/^(technik|ausr[üu]stung|ton|licht)/i, 'Equipment'],
+            [/^(m[öo]bel|mobiliar|einrichtung)/i, 'Furniture'],
+            [/^(hygiene(?:artikel)?|k[öo]rperpflege|badezimmer)/i, 'Personal Care'],
+            [/^(bewirtung|gastfreundschaft)/i, 'Hospitality'],
+            [/^(kost[üu]me?|kleidung|w[äa]scherei)/i, 'Wardrobe'],
+            [/^(sicherheit|akkreditierungen?|p[äa]sse)/i, 'Security'],
+            [/^(transport|parkpl[äa]tze|fahrzeuge)/i, 'Transportation']
+        ],
+        categoryKeywords: {
+            beverages: ['wasser', 'saft', 'tee', 'kaffee', 'bier', 'wein', 'getränk', 'flasche'],
+            food: ['brot', 'salat', 'obst', 'gemüse', 'abendessen', 'mittagessen', 'frühstück', 'schokolade', 'nüsse', 'käse', 'fleisch', 'hähnchen', 'fisch'],
+            equipment: ['mikrofon', 'lautsprecher', 'kabel', 'ladegerät', 'verlängerung', 'steckdose'],
+            furniture: ['stuhl', 'stühle', 'tisch', 'spiegel', 'lampe', 'kleiderständer'],
+            toiletries: ['seife', 'handtuch', 'handtücher', 'taschentücher', 'toilettenpapier', 'deo'],
+            wardrobe: ['bügeleisen', 'kleiderbügel', 'wäsche'],
+            hospitality: ['zucker', 'milch', 'honig', 'zitrone', 'servietten', 'teller', 'gläser', 'tassen']
+        },
+        allergy: [
+            /(?:allergi(?:sch(?:e[nrs]?)?|en?)|unvertr[äa]glichkeit(?:en)?|vermeiden|nicht\s+servieren)[\s:]*(?:(?:gegen|auf)\s+)?([^\n\.]+)/gi
+        ],
+        allergyExplicit: /allerg|unvertr[äa]glich/i,
+        allergens: {
+            'erdnüsse': 'peanuts', 'erdnuss': 'peanuts', 'nüsse': 'nuts', 'baumnüsse': 'tree nuts', 'mandeln': 'almonds',
+            'cashewkerne': 'cashews', 'walnüsse': 'walnuts', 'milchprodukte': 'dairy', 'milch': 'milk', 'käse': 'cheese',
+            'laktose': 'lactose', 'weizen': 'wheat', 'schalentiere': 'shellfish', 'meeresfrüchte': 'shellfish',
+            'garnelen': 'shrimp', 'krabben': 'crab', 'hummer': 'lobster', 'austern': 'oysters', 'eier': 'eggs',
+            'soja': 'soy', 'fisch': 'fish', 'lachs': 'salmon', 'thunfisch': 'tuna', 'sesam': 'sesame', 'sulfite': 'sulfites'
+        },
+        room: [
+            /\b(?:garderobe|raum)\s*#?\s*(\d+|[A-Z])\b\s*[-–:)]?\s*([^\n]+)?/gi
+        ]
+    },
+
+    pt: {
+        name: 'Portuguese',
+        tesseract: 'por',
+        stopwords: ['os', 'do', 'da', 'dos', 'das', 'com', 'para', 'por', 'um', 'uma', 'em', 'não', 'sem', 'no', 'na', 'cada', 'favor'],
+        hints: /[ãõ]/g,
+        numbers: {
+            'um': 1, 'uma': 1, 'dois': 2, 'duas': 2, 'três': 3, 'quatro': 4, 'cinco': 5, 'seis': 6,
+            'sete': 7, 'oito': 8, 'nove': 9, 'dez': 10, 'onze': 11, 'doze': 12,
+            'dúzia': 12, 'meia dúzia': 6, 'caixa': 24, 'par': 2
+        },
+        partitive: /^(?:de|do|da)\s+/i,
+        units: {
+            'bottle': /garrafas?/i,
+            'can': /latas?/i,
+            'case': /caixas?/i,
+            'pack': /pacotes?/i,
+            'bag': /sacos?|sacolas?/i,
+            'liter': /litros?/i
+        },
+        categories: [
+            [/^(bebidas?|[áa]lcool|destilados)/i, 'Beverages'],
+            [/^(comidas?|alimenta[çc][ãa]o|alimentos|lanches|petiscos|frutas?|legumes)/i, 'Food'],
+            [/^(equipamentos?|t[ée]cnica|produ[çc][ãa]o|som|ilumina[çc][ãa]o)/i, 'Equipment'],
+            [/^(mobili[áa]rio|m[óo]veis)/i, 'Furniture'],
+            [/^(higiene|artigos\s+de\s+higiene|banheiro)/i, 'Personal Care'],
+            [/^(hospitalidade|servi[çc]o)/i, 'Hospitality'],
+            [/^(figurino|roupas|lavanderia)/i, 'Wardrobe'],
+            [/^(seguran[çc]a|credenciais|credenciamento)/i, 'Security'],
+            [/^(transporte|estacionamento|ve[íi]culos?)/i, 'Transportation']
+        ],
+        categoryKeywords: {
+            beverages: ['água', 'suco', 'chá', 'café', 'cerveja', 'vinho', 'bebida', 'garrafa', 'refrigerante'],
+            food: ['sanduíche', 'salada', 'fruta', 'legume', 'refeição', 'jantar', 'almoço', 'chocolate', 'castanhas', 'queijo', 'carne', 'frango', 'peixe'],
+            equipment: ['microfone', 'caixa de som', 'cabo', 'carregador', 'extensão'],
+            furniture: ['cadeira', 'mesa', 'sofá', 'espelho', 'luminária', 'arara'],
+            toiletries: ['sabonete', 'xampu', 'toalha', 'lenços', 'papel higiênico', 'desodorante'],
+            wardrobe: ['ferro de passar', 'vaporizador', 'cabide', 'lavanderia'],
+            hospitality: ['açúcar', 'leite', 'limão', 'gelo', 'guardanapo', 'prato', 'copo', 'xícara']
+        },
+        allergy: [
+            /(?:alergias?|al[ée]rgic[oa]s?|evitar|n[ãa]o\s+(?:servir|incluir))[\s:]*(?:(?:a|ao|[àa])\s+)?([^\n\.]+)/gi
+        ],
+        allergyExplicit: /al[ée]rg/i,
+        allergens: {
+            'amendoim': 'peanuts', 'castanhas': 'tree nuts', 'nozes': 'nuts', 'amêndoas': 'almonds',
+            'laticínios': 'dairy', 'leite': 'milk', 'queijo': 'cheese', 'glúten': 'gluten', 'trigo': 'wheat',
+            'frutos do mar': 'shellfish', 'camarão': 'shrimp', 'lagosta': 'lobster', 'caranguejo': 'crab',
+            'ostras': 'oysters', 'ovos': 'eggs', 'soja': 'soy', 'peixe': 'fish', 'salmão': 'salmon', 'atum': 'tuna',
+            'gergelim': 'sesame', 'sulfitos': 'sulfites'
+        },
+        room: [
+            /\b(?:camarim|sala)\s*#?\s*(\d+|[A-Z])\b\s*[-–:)]?\s*([^\n]+)?/gi
+        ]
+    }
+};
+
 // Export configuration
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -247,6 +669,7 @@ if (typeof module !== 'undefined' && module.exports) {
         CATEGORY_KEYWORDS,
         QUANTITY_MAP,
         ROOM_TYPES,
-        COMMON_ALLERGENS
+        COMMON_ALLERGENS,
+        LANGUAGE_PACKS
     };
 }
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Library Diagnostics
+ * A panel showing where each library was loaded from, how long it took,
+ * which version it reports and whether its integrity was checked, where
+ * OCR workers load their script, core and traineddata from, plus a health
+ * check that fetches every configured CDN source and verifies its hash
+ * against CONFIG.assets.integrity.
+ */
+
+class LibraryDiagnostics {
+    show() {
+        document.getElementById('diagnosticsModal')?.remove();
+        
+        const modal = DOM.create('div', { className: 'modal active diagnostics-modal', id: 'diagnosticsModal' });
+        const close = () => modal.remove();
+        
+        modal.appendChild(DOM.create('div', { className: 'modal-overlay', onclick: close }));
+        
+        const content = DOM.create('div', { className: 'modal-content' });
+        content.appendChild(DOM.create('button', { className: 'modal-close', textContent: '×', onclick: close }));
+        content.appendChild(DOM.create('h3', { textContent: '🩺 Library Diagnostics' }));
+        content.appendChild(DOM.create('p', {
+            className: 'diagnostics-summary',
+            textContent: `Assets: ${assetLoader.describe()} (mode: ${CONFIG.assets.mode}) - PDF.js worker: ${this.workerSource()}`
+        }));
+        content.appendChild(this.buildLoadTable());
+        content.appendChild(DOM.create('h4', { textContent: 'Tesseract worker assets' }));
+        content.appendChild(this.buildTable(['Asset', 'Requested from', 'Expected', 'OK'], this.tesseractRows()));
+        
+        const results = DOM.create('div', { className: 'diagnostics-health' });
+        const checkBtn = DOM.create('button', {
+            className: 'btn btn-secondary',
+            innerHTML: '<span>📡</span> Check CDNs',
+            onclick: async () => {
+                checkBtn.disabled = true;
+                results.innerHTML = '<p>Checking sources...</p>';
+                try {
+                    const checked = await this.checkSources();
+                    results.innerHTML = '';
+                    results.appendChild(this.buildHealthTable(checked));
+                } finally {
+                    checkBtn.disabled = false;
+                }
+            }
+        });
+        content.appendChild(checkBtn);
+        content.appendChild(results);
+        
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+    }
+
+    workerSource() {
+        const src = typeof pdfjsLib !== 'undefined' && pdfjsLib.GlobalWorkerOptions.workerSrc
+            ? pdfjsLib.GlobalWorkerOptions.workerSrc
+            : assetLoader.pdfOptions().workerSrc;
+        return assetLoader.describeSource(src);
+    }
+
+    /**
+     * One row per library as it was loaded on this page
+     */
+    buildLoadTable() {
+        const rows = Object.keys(CONFIG.assets.cdn).map(name => {
+            const load = assetLoader.loads[name];
+            const failed = load ? load.attempts.map(attempt => `${assetLoader.describeSource(attempt.src)}: ${attempt.error}`) : [];
+            
+            return [
+                name,
+                load ? assetLoader.describeSource(load.src) : 'not requested',
+                assetLoader.version(name) || '-',
+                load && load.ms !== null ? `${load.ms} ms` : '-',
+                load?.integrity ? '✅ checked' : 'no hash configured',
+                failed.length > 0 ? failed.join('; ') : 'none'
+            ];
+        });
+        
+        return this.buildTable(['Library', 'Served by', 'Version', 'Load time', 'Integrity', 'Failed sources'], rows);
+    }
+
+    /**
+     * Where OCR workers were told to load their script, core and traineddata,
+     * against the detected asset source
+     */
+    tesseractRows() {
+        const paths = ocrProcessor.tesseractPaths;
+        const expected = assetLoader.isLocal() ? 'self-hosted' : 'CDN';
+        const assets = [['Worker script', 'workerPath'], ['WASM core', 'corePath'], ['Traineddata', 'langPath']];
+        
+        return assets.map(([label, key]) => {
+            if (!paths) return [label, 'no OCR worker started yet', expected, '-'];
+            
+            const source = paths[key] ? assetLoader.describeSource(paths[key]) : 'Tesseract.js default (CDN)';
+            const matches = assetLoader.isLocal() ? source === 'self-hosted' : !paths[key];
+            return [label, paths[key] ? `${source} (${paths[key]})` : source, expected, matches ? '✅' : '❌'];
+        });
+    }
+
+    /**
+     * Fetch every CDN source of every library, timing it and hashing the response
+     */
+    async checkSources() {
+        const checks = Object.entries(CONFIG.assets.cdn).flatMap(([name, sources]) => sources.map(src => ({ name, src })));
+        return Promise.all(checks.map(check => this.checkSource(check)));
+    }
+
+    async checkSource({ name, src }) {
+        const expected = CONFIG.assets.integrity[name] || null;
+        const started = performance.now();
+        
+        try {
+            // 'reload' skips the HTTP cache, and the service worker lets it through to the network
+            const response = await fetch(src, { cache: 'reload' });
+            const data = await response.arrayBuffer();
+            const ms = Math.round(performance.now() - started);
+            const hash = response.ok ? await HashUtils.integrity(data) : null;
+            
+            return {
+                name, src, ms,
+                status: response.status,
+                size: data.byteLength,
+                hash,
+                matches: expected && hash ? hash === expected : null
+            };
+        } catch (error) {
+            return { name, src, ms: null, status: null, error: navigator.onLine ? error.message : 'offline' };
+        }
+    }
+
+    buildHealthTable(results) {
+        const rows = results.map(result => {
+            let integrity = '-';
+            if (result.matches === true) integrity = '✅ matches';
+            else if (result.matches === false) integrity = '❌ mismatch';
+            else if (result.hash) integrity = `no hash configured (${result.hash})`;
+            
+            return [
+                result.name,
+                assetLoader.describeSource(result.src),
+                result.error ? `❌ ${result.error}` : `${result.status >= 200 && result.status < 300 ? '✅' : '❌'} ${result.status}`,
+                result.ms !== null ? `${result.ms} ms` : '-',
+                result.size ? FileUtils.formatSize(result.size) : '-',
+                integrity
+            ];
+        });
+        
+        return this.buildTable(['Library', 'Source', 'Status', 'Latency', 'Size', 'Integrity'], rows);
+    }
+
+    buildTable(headers, rows) {
+        const table = DOM.create('table', { className: 'diagnostics-table' });
+        const head = DOM.create('tr');
+        headers.forEach(header => head.appendChild(DOM.create('th', { textContent: header })));
+        table.appendChild(head);
+        
+        rows.forEach(cells => {
+            const row = DOM.create('tr');
+            cells.forEach(cell => row.appendChild(DOM.create('td', { textContent: cell })));
+            table.appendChild(row);
+        });
+        
+        return table;
+    }
+}
+
+// Create global instance
+const libraryDiagnostics = new LibraryDiagnostics();
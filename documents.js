@@ -0,0 +1,599 @@
+/**
+ * Document Text Extraction
+ * Reads riders that arrive as Word documents (.docx), plain text, RTF or
+ * email (.eml) without a server. DOCX and RTF tables come out as the same
+ * pipe-delimited rows LayoutAnalyzer produces for PDF tables; emails yield
+ * their body and their attachments as File objects for OCRProcessor to read.
+ */
+
+class DocumentExtractor {
+    constructor() {
+        this.wordNamespace = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+        
+        // RTF groups whose text is not document content
+        this.rtfSkipGroups = new Set([
+            'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+            'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+            'rsidtbl', 'generator', 'fldinst', 'header', 'headerl', 'headerr', 'headerf',
+            'footer', 'footerl', 'footerr', 'footerf', 'xmlnstbl', 'mmathPr', 'filetbl'
+        ]);
+    }
+
+    /**
+     * Format of a file: 'pdf', 'image', 'docx', 'rtf', 'text', 'email' or null
+     * The extension decides when the browser reports no or a generic MIME type.
+     */
+    detectFormat(file) {
+        const type = (file.type || '').toLowerCase();
+        const extension = FileUtils.getExtension(file.name || '');
+        
+        if (type === 'application/pdf' || extension === 'pdf') return 'pdf';
+        if (type.startsWith('image/')) return 'image';
+        if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || extension === 'docx') return 'docx';
+        if (type === 'application/rtf' || type === 'text/rtf' || extension === 'rtf') return 'rtf';
+        if (type === 'message/rfc822' || type === 'application/vnd.ms-outlook' || ['eml', 'msg'].includes(extension)) return 'email';
+        if (type === 'text/plain' || extension === 'txt') return 'text';
+        if (['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tif', 'tiff', 'webp'].includes(extension)) return 'image';
+        
+        return null;
+    }
+
+    /**
+     * Text of a .docx, .rtf or .txt file
+     */
+    async extract(file, format = this.detectFormat(file)) {
+        if (format === 'docx') return this.extractDocx(await this.readBytes(file));
+        if (format === 'rtf') return this.extractRTF(this.toBinaryString(await this.readBytes(file)));
+        if (format === 'text') return this.normalize(await FileUtils.readAsText(file));
+        throw new Error(`Cannot extract text from ${file.name}`);
+    }
+
+    async readBytes(file) {
+        return new Uint8Array(await file.arrayBuffer());
+    }
+
+    /**
+     * Line endings unified, trailing spaces and long runs of blank lines removed
+     */
+    normalize(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Paragraphs and tables of word/document.xml, in document order
+     */
+    async extractDocx(bytes) {
+        const entries = this.readZip(bytes);
+        const documentEntry = entries.get('word/document.xml');
+        if (!documentEntry) throw new Error('Not a Word document (word/document.xml missing)');
+        
+        const xml = new TextDecoder('utf-8').decode(await this.unzipEntry(bytes, documentEntry));
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Word document XML could not be read');
+        }
+        
+        const body = doc.getElementsByTagNameNS(this.wordNamespace, 'body')[0];
+        return body ? this.normalize(this.readWordBlocks(body).join('\n')) : '';
+    }
+
+    /**
+     * Lines for the paragraphs and tables directly inside a container
+     * Content controls (w:sdt) are unwrapped; tables become pipe-delimited rows.
+     */
+    readWordBlocks(container) {
+        const lines = [];
+        
+        Array.from(container.children).forEach(node => {
+            if (node.localName === 'p') {
+                lines.push(this.readWordParagraph(node));
+            } else if (node.localName === 'tbl') {
+                lines.push('', this.readWordTable(node), '');
+            } else if (node.localName === 'sdt') {
+                const content = Array.from(node.children).find(child => child.localName === 'sdtContent');
+                if (content) lines.push(...this.readWordBlocks(content));
+            }
+        });
+        
+        return lines;
+    }
+
+    readWordParagraph(paragraph) {
+        let text = '';
+        
+        const walk = (node) => {
+            Array.from(node.children).forEach(child => {
+                switch (child.localName) {
+                    case 't':
+                        text += child.textContent;
+                        break;
+                    case 'tab':
+                        text += '\t';
+                        break;
+                    case 'br':
+                    case 'cr':
+                        text += '\n';
+                        break;
+                    case 'delText':
+                    case 'instrText':
+                    case 'pPr':
+                    case 'rPr':
+                        // Deleted revisions, field codes and formatting
+                        break;
+                    default:
+                        walk(child);
+                }
+            });
+        };
+        walk(paragraph);
+        
+        // Numbered and bulleted paragraphs keep a bullet so list items still read as items
+        const properties = Array.from(paragraph.children).find(child => child.localName === 'pPr');
+        const isListItem = properties && Array.from(properties.children).some(child => child.localName === 'numPr');
+        return isListItem && text.trim() ? `• ${text}` : text;
+    }
+
+    readWordTable(table) {
+        const rows = Array.from(table.children)
+            .filter(node => node.localName === 'tr')
+            .map(row => Array.from(row.children)
+                .filter(node => node.localName === 'tc')
+                .map(cell => this.readWordBlocks(cell).join(' ').replace(/\s+/g, ' ').trim()))
+            .filter(cells => cells.some(Boolean));
+        
+        return layoutAnalyzer.renderTable({ rows });
+    }
+
+    /**
+     * Central directory of a ZIP archive as a Map of name -> entry
+     */
+    readZip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        
+        // The end-of-central-directory record sits in the last 64 KB (after an optional comment)
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Not a ZIP archive');
+        
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const entries = new Map();
+        
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Damaged ZIP archive');
+            
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = new TextDecoder('utf-8').decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        
+        return entries;
+    }
+
+    /**
+     * Uncompressed bytes of a ZIP entry (stored or deflated)
+     */
+    async unzipEntry(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const local = entry.localOffset;
+        const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+        
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot unpack Word documents');
+        }
+        
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Plain text of an RTF document
+     * Header tables, pictures and other destinations are skipped; \cell and
+     * \row table markup becomes pipe-delimited rows.
+     */
+    extractRTF(source) {
+        let output = '';
+        let cell = '';
+        let row = [];
+        let rows = [];
+        let inTable = false;
+        let decoder = this.codePageDecoder(1252);
+        
+        let state = { skip: false, unicodeSkip: 1 };
+        const stack = [];
+        let pendingSkip = 0;
+        let ignorable = false;
+        
+        const flushTable = () => {
+            if (rows.length === 0) return;
+            output += `\n${layoutAnalyzer.renderTable({ rows })}\n`;
+            rows = [];
+        };
+        
+        const emit = (text) => {
+            if (state.skip || !text) return;
+            if (pendingSkip > 0) {
+                const skipped = Math.min(pendingSkip, text.length);
+                pendingSkip -= skipped;
+                text = text.slice(skipped);
+                if (!text) return;
+            }
+            
+            if (inTable) {
+                cell += text;
+            } else {
+                flushTable();
+                output += text;
+            }
+        };
+        
+        const control = (word, param) => {
+            // \* marks a destination readers may ignore; none of them hold rider text
+            if (ignorable || this.rtfSkipGroups.has(word)) {
+                ignorable = false;
+                state.skip = true;
+                return;
+            }
+            
+            switch (word) {
+                case 'par':
+                case 'line':
+                    if (inTable) {
+                        cell += ' ';
+                    } else {
+                        emit('\n');
+                    }
+                    break;
+                case 'sect':
+                case 'page':
+                    emit('\n\n');
+                    break;
+                case 'tab':
+                    emit('\t');
+                    break;
+                case 'pard':
+                    inTable = false;
+                    break;
+                case 'intbl':
+                    inTable = true;
+                    break;
+                case 'cell':
+                    if (!state.skip) {
+                        row.push(cell.replace(/\s+/g, ' ').trim());
+                        cell = '';
+                    }
+                    break;
+                case 'row':
+                    if (!state.skip) {
+                        if (row.some(Boolean)) rows.push(row);
+                        row = [];
+                        cell = '';
+                        inTable = false;
+                    }
+                    break;
+                case 'ansicpg':
+                    decoder = this.codePageDecoder(param);
+                    break;
+                case 'uc':
+                    state.unicodeSkip = param;
+                    break;
+                case 'u':
+                    emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+                    pendingSkip = state.unicodeSkip;
+                    break;
+                case 'emdash':
+                    emit('—');
+                    break;
+                case 'endash':
+                    emit('–');
+                    break;
+                case 'bullet':
+                    emit('•');
+                    break;
+                case 'lquote':
+                case 'rquote':
+                    emit("'");
+                    break;
+                case 'ldblquote':
+                case 'rdblquote':
+                    emit('"');
+                    break;
+                default:
+                    break;
+            }
+        };
+        
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            
+            if (char === '{') {
+                stack.push(state);
+                state = { ...state };
+            } else if (char === '}') {
+                state = stack.pop() || state;
+                ignorable = false;
+            } else if (char === '\\') {
+                const next = source[i + 1];
+                
+                if (/[a-zA-Z]/.test(next)) {
+                    const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(i + 1, i + 40));
+                    i += match[0].length;
+                    control(match[1], match[2] !== undefined ? parseInt(match[2], 10) : null);
+                } else if (next === "'") {
+                    const byte = parseInt(source.substr(i + 2, 2), 16);
+                    i += 3;
+                    if (pendingSkip > 0) {
+                        pendingSkip--;
+                    } else if (!Number.isNaN(byte)) {
+                        emit(decoder.decode(new Uint8Array([byte])));
+                    }
+                } else if (next === '*') {
+                    ignorable = true;
+                    i += 1;
+                } else if (next === '~') {
+                    emit(' ');
+                    i += 1;
+                } else if (next === '_') {
+                    emit('-');
+                    i += 1;
+                } else if (next === '\n' || next === '\r') {
+                    emit('\n');
+                    i += 1;
+                } else {
+                    // \\, \{, \} and other escaped symbols
+                    if (next !== '-') emit(next);
+                    i += 1;
+                }
+            } else if (char !== '\n' && char !== '\r') {
+                emit(char);
+            }
+        }
+        
+        if (cell.trim()) row.push(cell.trim());
+        if (row.some(Boolean)) rows.push(row);
+        flushTable();
+        
+        return this.normalize(output);
+    }
+
+    codePageDecoder(codePage) {
+        try {
+            return new TextDecoder(`windows-${codePage}`);
+        } catch (e) {
+            return new TextDecoder('windows-1252');
+        }
+    }
+
+    /**
+     * Read an .eml (MIME) message
+     * Returns { subject, from, date, text, attachments } where text starts
+     * with the main headers and attachments are File objects.
+     */
+    async parseEmail(file) {
+        const bytes = await this.readBytes(file);
+        
+        // Outlook's own .msg format is an OLE container, not MIME
+        if (bytes[0] === 0xd0 && bytes[1] === 0xcf && bytes[2] === 0x11 && bytes[3] === 0xe0) {
+            throw new Error('Outlook .msg files are not supported - save the message as .eml and upload that');
+        }
+        
+        const message = this.parseMIMEPart(this.toBinaryString(bytes));
+        const body = { plain: [], html: [] };
+        const attachments = [];
+        this.collectMIMEParts(message, body, attachments);
+        
+        const header = name => this.decodeHeaderWords(message.headers[name] || '');
+        const text = body.plain.length > 0
+            ? body.plain.join('\n\n')
+            : body.html.map(html => this.htmlToText(html)).join('\n\n');
+        
+        const headerLines = [
+            ['Subject', header('subject')],
+            ['From', header('from')],
+            ['Date', header('date')]
+        ].filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`);
+        
+        return {
+            subject: header('subject'),
+            from: header('from'),
+            date: header('date'),
+            text: this.normalize([headerLines.join('\n'), text].filter(Boolean).join('\n\n')),
+            attachments
+        };
+    }
+
+    /**
+     * Split a MIME entity (as a binary string) into headers and parts
+     */
+    parseMIMEPart(raw) {
+        const split = raw.search(/\r?\n\r?\n/);
+        const headerText = split >= 0 ? raw.slice(0, split) : raw;
+        const body = split >= 0 ? raw.slice(split).replace(/^\r?\n\r?\n/, '') : '';
+        
+        const headers = {};
+        headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon <= 0) return;
+            const name = line.slice(0, colon).trim().toLowerCase();
+            if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+        });
+        
+        const contentType = this.parseHeaderValue(headers['content-type'] || 'text/plain');
+        const part = { headers, contentType, body, parts: [] };
+        
+        if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+            const boundary = `--${contentType.params.boundary}`;
+            part.parts = body
+                .split(new RegExp(`^${this.escapeRegExp(boundary)}(?:--)?[ \\t]*\\r?$`, 'm'))
+                .slice(1, -1)
+                .map(section => this.parseMIMEPart(section.replace(/^\r?\n/, '')));
+        }
+        
+        return part;
+    }
+
+    /**
+     * Walk the MIME tree: text parts go to body, files to attachments
+     * A multipart/alternative contributes its plain version when it has one.
+     */
+    collectMIMEParts(part, body, attachments) {
+        const type = part.contentType.value;
+        
+        if (type === 'multipart/alternative') {
+            const plain = part.parts.find(child => child.contentType.value === 'text/plain');
+            const chosen = plain || part.parts[part.parts.length - 1];
+            if (chosen) this.collectMIMEParts(chosen, body, attachments);
+            return;
+        }
+        
+        if (type.startsWith('multipart/')) {
+            part.parts.forEach(child => this.collectMIMEParts(child, body, attachments));
+            return;
+        }
+        
+        const disposition = this.parseHeaderValue(part.headers['content-disposition'] || '');
+        const filename = this.decodeHeaderWords(disposition.params.filename || part.contentType.params.name || '');
+        const bytes = this.decodeTransfer(part.body, part.headers['content-transfer-encoding']);
+        
+        if (disposition.value === 'attachment' || filename || type === 'message/rfc822') {
+            const name = filename || (type === 'message/rfc822' ? 'attached-message.eml' : `attachment-${attachments.length + 1}`);
+            attachments.push(new File([bytes], name, { type: type === 'application/octet-stream' ? '' : type }));
+            return;
+        }
+        
+        if (type === 'text/plain' || type === 'text/html') {
+            const text = this.decodeCharset(bytes, part.contentType.params.charset);
+            body[type === 'text/plain' ? 'plain' : 'html'].push(text);
+        }
+    }
+
+    /**
+     * "text/plain; charset=utf-8" -> { value: 'text/plain', params: { charset: 'utf-8' } }
+     */
+    parseHeaderValue(value) {
+        const [main, ...rest] = value.split(';');
+        const params = {};
+        
+        rest.forEach(param => {
+            const match = param.match(/^\s*([\w*-]+)\s*=\s*"?([^"]*)"?\s*$/);
+            if (!match) return;
+            
+            // RFC 2231 extended values: filename*=utf-8''rider%20v2.pdf
+            const name = match[1].toLowerCase().replace(/\*$/, '');
+            let paramValue = match[2];
+            const extended = match[1].endsWith('*') && paramValue.match(/^([^']*)'[^']*'(.*)$/);
+            if (extended) {
+                try {
+                    paramValue = decodeURIComponent(extended[2]);
+                } catch (e) {
+                    paramValue = extended[2];
+                }
+            }
+            params[name] = paramValue;
+        });
+        
+        return { value: main.trim().toLowerCase(), params };
+    }
+
+    /**
+     * Body bytes after base64 or quoted-printable decoding
+     */
+    decodeTransfer(body, encoding = '') {
+        const method = encoding.trim().toLowerCase();
+        let binary = body;
+        
+        if (method === 'base64') {
+            try {
+                binary = atob(body.replace(/[^A-Za-z0-9+/=]/g, ''));
+            } catch (e) {
+                console.warn('Invalid base64 in email part:', e);
+                binary = '';
+            }
+        } else if (method === 'quoted-printable') {
+            binary = body
+                .replace(/=\r?\n/g, '')
+                .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+        
+        return this.fromBinaryString(binary);
+    }
+
+    decodeCharset(bytes, charset = 'utf-8') {
+        try {
+            return new TextDecoder(charset || 'utf-8').decode(bytes);
+        } catch (e) {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+    }
+
+    /**
+     * Decode RFC 2047 encoded words, e.g. =?UTF-8?B?UmlkZXI=?=
+     */
+    decodeHeaderWords(value) {
+        return value
+            .replace(/\?=\s+=\?/g, '?==?')
+            .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+                const binary = encoding.toUpperCase() === 'B'
+                    ? atob(text)
+                    : text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+                return this.decodeCharset(this.fromBinaryString(binary), charset);
+            });
+    }
+
+    /**
+     * Visible text of an HTML email body, one line per block element
+     */
+    htmlToText(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, head').forEach(node => node.remove());
+        doc.querySelectorAll('br').forEach(node => node.replaceWith('\n'));
+        doc.querySelectorAll('p, div, li, tr, h1, h2, h3, h4, h5, h6, table').forEach(node => node.append('\n'));
+        doc.querySelectorAll('td, th').forEach(node => node.append('\t'));
+        doc.querySelectorAll('li').forEach(node => node.prepend('• '));
+        return this.normalize(doc.body ? doc.body.textContent : '');
+    }
+
+    /**
+     * Bytes as a string of char codes 0-255, so MIME and RTF parsing keeps binary content intact
+     */
+    toBinaryString(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return binary;
+    }
+
+    fromBinaryString(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+        return bytes;
+    }
+
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Create global instance
+const documentExtractor = new DocumentExtractor();
@@ -0,0 +1,108 @@
+/**
+ * Processing Job Control
+ * Cancel and pause/resume for a long extraction run. Cancelling aborts an
+ * AbortSignal, so anything holding the signal can drop work in flight;
+ * pausing takes effect at the next checkpoint (between files, pages and
+ * OCR passes), since a Tesseract recognize call cannot be suspended midway.
+ */
+
+class ProcessingJob {
+    constructor() {
+        this.controller = new AbortController();
+        this.paused = false;
+        this.waiting = [];
+        this.startedAt = Date.now();
+        this.pausedAt = null;
+        this.pausedTime = 0;
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    pause() {
+        if (this.paused || this.cancelled) return;
+        this.paused = true;
+        this.pausedAt = Date.now();
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.pausedTime += Date.now() - this.pausedAt;
+        this.pausedAt = null;
+        
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(release => release());
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.controller.abort();
+        this.resume();
+    }
+
+    /**
+     * Wait here while paused; throw an AbortError once cancelled
+     */
+    async checkpoint() {
+        this.throwIfCancelled();
+        while (this.paused) {
+            await new Promise(release => this.waiting.push(release));
+        }
+        this.throwIfCancelled();
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) throw ProcessingJob.cancelError();
+    }
+
+    /**
+     * Settle with the promise, or reject as soon as the job is cancelled
+     * A terminated Tesseract worker never answers its outstanding jobs, so
+     * without this a cancelled recognize would hang.
+     */
+    abortable(promise) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(ProcessingJob.cancelError());
+            if (this.cancelled) {
+                onAbort();
+                return;
+            }
+            
+            this.signal.addEventListener('abort', onAbort, { once: true });
+            promise
+                .then(resolve, reject)
+                .finally(() => this.signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Milliseconds spent working, not counting time paused
+     */
+    elapsed() {
+        const paused = this.pausedTime + (this.pausedAt ? Date.now() - this.pausedAt : 0);
+        return Date.now() - this.startedAt - paused;
+    }
+
+    /**
+     * Seconds left at the rate so far, or null until there is enough progress to judge
+     */
+    estimateRemaining(progress) {
+        if (!progress || progress < 0.02) return null;
+        return Math.round((this.elapsed() / progress) * (1 - progress) / 1000);
+    }
+
+    static cancelError() {
+        return new DOMException('Processing cancelled', 'AbortError');
+    }
+
+    static isCancel(error) {
+        return error?.name === 'AbortError';
+    }
+}
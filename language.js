@@ -0,0 +1,79 @@
+/**
+ * Document Language Detection
+ * Picks the language of a rider from its common function words (and a few
+ * tell-tale letters such as ñ or ß) so OCR can load matching traineddata and
+ * the parser can switch to that language's pack.
+ */
+
+class LanguageDetector {
+    /**
+     * Detect the dominant language of a text
+     * Returns { code, name, confidence, confident }.
+     */
+    detect(text) {
+        const fallback = CONFIG.language.default;
+        const words = (text || '').toLowerCase().match(/[a-zà-ÿœß]+/g) || [];
+        
+        if (words.length < CONFIG.language.minWords) {
+            return this.result(fallback, 0, false);
+        }
+        
+        const scores = {};
+        Object.entries(LANGUAGE_PACKS).forEach(([code, pack]) => {
+            const stopwords = new Set(pack.stopwords);
+            const hits = words.filter(word => stopwords.has(word)).length;
+            const hints = pack.hints ? (text.toLowerCase().match(pack.hints) || []).length : 0;
+            scores[code] = hits + hints * 0.5;
+        });
+        
+        const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+        const [code, best] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+        
+        if (total === 0) return this.result(fallback, 0, false);
+        
+        const confidence = best / total;
+        return this.result(code, confidence, confidence >= CONFIG.language.minShare);
+    }
+
+    /**
+     * Languages used across a multi-file text, one detection per "--- file ---" section
+     * English is always included; riders mix it in even when written in another language.
+     */
+    detectSections(text) {
+        const separator = new RegExp(PATTERNS.normalize.fileSeparator.source, 'm');
+        const sections = (text || '').split(separator).filter(section => section.trim());
+        const codes = new Set([CONFIG.language.default]);
+        
+        sections.forEach(section => {
+            const detected = this.detect(section);
+            if (detected.confident) codes.add(detected.code);
+        });
+        
+        return Array.from(codes);
+    }
+
+    /**
+     * Tesseract language string for a pack, e.g. 'spa+eng'
+     */
+    tesseractFor(code) {
+        const pack = LANGUAGE_PACKS[code];
+        if (!pack || pack.tesseract === CONFIG.ocr.lang) return CONFIG.ocr.lang;
+        return `${pack.tesseract}+${CONFIG.ocr.lang}`;
+    }
+
+    getName(code) {
+        return LANGUAGE_PACKS[code]?.name || code;
+    }
+
+    result(code, confidence, confident) {
+        return {
+            code,
+            name: this.getName(code),
+            confidence: Math.round(confidence * 100) / 100,
+            confident
+        };
+    }
+}
+
+// Create global instance
+const languageDetector = new LanguageDetector();
@@ -0,0 +1,386 @@
+/**
+ * PDF Layout Reconstruction
+ * Rebuilds reading order from PDF.js text item positions: two-column pages
+ * are read column by column, and tables are emitted as "| a | b |" rows that
+ * RiderParser maps straight onto item fields.
+ */
+
+class LayoutAnalyzer {
+    /**
+     * Convert PDF.js textContent into layout-preserving text
+     */
+    analyze(textContent) {
+        const items = this.collectItems(textContent);
+        if (items.length === 0) return '';
+        
+        const lines = this.groupLines(items);
+        const tables = this.findTables(lines);
+        const inTable = new Set(tables.flatMap(table => table.lines));
+        const gutter = this.findGutter(lines.filter(line => !inTable.has(line)));
+        
+        // Walk the page top to bottom, alternating prose runs and tables
+        const blocks = [];
+        let run = [];
+        const flushRun = () => {
+            if (run.length > 0) blocks.push(this.renderRun(run, gutter));
+            run = [];
+        };
+        
+        lines.forEach(line => {
+            const table = tables.find(candidate => candidate.lines[0] === line);
+            if (table) {
+                flushRun();
+                blocks.push(this.renderTable(table));
+            } else if (!inTable.has(line)) {
+                run.push(line);
+            }
+        });
+        flushRun();
+        
+        return blocks.filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Normalize text items to positioned runs of text
+     */
+    collectItems(textContent) {
+        return (textContent.items || [])
+            .filter(item => item.str && item.str.trim())
+            .map(item => {
+                const [a, b, c, d, x, y] = item.transform;
+                const size = Math.hypot(c, d) || Math.abs(a) || item.height || 10;
+                const width = item.width || item.str.length * size * 0.5;
+                return { text: item.str, x, y, right: x + width, size };
+            });
+    }
+
+    /**
+     * Group items sharing a baseline into lines, top of the page first
+     */
+    groupLines(items) {
+        const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+        const lines = [];
+        
+        sorted.forEach(item => {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - item.y) <= Math.max(2, item.size * CONFIG.layout.lineTolerance)) {
+                line.items.push(item);
+                line.size = Math.max(line.size, item.size);
+            } else {
+                lines.push({ y: item.y, size: item.size, items: [item] });
+            }
+        });
+        
+        lines.forEach(line => {
+            line.items.sort((a, b) => a.x - b.x);
+            line.segments = this.splitSegments(line);
+        });
+        
+        return lines;
+    }
+
+    /**
+     * Split a line wherever the horizontal gap is wider than normal word spacing
+     */
+    splitSegments(line) {
+        const segments = [];
+        let current = null;
+        
+        line.items.forEach(item => {
+            const gap = current ? item.x - current.right : 0;
+            
+            if (!current || gap > line.size * CONFIG.layout.cellGap) {
+                current = { x: item.x, right: item.right, text: item.text.trim() };
+                segments.push(current);
+                return;
+            }
+            
+            const needsSpace = gap > line.size * 0.15 && !current.text.endsWith(' ') && !item.text.startsWith(' ');
+            current.text = `${current.text}${needsSpace ? ' ' : ''}${item.text}`.replace(/\s+/g, ' ').trim();
+            current.right = Math.max(current.right, item.right);
+        });
+        
+        return segments;
+    }
+
+    /**
+     * Find runs of lines whose segments line up in columns
+     * A run counts as a table when it has a header row, a numeric first
+     * column or at least three columns - two-column prose has none of these.
+     */
+    findTables(lines) {
+        const tables = [];
+        let start = 0;
+        
+        while (start < lines.length) {
+            if (lines[start].segments.length < 2) {
+                start++;
+                continue;
+            }
+            
+            let end = start;
+            while (end + 1 < lines.length && this.isTableContinuation(lines, end + 1)) {
+                end++;
+            }
+            
+            const candidate = lines.slice(start, end + 1);
+            const table = this.buildTable(candidate);
+            if (table) {
+                tables.push(table);
+                start = lines.indexOf(table.lines[table.lines.length - 1]) + 1;
+            } else {
+                start++;
+            }
+        }
+        
+        return tables;
+    }
+
+    isTableContinuation(lines, index) {
+        const line = lines[index];
+        const previous = lines[index - 1];
+        const closeEnough = previous.y - line.y < previous.size * CONFIG.layout.maxRowGap;
+        return closeEnough && line.segments.length >= 1;
+    }
+
+    buildTable(lines) {
+        const anchors = this.findAnchors(lines);
+        if (anchors.length < 2) return null;
+        
+        // Multi-cell rows, plus single-cell lines that wrap a cell from the row above
+        const rows = [];
+        const tableLines = [];
+        for (const line of lines) {
+            const cells = this.assignCells(line.segments, anchors);
+            const filled = cells.filter(Boolean).length;
+            
+            if (filled >= 2) {
+                rows.push(cells);
+                tableLines.push(line);
+            } else if (rows.length > 0 && filled === 1 && !cells[0]) {
+                const previous = rows[rows.length - 1];
+                cells.forEach((cell, index) => {
+                    if (cell) previous[index] = previous[index] ? `${previous[index]} ${cell}` : cell;
+                });
+                tableLines.push(line);
+            } else {
+                break;
+            }
+        }
+        
+        if (rows.length < CONFIG.layout.minTableRows) return null;
+        
+        const header = this.isHeaderRow(rows[0]);
+        const body = header ? rows.slice(1) : rows;
+        const numericFirst = body.filter(row => this.isQuantityCell(row[0])).length >= body.length * 0.6;
+        
+        if (!header && !numericFirst && anchors.length < 3) return null;
+        
+        return { lines: tableLines, rows, header };
+    }
+
+    /**
+     * Column start positions shared by most rows of a block
+     */
+    findAnchors(lines) {
+        const tolerance = Math.max(...lines.map(line => line.size)) * CONFIG.layout.anchorTolerance;
+        const clusters = [];
+        
+        lines.forEach(line => {
+            line.segments.forEach(segment => {
+                const cluster = clusters.find(c => Math.abs(c.x - segment.x) <= tolerance);
+                if (cluster) {
+                    cluster.count++;
+                } else {
+                    clusters.push({ x: segment.x, count: 1 });
+                }
+            });
+        });
+        
+        const multiCell = lines.filter(line => line.segments.length >= 2).length;
+        return clusters
+            .filter(cluster => cluster.count >= Math.max(2, multiCell * 0.6))
+            .map(cluster => cluster.x)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Place each segment in the column whose anchor it starts at or after
+     */
+    assignCells(segments, anchors) {
+        const cells = anchors.map(() => '');
+        const tolerance = 4;
+        
+        segments.forEach(segment => {
+            let column = 0;
+            anchors.forEach((anchor, index) => {
+                if (segment.x + tolerance >= anchor) column = index;
+            });
+            cells[column] = cells[column] ? `${cells[column]} ${segment.text}` : segment.text;
+        });
+        
+        return cells;
+    }
+
+    isHeaderRow(cells) {
+        const known = cells.filter(cell => cell && this.headerField(cell)).length;
+        return known >= Math.max(1, Math.ceil(cells.filter(Boolean).length / 2));
+    }
+
+    headerField(cell) {
+        const label = cell.replace(/[:.]+$/, '').trim();
+        return Object.keys(PATTERNS.table.columns).find(field => PATTERNS.table.columns[field].test(label)) || null;
+    }
+
+    isQuantityCell(cell) {
+        return !!cell && (/^\(?\d+\)?\s*(?:x|pcs?|ea)?\.?$/i.test(cell.trim()) || PATTERNS.quantity.written.test(`${cell.trim()} `));
+    }
+
+    /**
+     * Find the x position of a gutter separating two text columns
+     * The right column shows up as many lines starting at the same x in the
+     * middle of the page; full-width lines (titles, footers) may cross it.
+     */
+    findGutter(lines) {
+        const segments = lines.flatMap(line => line.segments);
+        if (lines.length < CONFIG.layout.minColumnLines * 2 || segments.length === 0) return null;
+        
+        const left = Math.min(...segments.map(s => s.x));
+        const right = Math.max(...segments.map(s => s.right));
+        const [bandStart, bandEnd] = CONFIG.layout.gutterBand.map(fraction => left + fraction * (right - left));
+        const allowedCrossings = Math.floor(lines.length * 0.25);
+        
+        const starts = [];
+        lines.forEach(line => {
+            line.segments
+                .filter(segment => segment.x >= bandStart && segment.x <= bandEnd)
+                .forEach(segment => {
+                    const cluster = starts.find(c => Math.abs(c.x - segment.x) <= line.size);
+                    if (cluster) {
+                        cluster.count++;
+                        cluster.x = Math.min(cluster.x, segment.x);
+                    } else {
+                        starts.push({ x: segment.x, count: 1, size: line.size });
+                    }
+                });
+        });
+        
+        const candidates = starts
+            .filter(cluster => cluster.count >= CONFIG.layout.minColumnLines)
+            .sort((a, b) => b.count - a.count);
+        
+        for (const cluster of candidates) {
+            const gutter = cluster.x - 1;
+            const crossings = lines.filter(line => line.segments.some(s => s.x < gutter && s.right > gutter)).length;
+            const leftLines = lines.filter(line => line.segments.some(s => s.right <= gutter)).length;
+            
+            if (crossings <= allowedCrossings &&
+                leftLines >= CONFIG.layout.minColumnLines &&
+                this.looksLikeColumns(lines, gutter, left)) {
+                return gutter;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Tell two text columns apart from "label ... value" rows, which also
+     * leave a gap down the page but must stay on one line
+     */
+    looksLikeColumns(lines, gutter, left) {
+        const rightSegments = lines.flatMap(line => line.segments.filter(s => s.x > gutter));
+        const paired = lines.filter(line =>
+            line.segments.some(s => s.right <= gutter) && line.segments.some(s => s.x > gutter)
+        );
+        
+        // Columns rarely line up row for row
+        if (paired.length < rightSegments.length * 0.8) return true;
+        
+        // Prose columns fill most of their width
+        const fill = paired
+            .map(line => (Math.max(...line.segments.filter(s => s.right <= gutter).map(s => s.right)) - left) / (gutter - left))
+            .sort((a, b) => a - b)[Math.floor(paired.length / 2)];
+        if (fill >= 0.6) return true;
+        
+        // A right-hand side with its own bullets and headings is a column, not values
+        const structured = rightSegments.filter(s => /^[\-•*]\s|:$/.test(s.text)).length;
+        return structured >= rightSegments.length * 0.3;
+    }
+
+    /**
+     * Render prose lines, reading each column in turn when a gutter exists
+     * Lines that cross the gutter (titles, full-width notes) split the page into bands.
+     */
+    renderRun(lines, gutter) {
+        if (gutter === null) return this.renderLines(lines.map(line => this.sideOf(line, null)));
+        
+        const parts = [];
+        let band = [];
+        const flushBand = () => {
+            if (band.length === 0) return;
+            const leftSide = band.map(line => this.sideOf(line, seg => seg.right < gutter)).filter(Boolean);
+            const rightSide = band.map(line => this.sideOf(line, seg => seg.x > gutter)).filter(Boolean);
+            parts.push(this.renderLines(leftSide));
+            parts.push(this.renderLines(rightSide));
+            band = [];
+        };
+        
+        lines.forEach(line => {
+            const spans = line.segments.some(seg => seg.x < gutter && seg.right > gutter);
+            if (spans) {
+                flushBand();
+                parts.push(this.renderLines([this.sideOf(line, null)]));
+            } else {
+                band.push(line);
+            }
+        });
+        flushBand();
+        
+        return parts.filter(Boolean).join('\n\n');
+    }
+
+    sideOf(line, predicate) {
+        const segments = predicate ? line.segments.filter(predicate) : line.segments;
+        if (segments.length === 0) return null;
+        return { y: line.y, size: line.size, segments };
+    }
+
+    /**
+     * Lines of one column: indentation from the column margin, blank lines at paragraph gaps
+     */
+    renderLines(lines) {
+        if (lines.length === 0) return '';
+        
+        const margin = Math.min(...lines.map(line => line.segments[0].x));
+        let text = '';
+        let lastY = null;
+        
+        lines.forEach(line => {
+            if (lastY !== null) {
+                text += '\n';
+                if (lastY - line.y > line.size * 1.8) text += '\n';
+            }
+            
+            const indent = Math.round((line.segments[0].x - margin) / (line.size * 0.5));
+            text += ' '.repeat(Math.max(0, Math.min(indent, 40)));
+            text += line.segments.map(segment => segment.text).join(' ');
+            lastY = line.y;
+        });
+        
+        return text;
+    }
+
+    /**
+     * Table rows as pipe-delimited lines, header first when there is one
+     */
+    renderTable(table) {
+        const escape = cell => (cell || '').replace(/\|/g, '/').trim();
+        return table.rows
+            .map(row => `| ${row.map(escape).join(' | ')} |`)
+            .join('\n');
+    }
+}
+
+// Create global instance
+const layoutAnalyzer = new LayoutAnalyzer();
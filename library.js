@@ -0,0 +1,330 @@
+/**
+ * Saved Checklist Library
+ * Keeps every generated checklist instead of only the latest one. The index
+ * lives under CONFIG.storage.history and each checklist's state under its own key.
+ */
+
+class ChecklistLibrary {
+    constructor() {
+        this.showArchived = false;
+    }
+
+    /**
+     * Entries sorted by most recently updated
+     */
+    list({ includeArchived = false } = {}) {
+        return this.getIndex()
+            .filter(entry => includeArchived || !entry.archived)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    get(id) {
+        return this.getIndex().find(entry => entry.id === id) || null;
+    }
+
+    load(id) {
+        return id ? Storage.get(this.stateKey(id)) : null;
+    }
+
+    /**
+     * Save a checklist state, creating a library entry when id is empty
+     * Returns the entry ID.
+     */
+    save(id, state) {
+        const index = this.getIndex();
+        const now = new Date().toISOString();
+        const describe = this.describe(state);
+        let entry = id ? index.find(item => item.id === id) : null;
+        
+        if (!entry) {
+            entry = {
+                id: this.generateId(),
+                title: describe.title,
+                createdAt: now,
+                archived: false
+            };
+            index.push(entry);
+        }
+        
+        Object.assign(entry, {
+            artist: describe.artist,
+            date: describe.date,
+            venue: describe.venue,
+            progress: state.progress || null,
+            updatedAt: now
+        });
+        
+        Storage.set(this.stateKey(entry.id), state);
+        this.setIndex(index);
+        this.setActiveId(entry.id);
+        
+        return entry.id;
+    }
+
+    rename(id, title) {
+        this.updateEntry(id, { title: title.trim() });
+    }
+
+    archive(id, archived = true) {
+        this.updateEntry(id, { archived });
+    }
+
+    /**
+     * Copy a checklist, including its progress, into a new entry
+     */
+    duplicate(id) {
+        const entry = this.get(id);
+        const state = this.load(id);
+        if (!entry || !state) return null;
+        
+        const copyId = this.generateId();
+        const now = new Date().toISOString();
+        
+        Storage.set(this.stateKey(copyId), state);
+        this.setIndex([...this.getIndex(), {
+            ...entry,
+            id: copyId,
+            title: `${entry.title} (copy)`,
+            createdAt: now,
+            updatedAt: now,
+            archived: false
+        }]);
+        
+        return copyId;
+    }
+
+    remove(id) {
+        Storage.remove(this.stateKey(id));
+        this.setIndex(this.getIndex().filter(entry => entry.id !== id));
+        
+        if (this.getActiveId() === id) {
+            this.setActiveId(null);
+        }
+    }
+
+    /**
+     * The checklist that was open last
+     */
+    getActiveId() {
+        return Storage.get(CONFIG.storage.lastRider);
+    }
+
+    setActiveId(id) {
+        if (id) {
+            Storage.set(CONFIG.storage.lastRider, id);
+        } else {
+            Storage.remove(CONFIG.storage.lastRider);
+        }
+    }
+
+    /**
+     * Move the single checklist kept by earlier versions into the library
+     */
+    migrateLegacy() {
+        const legacy = Storage.get(CONFIG.storage.checklistState);
+        if (!legacy) return null;
+        
+        const id = legacy.currentData ? this.save(null, legacy) : null;
+        Storage.remove(CONFIG.storage.checklistState);
+        
+        return id;
+    }
+
+    /**
+     * Artist, show date and venue used to label a checklist
+     */
+    describe(state) {
+        const data = state.currentData || {};
+        const artist = (data.artists && data.artists[0]) || 'Untitled rider';
+        const date = data.showDate || '';
+        const venue = data.venue || '';
+        
+        return {
+            artist,
+            date,
+            venue,
+            title: [artist, date, venue].filter(Boolean).join(' · ')
+        };
+    }
+
+    /**
+     * Show the library picker
+     * Callbacks: onOpen(id) when a checklist is chosen, onNew() to start fresh.
+     */
+    showPicker({ onOpen, onNew } = {}) {
+        document.getElementById('libraryModal')?.remove();
+        
+        const modal = DOM.create('div', { className: 'modal active library-modal', id: 'libraryModal' });
+        const close = () => modal.remove();
+        
+        modal.appendChild(DOM.create('div', { className: 'modal-overlay', onclick: close }));
+        
+        const content = DOM.create('div', { className: 'modal-content' });
+        content.appendChild(DOM.create('button', { className: 'modal-close', textContent: '×', onclick: close }));
+        content.appendChild(DOM.create('h3', { textContent: '📚 Saved Checklists' }));
+        
+        const list = DOM.create('div', { className: 'library-list' });
+        content.appendChild(list);
+        
+        const render = () => {
+            list.innerHTML = '';
+            const entries = this.list({ includeArchived: this.showArchived });
+            
+            if (entries.length === 0) {
+                list.appendChild(DOM.create('p', {
+                    className: 'library-empty',
+                    textContent: 'No saved checklists yet.'
+                }));
+            }
+            
+            entries.forEach(entry => list.appendChild(this.buildEntry(entry, {
+                open: () => {
+                    close();
+                    if (onOpen) onOpen(entry.id);
+                },
+                refresh: render
+            })));
+        };
+        
+        // Footer
+        const footer = DOM.create('div', { className: 'library-footer' });
+        const archivedToggle = DOM.create('label', { className: 'library-archived-toggle' });
+        const archivedCheckbox = DOM.create('input', {
+            type: 'checkbox',
+            onchange: (e) => {
+                this.showArchived = e.target.checked;
+                render();
+            }
+        });
+        archivedCheckbox.checked = this.showArchived;
+        archivedToggle.appendChild(archivedCheckbox);
+        archivedToggle.appendChild(document.createTextNode(' Show archived'));
+        footer.appendChild(archivedToggle);
+        
+        const usage = DOM.create('small', { className: 'library-usage' });
+        footer.appendChild(usage);
+        this.describeUsage().then(text => usage.textContent = text);
+        
+        footer.appendChild(DOM.create('button', {
+            className: 'btn btn-primary',
+            innerHTML: '<span>➕</span> New Checklist',
+            onclick: () => {
+                close();
+                if (onNew) onNew();
+            }
+        }));
+        content.appendChild(footer);
+        
+        render();
+        modal.appendChild(content);
+        document.body.appendChild(modal);
+    }
+
+    /**
+     * Storage usage line, e.g. "1.2 MB used of 2 GB (IndexedDB)"
+     */
+    async describeUsage() {
+        try {
+            const { backend, appBytes, usage, quota } = await Storage.getUsage();
+            const store = backend === 'indexeddb' ? 'IndexedDB' : 'localStorage';
+            return quota
+                ? `${FileUtils.formatSize(usage)} used of ${FileUtils.formatSize(quota)} (${store})`
+                : `${FileUtils.formatSize(appBytes)} saved (${store})`;
+        } catch (error) {
+            console.error('Error reading storage usage:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Build a library row with its actions
+     */
+    buildEntry(entry, { open, refresh }) {
+        const isActive = entry.id === this.getActiveId();
+        const row = DOM.create('div', {
+            className: `library-entry${entry.archived ? ' archived' : ''}${isActive ? ' active' : ''}`
+        });
+        
+        const progress = entry.progress
+            ? `${entry.progress.percentage}% · ${entry.progress.completed}/${entry.progress.total} items`
+            : '';
+        
+        const info = DOM.create('div', { className: 'library-info', onclick: open });
+        info.appendChild(DOM.create('strong', { textContent: entry.title }));
+        info.appendChild(DOM.create('small', {
+            textContent: [
+                entry.venue,
+                entry.date,
+                progress,
+                `updated ${DateUtils.relative(entry.updatedAt)}`,
+                entry.archived ? 'archived' : ''
+            ].filter(Boolean).join(' · ')
+        }));
+        row.appendChild(info);
+        
+        const actions = DOM.create('div', { className: 'library-actions' });
+        const action = (label, title, handler) => actions.appendChild(DOM.create('button', {
+            className: 'library-action',
+            textContent: label,
+            title: title,
+            onclick: handler
+        }));
+        
+        action('Open', 'Open checklist', open);
+        action('✏️', 'Rename', () => {
+            const title = prompt('Checklist name:', entry.title);
+            if (title && title.trim()) {
+                this.rename(entry.id, title);
+                refresh();
+            }
+        });
+        action('⧉', 'Duplicate', () => {
+            this.duplicate(entry.id);
+            showToast('Checklist duplicated', 'success');
+            refresh();
+        });
+        action(entry.archived ? '↩' : '🗄', entry.archived ? 'Unarchive' : 'Archive', () => {
+            this.archive(entry.id, !entry.archived);
+            refresh();
+        });
+        action('🗑', 'Delete', () => {
+            if (!confirm(`Delete "${entry.title}"? This cannot be undone.`)) return;
+            this.remove(entry.id);
+            if (isActive && typeof checklistManager !== 'undefined') {
+                checklistManager.startNew();
+            }
+            refresh();
+        });
+        
+        row.appendChild(actions);
+        return row;
+    }
+
+    /**
+     * Storage helpers
+     */
+    getIndex() {
+        return Storage.get(CONFIG.storage.history, []);
+    }
+
+    setIndex(index) {
+        Storage.set(CONFIG.storage.history, index);
+    }
+
+    updateEntry(id, changes) {
+        this.setIndex(this.getIndex().map(entry =>
+            entry.id === id ? { ...entry, ...changes } : entry
+        ));
+    }
+
+    stateKey(id) {
+        return `${CONFIG.storage.history}_${id}`;
+    }
+
+    generateId() {
+        return `cl_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+}
+
+// Create global instance
+const checklistLibrary = new ChecklistLibrary();
@@ -5,23 +5,46 @@
 class OCRProcessor {
     constructor() {
         this.isInitialized = false;
-        this.worker = null;
+        this.pool = new WorkerPool(lang => this.createWorker(lang));
+        this.osdPool = new WorkerPool(() => this.createOSDWorker(), 1);
+        this.profile = CONFIG.ocr.preprocessing.profile;
+        this.language = CONFIG.ocr.language;
+        this.cacheMode = 'use';
+        this.passwordPrompt = null;
+        this.pdfPasswords = new Map();
+        this.tesseractPaths = null;
         this.currentProgress = 0;
         this.progressCallback = null;
+        this.progressState = null;
+        this.ocrPass = { index: 0, count: 1 };
+        this.job = null;
         
         // Don't initialize anything in constructor - wait until actually needed
         console.log('OCR Processor created - will initialize when needed');
     }
     
     /**
-     * Simple check if libraries are available
+     * Simple check if the libraries the files need are available
      */
-    areLibrariesReady() {
-        const pdfReady = typeof pdfjsLib !== 'undefined';
-        const tesseractReady = typeof Tesseract !== 'undefined';
+    areLibrariesReady(files) {
+        const missing = this.missingLibraries(files);
         
-        console.log('Library check:', { pdfReady, tesseractReady });
-        return pdfReady && tesseractReady;
+        console.log('Library check:', { missing });
+        return missing.length === 0;
+    }
+
+    /**
+     * Libraries the files' formats need that are not loaded, e.g. ['PDF.js']
+     * PDFs need PDF.js and images need Tesseract.js; DOCX, RTF, text and
+     * email files are read without either.
+     */
+    missingLibraries(files) {
+        const formats = new Set(files.map(file => documentExtractor.detectFormat(file)));
+        const missing = [];
+        
+        if (formats.has('pdf') && typeof pdfjsLib === 'undefined') missing.push('PDF.js');
+        if (formats.has('image') && typeof Tesseract === 'undefined') missing.push('Tesseract.js');
+        return missing;
     }
 
     /**
@@ -33,8 +56,9 @@ class OCRProcessor {
                 throw new Error('PDF.js library not available');
             }
             
-            // Set worker source - simple approach
-            const workerSrc = CONFIG.pdf.workerSrc;
+            // Worker from vendor/ or the CDN, whichever the page loaded from
+            await assetLoader.detectSource();
+            const { workerSrc } = assetLoader.pdfOptions();
             pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
             console.log('PDF.js worker source set to:', workerSrc);
             
@@ -52,27 +76,59 @@ class OCRProcessor {
     // Removed complex worker source setting - using simple approach instead
 
     /**
-     * Initialize Tesseract worker
+     * Check Tesseract is loaded; the pool creates workers as pages need them
      */
     async initTesseract() {
         if (typeof Tesseract === 'undefined') {
             throw new Error('Tesseract.js library not loaded');
         }
         
-        if (!this.worker) {
-            this.worker = await Tesseract.createWorker({
-                logger: m => {
-                    // Simple logging without complex callbacks to avoid DataCloneError
-                    if (m.status === 'recognizing text' && m.progress) {
-                        console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-                    }
+        return this.pool;
+    }
+
+    /**
+     * Create a Tesseract worker for a language string such as 'eng' or 'spa+eng'
+     * Tesseract.js 5 loads the language while creating the worker; its
+     * loadLanguage/initialize are no-ops kept for older callers.
+     */
+    async createWorker(lang) {
+        return Tesseract.createWorker(lang, Tesseract.OEM.LSTM_ONLY, {
+            ...this.workerPaths(),
+            logger: m => {
+                // Recognition progress moves the current page along the progress bar
+                if (m.status === 'recognizing text' && m.progress) {
+                    this.reportRecognizeProgress(m.progress);
                 }
-            });
-            
-            await this.worker.loadLanguage('eng');
-            await this.worker.initialize('eng');
-        }
-        return this.worker;
+            }
+        });
+    }
+
+    /**
+     * Create the worker used for orientation detection
+     */
+    async createOSDWorker() {
+        return Tesseract.createWorker('osd', Tesseract.OEM.TESSERACT_ONLY, {
+            ...this.workerPaths(),
+            legacyCore: true,
+            legacyLang: true
+        });
+    }
+
+    /**
+     * Worker, core and traineddata paths for a new worker, kept for the diagnostics panel
+     */
+    workerPaths() {
+        this.tesseractPaths = assetLoader.tesseractOptions();
+        return this.tesseractPaths;
+    }
+
+    /**
+     * Load the default traineddata once, so a timed run doesn't include the download
+     */
+    async warmUp() {
+        await this.initTesseract();
+        const worker = await this.createWorker(CONFIG.ocr.lang);
+        await worker.terminate();
     }
 
     /**
@@ -98,17 +154,19 @@ class OCRProcessor {
     
     /**
      * Process multiple files
+     * The job (a ProcessingJob) can pause the run between pages or cancel it;
+     * a cancelled run returns what was extracted so far with cancelled: true.
      */
-    async processFiles(files, progressCallback) {
+    async processFiles(files, progressCallback, job = new ProcessingJob()) {
         console.log('Starting file processing...');
         
         // Simple check if libraries are ready
-        if (!this.areLibrariesReady()) {
+        if (!this.areLibrariesReady(files)) {
             throw new Error('Required libraries not available. Please refresh the page and try again.');
         }
         
-        // Initialize PDF.js if needed
-        if (!this.isInitialized) {
+        // Initialize PDF.js if needed (and loaded - PDFs in emails report it missing themselves)
+        if (!this.isInitialized && typeof pdfjsLib !== 'undefined') {
             console.log('Initializing PDF.js...');
             const initSuccess = await this.initPDFJS();
             if (!initSuccess) {
@@ -117,101 +175,267 @@ class OCRProcessor {
         }
         
         this.progressCallback = progressCallback;
+        this.job = job;
         const results = [];
         let totalText = '';
+        let cancelled = false;
         
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            
-            if (progressCallback) {
+        // Terminating the workers is the only way to stop a recognize in flight
+        const stopWorkers = () => this.cleanup();
+        job.signal.addEventListener('abort', stopWorkers, { once: true });
+        
+        try {
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                
                 try {
-                    progressCallback({
-                        type: 'file',
-                        current: i + 1,
-                        total: files.length,
-                        filename: file.name,
-                        message: `Processing ${file.name} (${i + 1}/${files.length})`
-                    });
+                    await job.checkpoint();
                 } catch (error) {
-                    console.warn('Progress callback error:', error);
+                    cancelled = true;
+                    break;
                 }
-            }
-            
-            try {
-                let text = '';
                 
-                if (file.type === 'application/pdf') {
-                    if (!this.isInitialized) {
-                        throw new Error('PDF.js library not loaded. Cannot process PDF files.');
+                this.progressState = { fileIndex: i, fileCount: files.length, filename: file.name, page: null, pageCount: null, pageProgress: 0 };
+                this.reportProgress('file', `Processing ${file.name} (${i + 1}/${files.length})`);
+                
+                try {
+                    const { hash, result: cached } = await this.lookupFile(file);
+                    if (cached) {
+                        results.push(cached);
+                        totalText += `\n\n--- ${file.name} ---\n\n${cached.text}`;
+                        continue;
                     }
-                    text = await this.extractPDFText(file);
-                } else if (file.type.startsWith('image/')) {
-                    if (typeof Tesseract === 'undefined') {
-                        throw new Error('Tesseract.js library not loaded. Cannot process image files.');
+                    
+                    const extracted = await this.extractFile(file);
+                    if (!extracted) {
+                        console.warn(`Unsupported file type: ${file.type}`);
+                        continue;
                     }
-                    text = await this.extractImageText(file);
-                } else {
-                    console.warn(`Unsupported file type: ${file.type}`);
-                    continue;
-                }
-                
-                results.push({
-                    filename: file.name,
-                    type: file.type,
-                    size: file.size,
-                    text: text,
-                    success: true
-                });
-                
-                totalText += `\n\n--- ${file.name} ---\n\n${text}`;
-                
-            } catch (error) {
-                console.error(`Error processing ${file.name}:`, error);
-                results.push({
-                    filename: file.name,
-                    type: file.type,
-                    size: file.size,
-                    text: '',
-                    success: false,
-                    error: error.message
-                });
-                
-                if (progressCallback) {
-                    try {
-                        progressCallback({
-                            type: 'error',
-                            filename: file.name,
-                            message: `Error processing ${file.name}: ${error.message || 'Unknown error'}`
-                        });
-                    } catch (callbackError) {
-                        console.warn('Error callback error:', callbackError);
+                    
+                    const { text, pages, partial, orientation, ocr, attachments } = extracted;
+                    const result = {
+                        filename: file.name,
+                        type: file.type,
+                        size: file.size,
+                        text: text,
+                        pages: pages,
+                        partial: Boolean(partial),
+                        orientation: orientation,
+                        ocr: ocr,
+                        attachments: attachments,
+                        language: languageDetector.detect(text),
+                        hash: hash,
+                        cached: false,
+                        success: true
+                    };
+                    results.push(result);
+                    this.storeFile(file, hash, result);
+                    
+                    totalText += `\n\n--- ${file.name} ---\n\n${text}`;
+                    
+                    // A PDF cut short by a cancel keeps the pages it finished
+                    if (partial) {
+                        cancelled = true;
+                        break;
                     }
+                    
+                } catch (error) {
+                    if (this.isCancelled(error)) {
+                        cancelled = true;
+                        break;
+                    }
+                    
+                    console.error(`Error processing ${file.name}:`, error);
+                    results.push({
+                        filename: file.name,
+                        type: file.type,
+                        size: file.size,
+                        text: '',
+                        success: false,
+                        error: error.message
+                    });
+                    
+                    this.reportProgress('error', `Error processing ${file.name}: ${error.message || 'Unknown error'}`);
                 }
             }
-        }
-        
-        // Clean up Tesseract worker if initialized
-        if (this.worker) {
-            try {
-                await this.worker.terminate();
-            } catch (error) {
-                console.warn('Error terminating Tesseract worker:', error);
-            }
-            this.worker = null;
+        } finally {
+            job.signal.removeEventListener('abort', stopWorkers);
+            
+            // Clean up Tesseract workers if initialized
+            await this.cleanup();
+            
+            this.job = null;
+            this.progressState = null;
         }
         
         return {
             results: results,
             totalText: totalText.trim(),
             successCount: results.filter(r => r.success).length,
-            failCount: results.filter(r => !r.success).length
+            failCount: results.filter(r => !r.success).length,
+            cancelled: cancelled,
+            stats: this.buildStats(results, job.elapsed(), 1)
+        };
+    }
+
+    /**
+     * Pages read and time taken, for comparing the sequential and pooled paths
+     * Files served from the extraction cache are counted apart.
+     */
+    buildStats(results, elapsed, workers) {
+        const pages = results.reduce((count, result) => {
+            if (result.cached) return count;
+            if (result.pages) return count + result.pages.length;
+            return count + (result.success ? 1 : 0);
+        }, 0);
+        const seconds = elapsed / 1000;
+        
+        return {
+            pages: pages,
+            cachedFiles: results.filter(result => result.cached).length,
+            seconds: Math.round(seconds * 10) / 10,
+            workers: workers,
+            pagesPerMinute: seconds > 0 ? Math.round((pages / seconds) * 600) / 10 : 0
         };
     }
 
+    /**
+     * Pause point for the running job; a no-op outside processFiles
+     */
+    async checkpoint() {
+        if (this.job) await this.job.checkpoint();
+    }
+
+    /**
+     * Let a cancel reject a pending PDF.js or Tesseract call straight away
+     */
+    abortable(promise) {
+        return this.job ? this.job.abortable(promise) : promise;
+    }
+
+    /**
+     * Once the job is cancelled, any error (e.g. from a terminated worker) is part of the cancel
+     */
+    isCancelled(error) {
+        return ProcessingJob.isCancel(error) || Boolean(this.job?.cancelled);
+    }
+
+    /**
+     * Send a progress event for the file being processed
+     * Each file gets an equal share of the overall progress, split across its
+     * pages; the ETA comes from the job's working time so far.
+     */
+    reportProgress(type, message, update = {}) {
+        if (!this.progressCallback || !this.progressState) return;
+        
+        const state = Object.assign(this.progressState, update, { message });
+        const fileProgress = state.pageCount
+            ? (state.page - 1 + state.pageProgress) / state.pageCount
+            : state.pageProgress;
+        const progress = (state.fileIndex + fileProgress) / state.fileCount;
+        
+        try {
+            this.progressCallback({
+                type: type,
+                message: message,
+                filename: state.filename,
+                file: { current: state.fileIndex + 1, total: state.fileCount },
+                page: state.pageCount ? { current: state.page, total: state.pageCount } : null,
+                fileProgress: fileProgress,
+                progress: progress,
+                eta: this.job ? this.job.estimateRemaining(progress) : null
+            });
+        } catch (error) {
+            console.warn('Progress callback error:', error);
+        }
+    }
+
+    /**
+     * Tesseract progress within the current OCR pass, as a share of the page
+     * Auto profile selection makes several passes, so each gets a slice.
+     */
+    reportRecognizeProgress(progress) {
+        if (!this.progressState) return;
+        
+        const { index, count } = this.ocrPass;
+        const pageProgress = Math.max(this.progressState.pageProgress, (index + progress) / count);
+        this.reportProgress('ocr', this.progressState.message, { pageProgress: Math.min(pageProgress, 1) });
+    }
+
+    /**
+     * Extract one file by its format (see DocumentExtractor.detectFormat)
+     * Returns { text, pages, partial, orientation, ocr, attachments }, or
+     * null for a format that cannot be read.
+     */
+    async extractFile(file, depth = 0) {
+        const format = documentExtractor.detectFormat(file);
+        const result = { text: '', pages: null, partial: false, orientation: null, ocr: null, attachments: null };
+        
+        if (format === 'pdf') {
+            if (!this.isInitialized) {
+                throw new Error('PDF.js library not loaded. Cannot process PDF files.');
+            }
+            return { ...result, ...await this.extractPDFText(file) };
+        } else if (format === 'image') {
+            if (typeof Tesseract === 'undefined') {
+                throw new Error('Tesseract.js library not loaded. Cannot process image files.');
+            }
+            return { ...result, ...await this.extractImageText(file) };
+        } else if (format === 'email') {
+            return { ...result, ...await this.extractEmail(file, depth) };
+        } else if (format) {
+            return { ...result, text: await documentExtractor.extract(file, format) };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Email body followed by the text of each readable attachment
+     * Each attachment gets its own "--- name ---" section, so language
+     * detection treats it as a separate document. Forwarded messages are
+     * followed up to CONFIG.upload.maxEmailDepth levels deep.
+     */
+    async extractEmail(file, depth = 0) {
+        const email = await documentExtractor.parseEmail(file);
+        const sections = [email.text];
+        const attachments = [];
+        
+        for (const attachment of email.attachments) {
+            await this.checkpoint();
+            const summary = { filename: attachment.name, type: attachment.type, size: attachment.size };
+            
+            if (!documentExtractor.detectFormat(attachment) || depth >= CONFIG.upload.maxEmailDepth) {
+                attachments.push({ ...summary, skipped: true });
+                continue;
+            }
+            
+            try {
+                const extracted = await this.extractFile(attachment, depth + 1);
+                sections.push(`--- ${attachment.name} ---\n\n${extracted.text}`);
+                attachments.push({ ...summary, chars: extracted.text.trim().length, pages: extracted.pages });
+            } catch (error) {
+                if (this.isCancelled(error)) throw error;
+                console.error(`Error reading attachment ${attachment.name}:`, error);
+                attachments.push({ ...summary, error: error.message });
+            }
+        }
+        
+        return { text: sections.filter(Boolean).join('\n\n'), attachments };
+    }
+
     /**
      * Extract text from PDF
+     * Pages without a usable text layer (scans) are rendered and OCR'd.
+     * Returns the combined text and, per page, which method produced it.
+     * A page that cannot be read is reported with method 'error' and the
+     * rest of the file is still extracted. If the job is cancelled part-way
+     * the finished pages come back with partial: true.
      */
     async extractPDFText(file) {
+        const pages = [];
+        let partial = false;
+        
         try {
             if (!this.isInitialized) {
                 throw new Error('PDF.js not initialized');
@@ -221,98 +445,276 @@ class OCRProcessor {
                 throw new Error('PDF.js library not loaded');
             }
             
-            const arrayBuffer = await this.fileToArrayBuffer(file);
-            const pdf = await pdfjsLib.getDocument({
-                data: arrayBuffer,
-                cMapUrl: CONFIG.pdf.cMapUrl,
-                cMapPacked: CONFIG.pdf.cMapPacked
-            }).promise;
-            
-            let fullText = '';
+            const pdf = await this.openPDF(file);
             const numPages = pdf.numPages;
             
             for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-                if (this.progressCallback) {
-                    try {
-                        this.progressCallback({
-                            type: 'pdf',
-                            current: pageNum,
-                            total: numPages,
-                            progress: pageNum / numPages,
-                            message: `Extracting page ${pageNum} of ${numPages}`
-                        });
-                    } catch (error) {
-                        console.warn('PDF progress callback error:', error);
-                    }
-                }
+                await this.checkpoint();
+                this.reportProgress('pdf', `Extracting page ${pageNum} of ${numPages}`, { page: pageNum, pageCount: numPages, pageProgress: 0 });
                 
-                const page = await pdf.getPage(pageNum);
-                const textContent = await page.getTextContent();
+                const { page, entry } = await this.loadPage(pdf, pageNum);
+                
+                if (page && this.needsOCR(entry.text)) {
+                    const reason = entry.error ? 'could not be parsed' : 'looks scanned';
+                    this.reportProgress('pdf', `Page ${pageNum} of ${numPages} ${reason} - running OCR`);
+                    this.applyPageOCR(entry, await this.ocrPDFPage(page));
+                }
                 
-                // Process text items and maintain layout
-                const pageText = this.processTextContent(textContent);
-                fullText += pageText + '\n\n';
+                pages.push(entry);
+                page?.cleanup();
+            }
+        } catch (error) {
+            if (!this.isCancelled(error)) {
+                console.error('Error extracting PDF text:', error);
+                throw error;
             }
             
-            return this.cleanExtractedText(fullText);
+            // Nothing finished yet: let processFiles drop the file
+            if (pages.length === 0) throw error;
+            partial = true;
+        }
+        
+        return this.buildPDFResult(pages, partial);
+    }
+
+    /**
+     * Load a page and read its text layer
+     * Returns { page, entry }; page is null when PDF.js could not load it,
+     * in which case the entry carries the error.
+     */
+    async loadPage(pdf, pageNum) {
+        try {
+            const page = await this.abortable(pdf.getPage(pageNum));
+            return { page, entry: await this.readPageText(page, pageNum) };
         } catch (error) {
-            console.error('Error extracting PDF text:', error);
-            return '';
+            if (this.isCancelled(error)) throw error;
+            return { page: null, entry: this.markPageError(this.emptyPage(pageNum), error) };
         }
     }
 
     /**
-     * Process PDF text content to maintain structure
+     * A page's text layer, laid out by LayoutAnalyzer
+     * A damaged content stream leaves the page empty with an error, so OCR
+     * of the rendered page still gets a chance to read it.
      */
-    processTextContent(textContent) {
-        if (!textContent.items || textContent.items.length === 0) {
-            return '';
+    async readPageText(page, pageNum) {
+        const entry = this.emptyPage(pageNum);
+        
+        try {
+            entry.text = this.processTextContent(await page.getTextContent());
+            if (entry.text.trim()) entry.method = 'text';
+        } catch (error) {
+            if (this.isCancelled(error)) throw error;
+            this.markPageError(entry, error);
+        }
+        
+        return entry;
+    }
+
+    emptyPage(pageNum) {
+        return { page: pageNum, method: 'empty', text: '', orientation: null, ocr: null, error: null };
+    }
+
+    /**
+     * Record why a page could not be read; a page left without text is marked 'error'
+     */
+    markPageError(entry, error) {
+        console.warn(`Could not read page ${entry.page}:`, error);
+        entry.error = error?.message || String(error);
+        if (!entry.text.trim()) entry.method = 'error';
+        return entry;
+    }
+
+    /**
+     * Use the OCR text for a page when it found more than the text layer
+     */
+    applyPageOCR(entry, ocr) {
+        if (ocr.error) return this.markPageError(entry, ocr.error);
+        
+        if (ocr.text.trim().length > entry.text.trim().length) {
+            Object.assign(entry, { text: ocr.text, method: 'ocr', orientation: ocr.orientation, ocr: ocr.ocr, cached: ocr.cached, error: null });
         }
+        entry.hash = ocr.hash || null;
+        return entry;
+    }
+
+    /**
+     * Combined text and per-page summary for a PDF, in page order
+     */
+    buildPDFResult(pages, partial = false) {
+        const sorted = [...pages].sort((a, b) => a.page - b.page);
         
-        const items = textContent.items;
-        let text = '';
-        let lastY = null;
-        let line = '';
+        // Form feeds mark page boundaries for header/footer detection
+        const fullText = sorted.map(page => page.text).join(`\n${PATTERNS.normalize.pageBreak}\n`);
         
-        // Group items by vertical position (Y coordinate)
-        items.forEach((item, index) => {
-            // Skip empty strings
-            if (!item.str || !item.str.trim()) return;
-            
-            // Check if we're on a new line
-            if (lastY !== null && Math.abs(item.transform[5] - lastY) > 5) {
-                // Add the completed line
-                text += line.trim() + '\n';
-                line = '';
+        return {
+            text: this.cleanExtractedText(fullText),
+            pages: sorted.map(({ page, method, text, orientation, ocr, hash, cached, error }) => ({
+                page,
+                method,
+                chars: text.trim().length,
+                orientation,
+                ocr,
+                hash: hash || null,
+                cached: Boolean(cached),
+                error: error || null
+            })),
+            partial: partial
+        };
+    }
+
+    /**
+     * Load a PDF file with PDF.js
+     * A password-protected file asks passwordPrompt for its password until
+     * it opens or the prompt is dismissed; the password that worked is
+     * remembered for this session so the region viewer and later runs do
+     * not ask again. PDF.js rebuilds a broken cross-reference table itself,
+     * so only files it cannot open at all fail here.
+     */
+    async openPDF(file) {
+        if (!this.isInitialized && !(await this.initPDFJS())) {
+            throw new Error('PDF.js not initialized');
+        }
+        
+        const arrayBuffer = await this.fileToArrayBuffer(file);
+        const { cMapUrl, standardFontDataUrl } = assetLoader.pdfOptions();
+        const key = this.passwordKey(file);
+        let password = this.pdfPasswords.get(key);
+        
+        for (;;) {
+            try {
+                // PDF.js transfers the data to its worker, so each attempt gets a copy
+                const pdf = await this.abortable(pdfjsLib.getDocument({
+                    data: arrayBuffer.slice(0),
+                    password: password,
+                    cMapUrl: cMapUrl,
+                    cMapPacked: CONFIG.pdf.cMapPacked,
+                    standardFontDataUrl: standardFontDataUrl
+                }).promise);
+                
+                if (password) this.pdfPasswords.set(key, password);
+                return pdf;
+            } catch (error) {
+                if (this.isCancelled(error)) throw error;
+                if (error?.name !== 'PasswordException') throw this.describePDFError(file, error);
+                
+                const incorrect = error.code === pdfjsLib.PasswordResponses?.INCORRECT_PASSWORD;
+                password = this.passwordPrompt
+                    ? await this.abortable(this.passwordPrompt(file.name, incorrect, this.job?.signal))
+                    : null;
+                
+                if (!password) throw new Error(`${file.name} is password protected - password required`);
             }
+        }
+    }
+
+    passwordKey(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    /**
+     * Replace PDF.js's bare exception messages with ones naming the file
+     */
+    describePDFError(file, error) {
+        const messages = {
+            InvalidPDFException: 'is damaged or not a PDF - no pages could be read',
+            MissingPDFException: 'could not be found',
+            UnexpectedResponseException: 'could not be loaded'
+        };
+        
+        if (!messages[error?.name]) return error;
+        return new Error(`${file.name} ${messages[error.name]}`);
+    }
+
+    /**
+     * Set how passwords are asked for: (filename, incorrect, signal) => Promise<string|null>
+     * The prompt should close itself when the signal aborts.
+     */
+    setPasswordPrompt(prompt) {
+        this.passwordPrompt = prompt;
+    }
+
+    /**
+     * Render a PDF page onto a new canvas at the OCR render scale
+     */
+    async renderPage(page, scale = CONFIG.ocr.pdfRenderScale) {
+        const viewport = page.getViewport({ scale });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        
+        await page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport: viewport
+        }).promise;
+        
+        return canvas;
+    }
+
+    /**
+     * A page needs OCR when its text layer is missing or nearly empty
+     */
+    needsOCR(pageText) {
+        return pageText.replace(/\s/g, '').length < CONFIG.ocr.minPageTextLength;
+    }
+
+    /**
+     * Render a PDF page to a canvas and run it through Tesseract
+     * Returns the text, the rotation applied to the page image and the
+     * preprocessing profile used. The rendered image's hash finds pages
+     * already read, even inside a PDF that has otherwise changed.
+     */
+    async ocrPDFPage(page) {
+        if (typeof Tesseract === 'undefined') {
+            console.warn('Tesseract.js not loaded - skipping OCR for scanned page');
+            return { text: '', orientation: null, ocr: null };
+        }
+        
+        let canvas = null;
+        
+        try {
+            canvas = await this.abortable(this.renderPage(page));
+            const source = canvas.toDataURL('image/png');
             
-            // Add item to current line
-            line += item.str;
+            const hash = this.cacheMode === 'bypass' ? null : await HashUtils.sha256(source);
+            const cached = this.cacheMode === 'use' ? extractionCache.get(hash, this.cacheSignature()) : null;
+            if (cached) return { ...cached, hash, cached: true };
             
-            // Add space if not at end and next item is on same line
-            if (index < items.length - 1) {
-                const nextItem = items[index + 1];
-                if (nextItem && Math.abs(nextItem.transform[5] - item.transform[5]) < 5) {
-                    // Check if space is needed between items
-                    if (!item.str.endsWith(' ') && !nextItem.str.startsWith(' ')) {
-                        line += ' ';
-                    }
-                }
-            }
+            const { dataUrl, orientation } = await this.detectAndCorrectOrientation(source);
+            const { text, profile, confidence, words, lang } = await this.recognizeDocument(dataUrl);
+            const result = { text: this.cleanExtractedText(text), orientation, ocr: { profile, confidence, words, lang } };
             
-            lastY = item.transform[5];
-        });
-        
-        // Add the last line
-        if (line.trim()) {
-            text += line.trim();
+            extractionCache.set(hash, this.cacheSignature(), result, { kind: 'page' });
+            return { ...result, hash, cached: false };
+        } catch (error) {
+            if (this.isCancelled(error)) throw error;
+            console.error('Error running OCR on PDF page:', error);
+            return { text: '', orientation: null, ocr: null, error };
+        } finally {
+            // Release the bitmap; scanned pages at 2x are large
+            if (canvas) {
+                canvas.width = 0;
+                canvas.height = 0;
+            }
+        }
+    }
+
+    /**
+     * Process PDF text content to maintain structure
+     * Column and table reconstruction is handled by LayoutAnalyzer.
+     */
+    processTextContent(textContent) {
+        if (!textContent.items || textContent.items.length === 0) {
+            return '';
         }
         
-        return text;
+        return layoutAnalyzer.analyze(textContent);
     }
 
     /**
      * Extract text from image using OCR
+     * Photos are rotated upright, deskewed and preprocessed first; the
+     * correction and profile applied are returned alongside the text.
      */
     async extractImageText(file) {
         try {
@@ -320,43 +722,233 @@ class OCRProcessor {
                 throw new Error('Tesseract.js library not loaded');
             }
             
-            // Initialize Tesseract worker if needed
             await this.initTesseract();
             
             // Convert file to data URL for Tesseract
-            const dataUrl = await this.fileToDataURL(file);
+            const { dataUrl, orientation } = await this.detectAndCorrectOrientation(await this.fileToDataURL(file));
             
             // Perform OCR
-            const { data: { text } } = await this.worker.recognize(dataUrl);
+            const { text, profile, confidence, words, lang } = await this.recognizeDocument(dataUrl);
             
-            return this.cleanExtractedText(text);
+            return { text: this.cleanExtractedText(text), orientation, ocr: { profile, confidence, words, lang } };
         } catch (error) {
+            if (this.isCancelled(error)) throw error;
             console.error('Error extracting image text:', error);
-            return '';
+            return { text: '', orientation: null, ocr: null };
+        }
+    }
+
+    /**
+     * OCR a page image in the selected language
+     * In 'auto' mode the first pass uses the default traineddata; when its text
+     * reads as another language the page is read again with that language's
+     * traineddata, which gets accents and local words right.
+     */
+    async recognizeDocument(dataUrl) {
+        const fixed = this.language !== 'auto';
+        const lang = fixed ? languageDetector.tesseractFor(this.language) : CONFIG.ocr.lang;
+        const result = await this.recognizeImage(dataUrl, this.profile, lang);
+        result.lang = lang;
+        
+        if (fixed) return result;
+        
+        const detected = languageDetector.detect(result.text);
+        const detectedLang = languageDetector.tesseractFor(detected.code);
+        if (!detected.confident || detectedLang === lang) return result;
+        
+        // The winning profile from the first pass is reused rather than trying them all again
+        const retry = await this.recognizeImage(dataUrl, result.profile, detectedLang);
+        retry.lang = detectedLang;
+        return retry;
+    }
+
+    /**
+     * Select the OCR language: 'auto' or a key of LANGUAGE_PACKS
+     */
+    setLanguage(code) {
+        this.language = code === 'auto' || LANGUAGE_PACKS[code] ? code : CONFIG.ocr.language;
+    }
+
+    /**
+     * Preprocess and OCR an image with the selected profile
+     * In 'auto' mode every profile is tried and the result with the highest
+     * Tesseract mean confidence wins. Low-confidence words come back with a
+     * crop of the original image for review. A paused job waits before each pass.
+     */
+    async recognizeImage(dataUrl, profileName = this.profile, lang = CONFIG.ocr.lang) {
+        await this.initTesseract();
+        
+        const names = profileName === 'auto' ? imagePreprocessor.getProfiles() : [profileName];
+        let best = null;
+        
+        for (const [index, name] of names.entries()) {
+            await this.checkpoint();
+            this.ocrPass = { index, count: names.length };
+            
+            const processed = await this.preprocessImage(dataUrl, name);
+            const { data } = await this.pool.run(lang, worker => this.abortable(worker.recognize(processed.dataUrl)));
+            
+            if (!best || data.confidence > best.confidence) {
+                best = { data, scale: processed.scale, profile: name };
+            }
         }
+        
+        return {
+            text: best.data.text,
+            confidence: best.data.confidence,
+            profile: best.profile,
+            words: await this.collectLowConfidenceWords(dataUrl, best.data.words || [], best.scale)
+        };
+    }
+
+    /**
+     * Words below CONFIG.ocr.confidence.threshold, each with a crop of the
+     * source image taken before binarization so the reviewer sees the original
+     */
+    async collectLowConfidenceWords(dataUrl, words, scale) {
+        const { threshold, maxWords, cropPadding } = CONFIG.ocr.confidence;
+        const low = words
+            .filter(word => word.text.trim() && word.confidence < threshold)
+            .slice(0, maxWords);
+        
+        if (low.length === 0) return [];
+        
+        let img = null;
+        try {
+            img = await this.loadImage(dataUrl);
+        } catch (error) {
+            console.warn('Could not load image for word crops:', error);
+        }
+        
+        return low.map(word => {
+            const box = {
+                x: word.bbox.x0 / scale,
+                y: word.bbox.y0 / scale,
+                width: (word.bbox.x1 - word.bbox.x0) / scale,
+                height: (word.bbox.y1 - word.bbox.y0) / scale
+            };
+            
+            return {
+                text: word.text.trim(),
+                confidence: Math.round(word.confidence),
+                bbox: box,
+                crop: img ? this.cropImage(img, box, cropPadding) : null
+            };
+        });
+    }
+
+    /**
+     * Cut a padded box out of an image as a data URL
+     */
+    cropImage(img, box, padding = 0) {
+        const x = Math.max(0, Math.floor(box.x - padding));
+        const y = Math.max(0, Math.floor(box.y - padding));
+        const width = Math.min(img.width - x, Math.ceil(box.width + padding * 2));
+        const height = Math.min(img.height - y, Math.ceil(box.height + padding * 2));
+        if (width <= 0 || height <= 0) return null;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(img, x, y, width, height, 0, 0, width, height);
+        
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Extraction cache use: 'use' reads and writes it, 'refresh' re-reads
+     * everything and overwrites, 'bypass' leaves it alone (for timing runs)
+     */
+    setCacheMode(mode) {
+        this.cacheMode = ['use', 'refresh', 'bypass'].includes(mode) ? mode : 'use';
+    }
+
+    /**
+     * Settings an extraction depends on; cached entries made with others are ignored
+     */
+    cacheSignature() {
+        const { ocr } = CONFIG;
+        return HashUtils.stableHash(JSON.stringify({
+            version: CONFIG.cache.version,
+            profile: this.profile,
+            language: this.language,
+            renderScale: ocr.pdfRenderScale,
+            minPageTextLength: ocr.minPageTextLength,
+            orientation: ocr.orientation,
+            preprocessing: ocr.preprocessing,
+            confidence: ocr.confidence
+        }));
+    }
+
+    /**
+     * Cached processFiles result for a file, looked up by content hash
+     * Returns { hash, result }; result is null on a miss.
+     */
+    async lookupFile(file) {
+        if (this.cacheMode === 'bypass') return { hash: null, result: null };
+        
+        const hash = await HashUtils.sha256(await this.fileToArrayBuffer(file));
+        const result = this.cacheMode === 'use' ? extractionCache.get(hash, this.cacheSignature()) : null;
+        
+        return {
+            hash,
+            result: result ? { ...result, filename: file.name, hash, cached: true } : null
+        };
+    }
+
+    /**
+     * Cache a complete, successful file result along with the scanned pages it used
+     */
+    storeFile(file, hash, result) {
+        if (!hash || !result.success || result.partial) return;
+        
+        // Unreadable pages may read fine next time (e.g. after an OCR worker crash)
+        if ((result.pages || []).some(page => page.error)) return;
+        
+        const { cached, ...stored } = result;
+        extractionCache.set(hash, this.cacheSignature(), stored, {
+            kind: 'file',
+            filename: file.name,
+            size: file.size,
+            pageHashes: (result.pages || []).map(page => page.hash).filter(Boolean)
+        });
+    }
+
+    /**
+     * Select the preprocessing profile: 'auto' or a key of CONFIG.ocr.preprocessing.profiles
+     */
+    setProfile(name) {
+        this.profile = name === 'auto' || CONFIG.ocr.preprocessing.profiles[name]
+            ? name
+            : CONFIG.ocr.preprocessing.profile;
     }
 
     /**
      * Clean and normalize extracted text
+     * Line breaks, blank lines, indentation and page breaks are preserved;
+     * RiderParser.normalizeText does the structural repair later on.
      */
     cleanExtractedText(text) {
         return text
-            // Remove excessive whitespace
-            .replace(/\s+/g, ' ')
-            // Preserve line breaks but normalize them
-            .replace(/\n\s*\n\s*\n+/g, '\n\n')
-            // Remove leading/trailing whitespace from lines
+            .replace(/\r\n?/g, '\n')
+            // Collapse whitespace runs inside lines, keeping indentation
             .split('\n')
-            .map(line => line.trim())
+            .map(line => {
+                const indent = line.match(/^[ \t]*/)[0].replace(/\t/g, '    ');
+                const content = line.slice(indent.length).replace(/[ \t]+/g, ' ').replace(/[ \t]+$/, '');
+                return content ? indent + content : '';
+            })
             .join('\n')
+            // Preserve paragraph breaks but normalize them
+            .replace(/\n{3,}/g, '\n\n')
             // Remove page numbers and headers/footers (common patterns)
-            .replace(/^Page \d+.*$/gm, '')
-            .replace(/^\d+\s*$/gm, '')
+            .replace(/^[ \t]*Page \d+.*$/gm, '')
+            .replace(/^[ \t]*\d+[ \t]*$/gm, '')
             // Fix common OCR errors
-            .replace(/[Il1]\s*\)/g, '1)')
-            .replace(/[oO0]\s*\)/g, '0)')
-            .replace(/\bl\s+'/g, "I'")
-            .trim();
+            .replace(/[Il1][ \t]*\)/g, '1)')
+            .replace(/[oO0][ \t]*\)/g, '0)')
+            .replace(/\bl[ \t]+'/g, "I'")
+            .replace(/^\n+|\s+$/g, '');
     }
 
     /**
@@ -392,138 +984,479 @@ class OCRProcessor {
     }
 
     /**
-     * Preprocess image for better OCR (optional enhancement)
+     * Preprocess image for better OCR
+     * Small images are upscaled, then ImagePreprocessor runs the profile's steps.
+     * Returns the processed data URL and the upscale factor applied.
      */
-    async preprocessImage(dataUrl) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = () => {
-                try {
-                    const canvas = document.createElement('canvas');
-                    const ctx = canvas.getContext('2d');
-                    
-                    // Set canvas size
-                    canvas.width = img.width;
-                    canvas.height = img.height;
-                    
-                    // Draw image
-                    ctx.drawImage(img, 0, 0);
-                    
-                    // Get image data
-                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                    const data = imageData.data;
-                    
-                    // Convert to grayscale and increase contrast
-                    for (let i = 0; i < data.length; i += 4) {
-                        // Convert to grayscale
-                        const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-                        
-                        // Increase contrast
-                        const contrast = 1.5;
-                        const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
-                        const newValue = factor * (gray - 128) + 128;
-                        
-                        // Apply threshold for better text recognition
-                        const threshold = newValue > 180 ? 255 : (newValue < 75 ? 0 : newValue);
-                        
-                        data[i] = threshold;
-                        data[i + 1] = threshold;
-                        data[i + 2] = threshold;
-                    }
-                    
-                    // Put processed image data back
-                    ctx.putImageData(imageData, 0, 0);
-                    
-                    // Return processed image as data URL
-                    resolve(canvas.toDataURL('image/png'));
-                } catch (error) {
-                    console.error('Error preprocessing image:', error);
-                    resolve(dataUrl); // Return original if processing fails
-                }
-            };
+    async preprocessImage(dataUrl, profileName = CONFIG.ocr.preprocessing.fallbackProfile) {
+        try {
+            const img = await this.loadImage(dataUrl);
+            const profile = imagePreprocessor.getProfile(profileName);
+            const scale = imagePreprocessor.getScale(img.width, img.height, profile);
             
-            img.onerror = () => {
-                console.error('Error loading image for preprocessing');
-                resolve(dataUrl); // Return original if loading fails
-            };
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
             
-            img.src = dataUrl;
-        });
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            ctx.putImageData(imagePreprocessor.process(imageData, profileName), 0, 0);
+            
+            return { dataUrl: canvas.toDataURL('image/png'), scale };
+        } catch (error) {
+            console.error('Error preprocessing image:', error);
+            return { dataUrl, scale: 1 }; // Return original if processing fails
+        }
     }
 
     /**
      * Detect text orientation and rotate if needed
+     * Quarter turns come from Tesseract's orientation detection (OSD); the
+     * remaining skew is measured on the upright image and straightened out.
+     * Returns { dataUrl, orientation: { rotation, skew, confidence } }.
      */
     async detectAndCorrectOrientation(dataUrl) {
-        // This would use Tesseract's orientation detection
-        // For now, returning the original image
-        return dataUrl;
+        const settings = CONFIG.ocr.orientation;
+        const orientation = { rotation: 0, skew: 0, confidence: null };
+        
+        if (!settings.enabled) return { dataUrl, orientation };
+        
+        try {
+            const osd = await this.detectOrientation(dataUrl);
+            let image = await this.loadImage(dataUrl);
+            
+            if (osd && osd.rotation !== 0 && osd.confidence >= settings.minConfidence) {
+                image = this.rotateImage(image, osd.rotation);
+                orientation.rotation = osd.rotation;
+            }
+            if (osd) orientation.confidence = osd.confidence;
+            
+            const skew = this.detectSkew(image);
+            if (Math.abs(skew) >= settings.minSkew) {
+                image = this.rotateImage(image, -skew);
+                orientation.skew = skew;
+            }
+            
+            if (orientation.rotation === 0 && orientation.skew === 0) {
+                return { dataUrl, orientation };
+            }
+            
+            return { dataUrl: image.toDataURL('image/png'), orientation };
+        } catch (error) {
+            if (this.isCancelled(error)) throw error;
+            console.error('Error correcting orientation:', error);
+            return { dataUrl, orientation };
+        }
     }
 
     /**
-     * Extract text from specific region of image
+     * Run Tesseract OSD and return the clockwise rotation that makes the page upright
+     * OSD needs the legacy engine and osd traineddata, so it runs on a separate one-worker pool.
+     */
+    async detectOrientation(dataUrl) {
+        try {
+            const { data } = await this.osdPool.run('osd', worker => this.abortable(worker.detect(dataUrl)));
+            if (!data || data.orientation_degrees === null || data.orientation_degrees === undefined) {
+                return null;
+            }
+            
+            // orientation_degrees is how far the text is turned counter-clockwise
+            return {
+                rotation: (360 - data.orientation_degrees) % 360,
+                confidence: data.orientation_confidence
+            };
+        } catch (error) {
+            if (this.isCancelled(error)) throw error;
+            
+            // Pages with too little text make OSD fail; treat them as upright
+            console.warn('Orientation detection failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Estimate the skew of upright text in degrees (positive = turned clockwise)
+     * Dark pixels are projected onto rows at each candidate angle; text lines
+     * give the sharpest row profile when the angle matches their slope.
+     */
+    detectSkew(source) {
+        const { maxSkew, analysisSize } = CONFIG.ocr.orientation;
+        const scale = Math.min(1, analysisSize / Math.max(source.width, source.height));
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, width, height);
+        const { data } = ctx.getImageData(0, 0, width, height);
+        
+        // Dark pixels relative to the page's mean brightness
+        let total = 0;
+        const gray = new Float32Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+            total += gray[i];
+        }
+        const threshold = (total / gray.length) * 0.7;
+        
+        const points = [];
+        for (let i = 0; i < gray.length; i++) {
+            if (gray[i] < threshold) points.push(i % width, Math.floor(i / width));
+        }
+        if (points.length < 200) return 0;
+        
+        const score = (degrees) => {
+            const radians = degrees * Math.PI / 180;
+            const sin = Math.sin(radians);
+            const cos = Math.cos(radians);
+            const offset = width * Math.abs(sin);
+            const rows = new Float32Array(Math.ceil(height + offset * 2) + 1);
+            
+            for (let i = 0; i < points.length; i += 2) {
+                rows[Math.round(points[i + 1] * cos - points[i] * sin + offset)]++;
+            }
+            
+            let sum = 0;
+            for (let i = 1; i < rows.length; i++) {
+                const diff = rows[i] - rows[i - 1];
+                sum += diff * diff;
+            }
+            return sum;
+        };
+        
+        // Coarse search in whole degrees, then refine around the best
+        let best = 0;
+        let bestScore = score(0);
+        for (let angle = -maxSkew; angle <= maxSkew; angle++) {
+            const value = score(angle);
+            if (value > bestScore) {
+                best = angle;
+                bestScore = value;
+            }
+        }
+        const coarse = best;
+        for (let angle = coarse - 1; angle <= coarse + 1; angle += 0.1) {
+            const value = score(angle);
+            if (value > bestScore) {
+                best = angle;
+                bestScore = value;
+            }
+        }
+        
+        canvas.width = 0;
+        canvas.height = 0;
+        
+        return Math.round(best * 10) / 10;
+    }
+
+    /**
+     * Rotate an image or canvas clockwise by the given degrees onto a white canvas
      */
-    async extractRegion(file, x, y, width, height) {
-        const dataUrl = await this.fileToDataURL(file);
+    rotateImage(source, degrees) {
+        const radians = degrees * Math.PI / 180;
+        const sin = Math.abs(Math.sin(radians));
+        const cos = Math.abs(Math.cos(radians));
         
-        return new Promise((resolve) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.width * cos + source.height * sin);
+        canvas.height = Math.round(source.width * sin + source.height * cos);
+        
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(radians);
+        ctx.drawImage(source, -source.width / 2, -source.height / 2);
+        
+        return canvas;
+    }
+
+    loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
             const img = new Image();
-            img.onload = async () => {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                
-                canvas.width = width;
-                canvas.height = height;
-                
-                // Draw specific region
-                ctx.drawImage(img, x, y, width, height, 0, 0, width, height);
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not load image'));
+            img.src = dataUrl;
+        });
+    }
+
+    /**
+     * Extract text from specific region of image
+     * source is an image File or a data URL (e.g. a rendered PDF page);
+     * options.lang and options.profile override the defaults for this region.
+     */
+    async extractRegion(source, x, y, width, height, options = {}) {
+        try {
+            const dataUrl = typeof source === 'string' ? source : await this.fileToDataURL(source);
+            const img = await this.loadImage(dataUrl);
+            const region = this.cropImage(img, { x, y, width, height });
+            if (!region) return '';
+            
+            const { text } = await this.recognizeImage(region, options.profile || this.profile, options.lang);
+            
+            return this.cleanExtractedText(text);
+        } catch (error) {
+            console.error('Error in region OCR:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Process multiple files on the worker pool
+     * Text layers are read first; then every page that needs OCR (scanned PDF
+     * pages and images) from every file joins one queue that the pool's
+     * workers drain in parallel, so a long scan and a few photos share the
+     * workers instead of waiting on each other. The queue stays in file order,
+     * so a cancel keeps the earliest files whole. Returns the same shape as processFiles.
+     */
+    async batchProcess(files, progressCallback, job = new ProcessingJob()) {
+        if (!this.areLibrariesReady(files)) {
+            throw new Error('Required libraries not available. Please refresh the page and try again.');
+        }
+        
+        if (!this.isInitialized && typeof pdfjsLib !== 'undefined' && !(await this.initPDFJS())) {
+            throw new Error('Failed to initialize PDF.js');
+        }
+        
+        this.progressCallback = progressCallback;
+        this.job = job;
+        const entries = [];
+        const tasks = [];
+        let cancelled = false;
+        
+        const stopWorkers = () => this.cleanup();
+        job.signal.addEventListener('abort', stopWorkers, { once: true });
+        
+        try {
+            for (const file of files) {
+                await job.checkpoint();
+                this.reportBatchProgress(0, 0, `Reading ${file.name}`);
                 
-                const regionDataUrl = canvas.toDataURL('image/png');
+                const entry = { file, pages: null, extracted: null, pdf: null, error: null, hash: null, cached: null };
+                entries.push(entry);
                 
-                // Perform OCR on region
                 try {
-                    await this.initTesseract();
-                    const { data: { text } } = await this.worker.recognize(regionDataUrl);
-                    resolve(text);
+                    ({ hash: entry.hash, result: entry.cached } = await this.lookupFile(file));
+                    if (!entry.cached) tasks.push(...await this.queueFile(entry));
                 } catch (error) {
-                    console.error('Error in region OCR:', error);
-                    resolve('');
+                    this.recordEntryError(entry, error);
                 }
-            };
+            }
             
-            img.onerror = () => {
-                console.error('Error loading image for region OCR');
-                resolve('');
-            };
+            let done = 0;
+            const workers = Math.min(this.pool.size, tasks.length);
+            this.reportBatchProgress(0, tasks.length, `Reading ${tasks.length} page(s) with ${workers} worker(s)`);
             
-            img.src = dataUrl;
+            await this.schedule(tasks, this.pool.size, task => {
+                done++;
+                this.reportBatchProgress(done, tasks.length, `Read ${task.label}`);
+            });
+        } catch (error) {
+            if (!this.isCancelled(error)) throw error;
+            cancelled = true;
+        } finally {
+            job.signal.removeEventListener('abort', stopWorkers);
+            entries.forEach(entry => entry.pdf?.destroy());
+            
+            await this.cleanup();
+            
+            this.job = null;
+        }
+        
+        const results = [];
+        entries.forEach(entry => {
+            const result = this.buildBatchResult(entry);
+            if (!result) return;
+            
+            results.push(result);
+            if (!entry.cached) this.storeFile(entry.file, entry.hash, result);
         });
+        const totalText = results
+            .filter(result => result.success)
+            .map(result => `\n\n--- ${result.filename} ---\n\n${result.text}`)
+            .join('');
+        
+        return {
+            results: results,
+            totalText: totalText.trim(),
+            successCount: results.filter(r => r.success).length,
+            failCount: results.filter(r => !r.success).length,
+            cancelled: cancelled,
+            stats: this.buildStats(results, job.elapsed(), this.pool.size)
+        };
     }
 
     /**
-     * Batch process with parallel execution
+     * Read a file's text layer and return OCR tasks for the pages that need it
      */
-    async batchProcess(files, maxConcurrent = 3) {
-        const results = [];
-        const chunks = [];
+    async queueFile(entry) {
+        const { file } = entry;
+        const format = documentExtractor.detectFormat(file);
         
-        try {
-            // Split files into chunks for parallel processing
-            for (let i = 0; i < files.length; i += maxConcurrent) {
-                chunks.push(files.slice(i, i + maxConcurrent));
+        if (format === 'pdf') {
+            entry.pdf = await this.openPDF(file);
+            entry.pageCount = entry.pdf.numPages;
+            entry.pages = [];
+            const tasks = [];
+            
+            for (let pageNum = 1; pageNum <= entry.pageCount; pageNum++) {
+                await this.checkpoint();
+                
+                const { page, entry: pageEntry } = await this.loadPage(entry.pdf, pageNum);
+                entry.pages.push(pageEntry);
+                
+                if (!page) continue;
+                if (!this.needsOCR(pageEntry.text)) {
+                    page.cleanup();
+                    continue;
+                }
+                
+                // Held back from the result until its OCR finishes
+                pageEntry.pending = true;
+                tasks.push({
+                    label: `page ${pageNum} of ${file.name}`,
+                    run: async () => {
+                        try {
+                            this.applyPageOCR(pageEntry, await this.ocrPDFPage(page));
+                            pageEntry.pending = false;
+                        } finally {
+                            page.cleanup();
+                        }
+                    }
+                });
             }
             
-            // Process chunks
-            for (const chunk of chunks) {
-                const chunkPromises = chunk.map(file => this.processFile(file));
-                const chunkResults = await Promise.all(chunkPromises);
-                results.push(...chunkResults);
+            return tasks;
+        }
+        
+        if (!format) {
+            console.warn(`Unsupported file type: ${file.type}`);
+            return [];
+        }
+        
+        // Images, documents and emails are read whole by one task; a file that
+        // cannot be read fails on its own instead of stopping the other lanes
+        return [{
+            label: file.name,
+            run: async () => {
+                try {
+                    entry.extracted = await this.extractFile(file);
+                } catch (error) {
+                    this.recordEntryError(entry, error);
+                }
             }
-        } catch (error) {
-            console.error('Error in batch processing:', error);
+        }];
+    }
+
+    /**
+     * Keep a file's error on its batch entry, as processFiles does for its result; a cancel is rethrown
+     */
+    recordEntryError(entry, error) {
+        if (this.isCancelled(error)) throw error;
+        
+        console.error(`Error processing ${entry.file.name}:`, error);
+        entry.error = error;
+    }
+
+    /**
+     * Run tasks on up to `concurrency` lanes pulling from one shared queue
+     * Each lane waits at the job's checkpoint before taking a task, so a
+     * pause lets running pages finish and a cancel stops the queue.
+     */
+    async schedule(tasks, concurrency, onDone) {
+        let next = 0;
+        
+        const lane = async () => {
+            while (next < tasks.length) {
+                await this.checkpoint();
+                const task = tasks[next++];
+                await task.run();
+                onDone(task);
+            }
+        };
+        
+        const lanes = Array.from({ length: Math.min(concurrency, tasks.length) }, lane);
+        
+        // Let every lane settle before reporting, so no page is still running
+        const outcomes = await Promise.allSettled(lanes);
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) throw failure.reason;
+    }
+
+    /**
+     * processFiles-style result for a batch entry, or null if nothing was read
+     */
+    buildBatchResult(entry) {
+        const { file } = entry;
+        const base = { filename: file.name, type: file.type, size: file.size, hash: entry.hash, cached: false };
+        
+        if (entry.cached) return entry.cached;
+        
+        if (entry.error) {
+            return { ...base, text: '', success: false, error: entry.error.message };
         }
         
-        return results;
+        if (entry.pages) {
+            const finished = entry.pages.filter(page => !page.pending);
+            if (finished.length === 0) return null;
+            
+            const { text, pages } = this.buildPDFResult(finished);
+            return {
+                ...base,
+                text: text,
+                pages: pages,
+                partial: finished.length < entry.pageCount,
+                orientation: null,
+                ocr: null,
+                language: languageDetector.detect(text),
+                success: true
+            };
+        }
+        
+        if (entry.extracted) {
+            const { text, orientation, ocr, attachments } = entry.extracted;
+            return {
+                ...base,
+                text: text,
+                pages: null,
+                partial: false,
+                orientation: orientation,
+                ocr: ocr,
+                attachments: attachments,
+                language: languageDetector.detect(text),
+                success: true
+            };
+        }
+        
+        return null;
+    }
+
+    /**
+     * Progress for the pooled path: OCR pages done out of those queued
+     */
+    reportBatchProgress(done, total, message) {
+        if (!this.progressCallback) return;
+        
+        const progress = total > 0 ? done / total : 0;
+        
+        try {
+            this.progressCallback({
+                type: 'batch',
+                message: message,
+                file: null,
+                page: null,
+                pages: { current: done, total: total },
+                progress: progress,
+                eta: this.job ? this.job.estimateRemaining(progress) : null
+            });
+        } catch (error) {
+            console.warn('Progress callback error:', error);
+        }
     }
 
     /**
@@ -531,17 +1464,16 @@ class OCRProcessor {
      */
     async processFile(file) {
         try {
-            let text = '';
-            
-            if (file.type === 'application/pdf') {
-                text = await this.extractPDFText(file);
-            } else if (file.type.startsWith('image/')) {
-                text = await this.extractImageText(file);
-            }
+            const { text, pages, orientation, ocr, attachments } = await this.extractFile(file) || { text: '' };
             
             return {
                 filename: file.name,
                 text: text,
+                pages: pages,
+                orientation: orientation,
+                ocr: ocr,
+                attachments: attachments,
+                language: languageDetector.detect(text),
                 success: true
             };
         } catch (error) {
@@ -565,21 +1497,23 @@ class OCRProcessor {
      * Check if file is supported
      */
     isSupported(file) {
-        return this.getSupportedTypes().includes(file.type);
+        return this.getSupportedTypes().includes(file.type) || documentExtractor.detectFormat(file) !== null;
     }
 
     /**
      * Cleanup resources
      */
     async cleanup() {
-        if (this.worker) {
-            try {
-                await this.worker.terminate();
-            } catch (error) {
-                console.warn('Error terminating Tesseract worker:', error);
-            }
-            this.worker = null;
-        }
+        await Promise.all([this.pool.terminate(), this.osdPool.terminate()]);
+    }
+
+    /**
+     * Stop the workers region reads started, once the region viewer closes
+     * A processing run still using the pool stops them itself when it ends.
+     */
+    async releaseWorkers() {
+        if (this.job) return;
+        await this.cleanup();
     }
 }
 
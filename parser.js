@@ -5,6 +5,11 @@
 class RiderParser {
     constructor() {
         this.llmEnabled = false;
+        this.lastMethod = null;
+        this.llmDeferred = false;
+        this.language = 'auto';
+        this.languages = [CONFIG.language.default];
+        this.resources = this.buildResources(this.languages);
         this.apiKey = localStorage.getItem('riderLLMKey') || '';
         this.provider = localStorage.getItem('riderLLMProvider') || 'openai';
         
@@ -22,23 +27,87 @@ class RiderParser {
         // Clean and normalize text
         const cleanedText = this.normalizeText(text);
         
-        // Try LLM parsing first if enabled
+        // Switch to the language packs for the languages found in the documents
+        // (detected on the raw text, which still has its per-file separators)
+        this.languages = this.language === 'auto'
+            ? languageDetector.detectSections(text)
+            : Array.from(new Set([CONFIG.language.default, this.language]));
+        this.resources = this.buildResources(this.languages);
+        
+        // Try LLM parsing first if enabled; without a connection it is left for
+        // the caller to queue (llmDeferred) and the regex parse is used meanwhile
+        this.llmDeferred = false;
         if (this.llmEnabled && this.apiKey) {
             try {
+                if (!navigator.onLine) throw new Error('Offline');
+                
                 const llmResult = await this.parseWithLLM(cleanedText);
                 if (llmResult && llmResult.items && llmResult.items.length > 0) {
-                    return this.standardizeOutput(llmResult);
+                    this.lastMethod = 'llm';
+                    return this.standardizeOutput(llmResult, cleanedText);
                 }
             } catch (error) {
-                console.warn('LLM parsing failed, falling back to regex:', error);
-                showToast('Using offline parsing due to API error', 'warning');
+                if (!navigator.onLine) {
+                    this.llmDeferred = true;
+                } else {
+                    console.warn('LLM parsing failed, falling back to regex:', error);
+                    showToast('Using offline parsing due to API error', 'warning');
+                }
             }
         }
         
         // Fall back to regex parsing
+        this.lastMethod = 'regex';
         return this.parseWithRegex(cleanedText);
     }
 
+    /**
+     * Parse in a fixed language, or 'auto' to detect it per document
+     */
+    setLanguage(code) {
+        this.language = code === 'auto' || LANGUAGE_PACKS[code] ? code : 'auto';
+    }
+
+    /**
+     * Merge the English patterns and tables with the packs for other languages
+     */
+    buildResources(codes) {
+        const packs = codes.map(code => LANGUAGE_PACKS[code]).filter(pack => pack && pack.numbers);
+        const numbers = Object.assign({}, ...packs.map(pack => pack.numbers));
+        
+        // Localized number words join the English alternatives in the quantity patterns
+        const numberWords = Object.keys(numbers)
+            .sort((a, b) => b.length - a.length)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'));
+        const extra = numberWords.length > 0 ? `|${numberWords.join('|')}` : '';
+        
+        const categoryKeywords = {};
+        Object.entries(CATEGORY_KEYWORDS).forEach(([category, keywords]) => {
+            categoryKeywords[category] = [...keywords, ...packs.flatMap(pack => pack.categoryKeywords[category] || [])];
+        });
+        
+        return {
+            quantityMap: { ...QUANTITY_MAP, ...numbers },
+            written: extra
+                ? new RegExp(PATTERNS.quantity.written.source.replace(/\)\\s\+$/, `${extra})\\s+`), 'i')
+                : PATTERNS.quantity.written,
+            item: extra
+                ? new RegExp(PATTERNS.item.source.replace('|dozen)', `|dozen${extra})`), PATTERNS.item.flags)
+                : PATTERNS.item,
+            partitives: packs.map(pack => pack.partitive).filter(Boolean),
+            categories: packs.flatMap(pack => pack.categories),
+            categoryKeywords,
+            units: packs.map(pack => pack.units),
+            rooms: [...PATTERNS.room, ...packs.flatMap(pack => pack.room)],
+            allergyPatterns: [...PATTERNS.allergy, ...packs.flatMap(pack => pack.allergy)],
+            allergyExplicit: new RegExp(['allerg', ...packs.map(pack => pack.allergyExplicit.source)].join('|'), 'i'),
+            allergens: [
+                ...COMMON_ALLERGENS.map(allergen => [allergen, allergen]),
+                ...packs.flatMap(pack => Object.entries(pack.allergens))
+            ]
+        };
+    }
+
     /**
      * Parse using LLM API
      */
@@ -132,11 +201,17 @@ class RiderParser {
             items: [],
             allergies: [],
             contacts: [],
-            specialRequirements: []
+            specialRequirements: [],
+            venue: '',
+            showDate: '',
+            languages: this.languages,
+            details: {},
+            sourceText: text
         };
 
         // Parse artists
-        result.artists = this.parseArtists(text);
+        result.details.artists = this.parseArtists(text);
+        result.artists = result.details.artists.map(artist => artist.value);
         
         // Parse rooms
         result.rooms = this.parseRooms(text);
@@ -144,11 +219,16 @@ class RiderParser {
         // Parse contacts
         result.contacts = this.parseContacts(text);
         
+        // Parse venue and show date
+        Object.assign(result, this.parseEventDetails(text));
+        
         // Parse allergies
-        result.allergies = this.parseAllergies(text);
+        result.details.allergies = this.parseAllergies(text);
+        result.allergies = result.details.allergies.map(allergy => allergy.value);
         
         // Parse special requirements
-        result.specialRequirements = this.parseSpecialRequirements(text);
+        result.details.specialRequirements = this.parseSpecialRequirements(text);
+        result.specialRequirements = result.details.specialRequirements.map(req => req.value);
         
         // Parse items and categories
         const itemsAndCategories = this.parseItemsAndCategories(text, result.rooms);
@@ -158,23 +238,44 @@ class RiderParser {
         return result;
     }
 
+    /**
+     * Parse venue and show date
+     */
+    parseEventDetails(text) {
+        const venue = text.match(PATTERNS.event.venue);
+        const date = text.match(PATTERNS.event.date);
+        
+        return {
+            venue: venue ? venue[1].trim() : '',
+            showDate: date ? date[1].trim() : ''
+        };
+    }
+
     /**
      * Parse artist names
      */
     parseArtists(text) {
-        const artists = new Set();
+        const artists = new Map();
+        
+        // Explicit "Artist:" labels are more reliable than names inferred from context
+        const patternConfidence = [0.9, 0.7, 0.6, 0.5];
         
-        PATTERNS.artist.forEach(pattern => {
+        PATTERNS.artist.forEach((pattern, patternIndex) => {
             const matches = text.matchAll(pattern);
             for (const match of matches) {
                 const artist = this.cleanName(match[1]);
                 if (artist && artist.length >= CONFIG.parsing.minArtistNameLength) {
-                    artists.add(artist);
+                    const confidence = patternConfidence[patternIndex];
+                    const existing = artists.get(artist);
+                    if (!existing || existing.confidence < confidence) {
+                        const start = match.index + match[0].indexOf(match[1]);
+                        artists.set(artist, this.annotate({ value: artist }, confidence, text, start, start + match[1].length));
+                    }
                 }
             }
         });
         
-        return Array.from(artists);
+        return Array.from(artists.values());
     }
 
     /**
@@ -183,19 +284,24 @@ class RiderParser {
     parseRooms(text) {
         const rooms = [];
         const seen = new Set();
+        const patternConfidence = [0.85, 0.75, 0.7];
         
-        PATTERNS.room.forEach(pattern => {
+        this.resources.rooms.forEach((pattern, patternIndex) => {
             const matches = text.matchAll(pattern);
             for (const match of matches) {
                 const id = match[1];
                 if (id && !seen.has(id)) {
                     seen.add(id);
-                    rooms.push({
+                    
+                    // Single-letter ids are easily confused with stray initials
+                    // Localized room patterns are as specific as the English "dressing room" one
+                    const confidence = (patternConfidence[patternIndex] ?? 0.8) - (/^\d+$/.test(id) ? 0 : 0.15);
+                    rooms.push(this.annotate({
                         id: id,
                         name: `Room ${id}`,
                         description: match[2] ? this.cleanName(match[2]) : '',
                         items: []
-                    });
+                    }, confidence, text, match.index, match.index + match[0].length));
                 }
             }
         });
@@ -224,12 +330,17 @@ class RiderParser {
             );
             
             const emailMatch = nearbyText.match(PATTERNS.contact.email);
-            if (emailMatch) contact.email = emailMatch[1];
+            if (emailMatch) contact.email = emailMatch[0];
             
             const phoneMatch = nearbyText.match(PATTERNS.contact.phone);
             if (phoneMatch) contact.phone = this.cleanPhone(phoneMatch[0]);
             
-            if (contact.name) contacts.push(contact);
+            // A name backed by an email or phone number is far more likely to be real
+            const confidence = 0.5 + (contact.email ? 0.25 : 0) + (contact.phone ? 0.2 : 0);
+            
+            if (contact.name) {
+                contacts.push(this.annotate(contact, confidence, text, match.index, match.index + match[0].length));
+            }
         }
         
         return contacts;
@@ -239,29 +350,41 @@ class RiderParser {
      * Parse allergies and restrictions
      */
     parseAllergies(text) {
-        const allergies = new Set();
+        const allergies = new Map();
+        const add = (value, confidence, start, end) => {
+            const existing = allergies.get(value);
+            if (!existing || existing.confidence < confidence) {
+                allergies.set(value, this.annotate({ value }, confidence, text, start, end));
+            }
+        };
         
-        PATTERNS.allergy.forEach(pattern => {
+        this.resources.allergyPatterns.forEach(pattern => {
             const matches = text.matchAll(pattern);
             for (const match of matches) {
                 const allergy = this.cleanAllergy(match[1]);
                 if (allergy && allergy.length < 100) {
-                    // Check for common allergens
-                    COMMON_ALLERGENS.forEach(common => {
-                        if (allergy.toLowerCase().includes(common)) {
-                            allergies.add(common);
+                    // Generic "no"/"avoid" phrasing is much noisier than an explicit allergy
+                    const explicit = this.resources.allergyExplicit.test(match[0]);
+                    const start = match.index + match[0].indexOf(match[1]);
+                    const lower = match[1].toLowerCase();
+                    
+                    // Check for common allergens, reported under their English name
+                    this.resources.allergens.forEach(([term, allergen]) => {
+                        const offset = lower.indexOf(term);
+                        if (offset !== -1) {
+                            add(allergen, explicit ? 0.9 : 0.7, start + offset, start + offset + term.length);
                         }
                     });
                     
                     // Add the full allergy text if it's specific
                     if (allergy.length < 50) {
-                        allergies.add(allergy);
+                        add(allergy, explicit ? 0.6 : 0.4, start, start + match[1].length);
                     }
                 }
             }
         });
         
-        return Array.from(allergies);
+        return Array.from(allergies.values());
     }
 
     /**
@@ -269,26 +392,29 @@ class RiderParser {
      */
     parseSpecialRequirements(text) {
         const requirements = [];
+        const add = (value, confidence, start, end) => {
+            requirements.push(this.annotate({ value }, confidence, text, start, end));
+        };
         
         // Temperature requirements
-        const tempMatches = text.matchAll(PATTERNS.special.temperature);
+        const tempMatches = text.matchAll(this.toGlobal(PATTERNS.special.temperature));
         for (const match of tempMatches) {
-            requirements.push(`Temperature: ${match[1]}°${match[2]}`);
+            add(`Temperature: ${match[1]}°${match[2]}`, 0.8, match.index, match.index + match[0].length);
         }
         
         // Timing requirements
-        const timeMatches = text.matchAll(PATTERNS.special.timing);
+        const timeMatches = text.matchAll(this.toGlobal(PATTERNS.special.timing));
         for (const match of timeMatches) {
-            requirements.push(`Timing: ${match[0]}`);
+            add(`Timing: ${match[0]}`, 0.6, match.index, match.index + match[0].length);
         }
         
         // Must-have items
-        const mustHaveMatches = text.matchAll(PATTERNS.special.mustHave);
+        const mustHaveMatches = text.matchAll(this.toGlobal(PATTERNS.special.mustHave));
         for (const match of mustHaveMatches) {
             const context = text.substring(match.index, match.index + 100);
             const itemMatch = context.match(/([A-Za-z\s]+)/);
             if (itemMatch) {
-                requirements.push(`Must Have: ${itemMatch[1].trim()}`);
+                add(`Must Have: ${itemMatch[1].trim()}`, 0.5, match.index, match.index + itemMatch[0].length);
             }
         }
         
@@ -305,10 +431,67 @@ class RiderParser {
         
         let currentCategory = 'General';
         let currentRoom = null;
+        let lastItem = null;
+        let lastItemIndent = 0;
+        let tableColumns = null;
+        let offset = 0;
+        
+        const addItem = (item) => {
+            items.push(item);
+            
+            if (!categories[item.category]) {
+                categories[item.category] = [];
+            }
+            categories[item.category].push(item);
+            
+            // Add to room if specified
+            if (item.room) {
+                const room = rooms.find(r => r.id === item.room);
+                if (room) {
+                    room.items.push(item);
+                }
+            }
+        };
         
         lines.forEach((line, index) => {
+            const lineStart = offset;
+            offset += line.length + 1;
+            
             const trimmed = line.trim();
-            if (!trimmed) return;
+            if (!trimmed) {
+                lastItem = null;
+                return;
+            }
+            
+            // Table rows map their columns straight onto item fields
+            const tableRow = trimmed.match(PATTERNS.table.row);
+            if (tableRow) {
+                lastItem = null;
+                if (PATTERNS.table.separator.test(trimmed)) return;
+                
+                const cells = tableRow[1].split('|').map(cell => cell.trim());
+                const header = this.parseTableHeader(cells);
+                if (header) {
+                    tableColumns = header;
+                    return;
+                }
+                
+                const item = this.parseTableRow(cells, tableColumns, currentCategory, currentRoom);
+                if (item) {
+                    this.annotate(item, tableColumns ? 0.9 : 0.75, text, lineStart, lineStart + line.length);
+                    addItem(item);
+                }
+                return;
+            }
+            tableColumns = null;
+            
+            // Deeper-indented plain lines continue the item above them
+            const indent = this.getIndent(line);
+            if (lastItem && indent > lastItemIndent && !/^[\-•*]/.test(trimmed)) {
+                lastItem.notes = lastItem.notes ? `${lastItem.notes}; ${trimmed}` : trimmed;
+                if (lastItem.source) lastItem.source.end = lineStart + line.length;
+                return;
+            }
             
             // Check for category headers
             const categoryMatch = this.detectCategory(trimmed);
@@ -317,32 +500,27 @@ class RiderParser {
                 if (!categories[currentCategory]) {
                     categories[currentCategory] = [];
                 }
+                lastItem = null;
                 return;
             }
             
-            // Check for room context
+            // Check for room context - a bare room heading is not an item
             const roomMatch = this.detectRoomContext(trimmed);
             if (roomMatch) {
                 currentRoom = roomMatch;
+                if (this.looksLikeHeader(trimmed)) {
+                    lastItem = null;
+                    return;
+                }
             }
             
             // Parse as item
             const item = this.parseItem(trimmed, currentCategory, currentRoom);
+            lastItem = item;
+            lastItemIndent = indent;
             if (item) {
-                items.push(item);
-                
-                if (!categories[currentCategory]) {
-                    categories[currentCategory] = [];
-                }
-                categories[currentCategory].push(item);
-                
-                // Add to room if specified
-                if (currentRoom) {
-                    const room = rooms.find(r => r.id === currentRoom);
-                    if (room) {
-                        room.items.push(item);
-                    }
-                }
+                this.annotate(item, this.scoreItem(trimmed, item), text, lineStart + indent, lineStart + line.length);
+                addItem(item);
             }
         });
         
@@ -353,10 +531,14 @@ class RiderParser {
      * Parse individual item
      */
     parseItem(line, category, room) {
-        const match = line.match(PATTERNS.item);
+        const match = line.match(this.resources.item);
         if (!match || !match[3]) return null;
         
-        const itemName = this.cleanItemName(match[3]);
+        // "seis botellas de agua" style: drop the "de" after a written quantity
+        let itemName = this.cleanItemName(match[3]);
+        if (match[1]) {
+            this.resources.partitives.forEach(pattern => itemName = itemName.replace(pattern, ''));
+        }
         if (!itemName || itemName.length < CONFIG.parsing.minItemLength) return null;
         
         return {
@@ -371,41 +553,147 @@ class RiderParser {
         };
     }
 
+    /**
+     * Map header cells to item fields, or null if the row is not a header
+     */
+    parseTableHeader(cells) {
+        const fields = cells.map(cell => {
+            const label = cell.replace(/[:.]+$/, '').trim();
+            return Object.keys(PATTERNS.table.columns).find(field => PATTERNS.table.columns[field].test(label)) || null;
+        });
+        
+        const known = fields.filter(Boolean).length;
+        return known >= Math.max(1, Math.ceil(cells.filter(Boolean).length / 2)) ? fields : null;
+    }
+
+    /**
+     * Build an item from table cells
+     * Without a header, a leading number is the quantity, the next cell the
+     * item and anything after it notes.
+     */
+    parseTableRow(cells, columns, category, room) {
+        const fields = {};
+        
+        if (columns) {
+            cells.forEach((cell, index) => {
+                const field = columns[index] || 'notes';
+                if (cell) fields[field] = fields[field] ? `${fields[field]}; ${cell}` : cell;
+            });
+        } else {
+            const rest = [...cells].filter(Boolean);
+            if (rest.length > 1 && /^\(?\d+\)?\s*(?:x|pcs?|ea)?\.?$/i.test(rest[0])) {
+                fields.quantity = rest.shift();
+            }
+            fields.name = rest.shift();
+            if (rest.length > 0) fields.notes = rest.join('; ');
+        }
+        
+        const itemName = this.cleanItemName(fields.name || '');
+        if (!itemName || itemName.length < CONFIG.parsing.minItemLength) return null;
+        
+        const quantityMatch = (fields.quantity || '').match(/\d+/);
+        
+        return {
+            name: itemName,
+            quantity: quantityMatch ? parseInt(quantityMatch[0]) : this.parseQuantity(fields.quantity),
+            unit: this.detectUnit(itemName),
+            brand: fields.brand || this.detectBrand(itemName),
+            room: fields.room ? (this.detectRoomContext(fields.room) || fields.room) : room,
+            category: fields.category ? this.standardizeCategoryName(fields.category) : category,
+            notes: fields.notes || '',
+            mustHave: PATTERNS.special.mustHave.test(cells.join(' '))
+        };
+    }
+
+    /**
+     * Estimate how likely a parsed line is a genuine rider item
+     */
+    scoreItem(line, item) {
+        const body = line.replace(/^[\s\-•*]+/, '');
+        let score = 0.6;
+        
+        // Bulleted entries and explicit quantities are typical of rider lists
+        if (/^[\-•*]/.test(line)) score += 0.1;
+        if (PATTERNS.quantity.numeric.test(body) || this.resources.written.test(body) || PATTERNS.quantity.parenthetical.test(body)) {
+            score += 0.15;
+        }
+        if (item.category && item.category !== 'General') score += 0.1;
+        if (item.brand) score += 0.05;
+        
+        // Contact details and "Label: value" lines are usually metadata, not items
+        if (line.match(PATTERNS.contact.email) || line.match(PATTERNS.contact.phone)) score -= 0.35;
+        if (/^[A-Za-z ]{2,30}:\s*\S/.test(body)) score -= 0.15;
+        if (item.name.length > 80) score -= 0.2;
+        
+        return score;
+    }
+
     /**
      * Detect category from line
      */
     detectCategory(line) {
+        if (!this.looksLikeHeader(line)) return null;
+        
+        const heading = line.replace(/\s*[:\-–]+$/, '').trim();
+        if (heading.length < CONFIG.parsing.minCategoryLength) return null;
+        
+        // Headings end with a colon or are set in capitals
+        const explicit = /:$/.test(line) || (/[A-Z]/.test(heading) && heading === heading.toUpperCase());
+        
         // Check against category patterns
         for (const pattern of PATTERNS.category) {
-            if (pattern.test(line)) {
-                return this.standardizeCategoryName(line);
+            const match = heading.match(pattern);
+            if (match && (explicit || match[0].length === heading.length)) {
+                return this.standardizeCategoryName(heading);
+            }
+        }
+        
+        // Localized headings map onto the English category names
+        for (const [pattern, category] of this.resources.categories) {
+            const match = heading.match(pattern);
+            if (match && (explicit || match[0].length === heading.length)) {
+                return category;
             }
         }
         
         // Check against category keywords
-        for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
-            for (const keyword of keywords) {
-                if (line.toLowerCase().includes(keyword)) {
-                    return this.capitalizeFirst(category);
+        if (explicit) {
+            for (const [category, keywords] of Object.entries(this.resources.categoryKeywords)) {
+                for (const keyword of keywords) {
+                    if (heading.toLowerCase().includes(keyword)) {
+                        return this.capitalizeFirst(category);
+                    }
                 }
             }
         }
         
         // Check if it looks like a header (all caps, short)
-        if (/^[A-Z\s&]+$/.test(line) && line.length < CONFIG.parsing.maxCategoryLength) {
-            return this.standardizeCategoryName(line);
+        if (/^[A-Z\s&]+$/.test(heading)) {
+            return this.standardizeCategoryName(heading);
         }
         
         return null;
     }
 
+    /**
+     * Check whether a line is shaped like a section heading rather than an item
+     */
+    looksLikeHeader(line) {
+        if (/^[\-•*]/.test(line)) return false;
+        if (PATTERNS.quantity.numeric.test(line) || this.resources.written.test(line)) return false;
+        
+        const heading = line.replace(/\s*[:\-–]+$/, '');
+        return heading.length <= CONFIG.parsing.maxCategoryLength && heading.split(' ').length <= 5;
+    }
+
     /**
      * Detect room context
      */
     detectRoomContext(line) {
-        for (const pattern of PATTERNS.room) {
-            const match = line.match(pattern);
-            if (match) {
+        for (const pattern of this.resources.rooms) {
+            // Shared patterns are global; match with a non-global copy to read groups
+            const match = line.match(new RegExp(pattern.source, pattern.flags.replace('g', '')));
+            if (match && match[1]) {
                 return match[1];
             }
         }
@@ -423,8 +711,8 @@ class RiderParser {
         if (!isNaN(num)) return num;
         
         // Check written numbers
-        const lower = str.toLowerCase();
-        return QUANTITY_MAP[lower] || 1;
+        const lower = str.toLowerCase().replace(/\s+/g, ' ');
+        return this.resources.quantityMap[lower] || 1;
     }
 
     /**
@@ -444,8 +732,10 @@ class RiderParser {
             'liter': /liters?|litres?/i
         };
         
-        for (const [unit, pattern] of Object.entries(units)) {
-            if (pattern.test(name)) return unit;
+        for (const unitPatterns of [units, ...this.resources.units]) {
+            for (const [unit, pattern] of Object.entries(unitPatterns)) {
+                if (pattern.test(name)) return unit;
+            }
         }
         
         return 'item';
@@ -471,15 +761,181 @@ class RiderParser {
     }
 
     /**
-     * Utility functions
+     * Normalize raw extracted text while keeping its line, paragraph
+     * and indentation structure intact for line-based parsing
      */
     normalizeText(text) {
+        if (!text) return '';
+        
+        const stages = [
+            this.normalizeLineBreaks,
+            this.normalizeWhitespace,
+            this.stripPageFurniture,
+            this.repairHyphenation,
+            this.normalizeBullets,
+            this.collapseBlankLines
+        ];
+        
+        return stages.reduce((current, stage) => stage.call(this, current), text);
+    }
+
+    /**
+     * Convert every line ending variant to \n and drop invisible characters
+     */
+    normalizeLineBreaks(text) {
         return text
-            .replace(/\r\n/g, '\n')
-            .replace(/\r/g, '\n')
-            .replace(/\t/g, ' ')
-            .replace(/\s+/g, ' ')
-            .replace(/\n{3,}/g, '\n\n');
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\u2028\u2029\u0085]/g, '\n')
+            .replace(/[\u200b-\u200d\ufeff]/g, '');
+    }
+
+    /**
+     * Expand leading tabs into indentation and collapse runs of spaces
+     * inside each line, without touching the line breaks themselves
+     */
+    normalizeWhitespace(text) {
+        const indent = ' '.repeat(PATTERNS.normalize.tabWidth);
+        
+        return text
+            .split('\n')
+            .map(line => {
+                const leading = line.match(/^[ \t\u00a0]*/)[0]
+                    .replace(/\t/g, indent)
+                    .replace(/\u00a0/g, ' ');
+                const content = line.slice(line.match(/^[ \t\u00a0]*/)[0].length)
+                    .replace(/[ \t\u00a0]+/g, ' ')
+                    .replace(/ $/, '');
+                return content ? leading + content : '';
+            })
+            .join('\n');
+    }
+
+    /**
+     * Remove page numbers, file separators and running headers/footers
+     * that repeat at the top or bottom of most pages
+     */
+    stripPageFurniture(text) {
+        const { pageBreak, pageNumber, fileSeparator } = PATTERNS.normalize;
+        const pages = text.split(pageBreak).map(page => page.split('\n'));
+        const repeated = this.findRunningLines(pages);
+        
+        return pages
+            .map(lines => {
+                const edges = this.pageEdges(lines);
+                return lines
+                    .filter((line, index) => {
+                        const trimmed = line.trim();
+                        if (!trimmed) return true;
+                        if (edges.has(index) && repeated.has(this.runningLineKey(trimmed))) return false;
+                        return !pageNumber.some(pattern => pattern.test(trimmed));
+                    })
+                    .map(line => fileSeparator.test(line.trim()) ? '' : line)
+                    .join('\n');
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Find lines that appear at the edges of at least half of the pages
+     */
+    findRunningLines(pages) {
+        const repeated = new Set();
+        if (pages.length < 2) return repeated;
+        
+        const counts = new Map();
+        pages.forEach(lines => {
+            const edges = new Set([...this.pageEdges(lines)].map(index => this.runningLineKey(lines[index].trim())));
+            edges.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        });
+        
+        const minPages = Math.max(2, Math.ceil(pages.length / 2));
+        counts.forEach((count, key) => {
+            if (count >= minPages) repeated.add(key);
+        });
+        
+        return repeated;
+    }
+
+    /**
+     * Indexes of the first and last two non-empty lines of a page
+     */
+    pageEdges(lines) {
+        const content = lines.map((line, index) => line.trim() ? index : -1).filter(index => index >= 0);
+        return new Set([...content.slice(0, 2), ...content.slice(-2)]);
+    }
+
+    /**
+     * Key used to compare running lines, ignoring changing page numbers
+     * Digits are only masked on page number and footer lines, so items
+     * that differ by quantity never look alike.
+     */
+    runningLineKey(line) {
+        const { pageNumber, runningNumber, itemLine } = PATTERNS.normalize;
+        const key = line.toLowerCase();
+        const numbered = pageNumber.some(pattern => pattern.test(line)) || (runningNumber.test(line) && !itemLine.test(line));
+        return numbered ? key.replace(/\d+/g, '#') : key;
+    }
+
+    /**
+     * Rejoin words that were hyphenated across a line break
+     */
+    repairHyphenation(text) {
+        return text.replace(PATTERNS.normalize.hyphenBreak, '$1$2');
+    }
+
+    /**
+     * Turn any bullet glyph (including OCR'd "o" bullets) into "- "
+     */
+    normalizeBullets(text) {
+        return text
+            .split('\n')
+            .map(line => line.replace(PATTERNS.normalize.bullet, '$1- '))
+            .join('\n');
+    }
+
+    /**
+     * Keep at most one blank line between paragraphs
+     */
+    collapseBlankLines(text) {
+        return text
+            .replace(/\n{3,}/g, '\n\n')
+            .replace(/^\n+|\n+$/g, '');
+    }
+
+    /**
+     * Attach a confidence score and the source span it was read from
+     */
+    annotate(entity, confidence, text, start, end) {
+        const score = Math.round(Math.max(0, Math.min(1, confidence)) * 100) / 100;
+        
+        entity.confidence = score;
+        entity.needsReview = score < CONFIG.parsing.confidenceThreshold;
+        entity.source = start === null || start < 0 ? null : {
+            start: start,
+            end: end,
+            line: text.slice(0, start).split('\n').length
+        };
+        
+        return entity;
+    }
+
+    /**
+     * Find where a value appears in the source text, for results without spans
+     */
+    locate(text, value) {
+        if (!text || !value) return -1;
+        return text.toLowerCase().indexOf(String(value).toLowerCase());
+    }
+
+    /**
+     * Utility functions
+     */
+    toGlobal(pattern) {
+        return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+    }
+
+    getIndent(line) {
+        return line.match(/^ */)[0].length;
     }
 
     cleanName(str) {
@@ -492,7 +948,7 @@ class RiderParser {
     }
 
     cleanAllergy(str) {
-        return str.trim().replace(/[^\w\s,]/g, '').replace(/\s+/g, ' ');
+        return str.trim().replace(/[^\p{L}\p{N}_\s,]/gu, '').replace(/\s+/g, ' ');
     }
 
     cleanItemName(str) {
@@ -526,18 +982,50 @@ class RiderParser {
 
     /**
      * Standardize output format
+     * LLM results carry no spans, so confidence falls back to CONFIG.parsing.llmConfidence
+     * and sources are located by searching the text for each value.
      */
-    standardizeOutput(data) {
-        // Ensure all required fields exist
-        return {
+    standardizeOutput(data, text = '') {
+        const fallback = CONFIG.parsing.llmConfidence;
+        const annotateAll = entities => entities.forEach(entity => {
+            if (entity.source !== undefined && entity.confidence !== undefined) return;
+            const start = this.locate(text, entity.name || entity.value);
+            const length = String(entity.name || entity.value || '').length;
+            this.annotate(entity, entity.confidence ?? fallback, text, start, start + length);
+        });
+        const detailsFor = values => values.map(value => {
+            const start = this.locate(text, value);
+            return this.annotate({ value }, fallback, text, start, start + String(value).length);
+        });
+        
+        const result = {
             artists: data.artists || [],
             rooms: data.rooms || [],
             categories: data.categories || {},
             items: data.items || [],
             allergies: data.allergies || [],
             contacts: data.contacts || [],
-            specialRequirements: data.specialRequirements || []
+            specialRequirements: data.specialRequirements || [],
+            venue: data.venue || '',
+            showDate: data.showDate || '',
+            languages: data.languages || this.languages,
+            details: data.details || {},
+            sourceText: data.sourceText || text
         };
+        
+        // Ensure all required fields exist
+        result.rooms.forEach(room => {
+            room.items = room.items || [];
+        });
+        annotateAll(result.items);
+        annotateAll(result.rooms);
+        annotateAll(result.contacts);
+        
+        result.details.artists = result.details.artists || detailsFor(result.artists);
+        result.details.allergies = result.details.allergies || detailsFor(result.allergies);
+        result.details.specialRequirements = result.details.specialRequirements || detailsFor(result.specialRequirements);
+        
+        return result;
     }
 }
 
@@ -0,0 +1,222 @@
+/**
+ * Minimal PDF Writer
+ * Produces text-and-vector PDFs in the browser using the standard Helvetica
+ * fonts, so exports need no extra library or print dialog.
+ */
+
+class PDFWriter {
+    constructor(options = {}) {
+        this.width = options.width || 595.28;  // A4 in points
+        this.height = options.height || 841.89;
+        this.margin = options.margin || 48;
+        this.pages = [];
+        this.current = null;
+        
+        this.addPage();
+    }
+
+    /**
+     * Start a new page and make it current
+     */
+    addPage() {
+        this.current = { ops: [] };
+        this.pages.push(this.current);
+        return this.pages.length - 1;
+    }
+
+    /**
+     * Switch to an existing page (used for footers once the page count is known)
+     */
+    setPage(index) {
+        this.current = this.pages[index];
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    /**
+     * Draw text with its baseline at y, measured from the top of the page
+     */
+    text(str, x, y, options = {}) {
+        const size = options.size || 10;
+        const font = options.bold ? 'F2' : 'F1';
+        const color = this.color(options.color || '#000000');
+        
+        let tx = x;
+        if (options.align === 'right') tx = x - this.widthOf(str, size, options.bold);
+        if (options.align === 'center') tx = x - this.widthOf(str, size, options.bold) / 2;
+        
+        this.current.ops.push(
+            `BT ${color} rg /${font} ${this.num(size)} Tf ${this.num(tx)} ${this.num(this.height - y)} Td (${this.escape(str)}) Tj ET`
+        );
+    }
+
+    line(x1, y1, x2, y2, options = {}) {
+        const color = this.color(options.color || '#000000');
+        this.current.ops.push(
+            `${color} RG ${this.num(options.width || 0.5)} w ${this.num(x1)} ${this.num(this.height - y1)} m ${this.num(x2)} ${this.num(this.height - y2)} l S`
+        );
+    }
+
+    /**
+     * Draw a rectangle whose top-left corner is at (x, y)
+     */
+    rect(x, y, w, h, options = {}) {
+        const ops = [];
+        if (options.fill) ops.push(`${this.color(options.fill)} rg`);
+        if (options.stroke) ops.push(`${this.color(options.stroke)} RG ${this.num(options.width || 0.5)} w`);
+        ops.push(`${this.num(x)} ${this.num(this.height - y - h)} ${this.num(w)} ${this.num(h)} re`);
+        ops.push(options.fill && options.stroke ? 'B' : options.fill ? 'f' : 'S');
+        this.current.ops.push(ops.join(' '));
+    }
+
+    /**
+     * Checkbox with an optional tick
+     */
+    checkbox(x, y, size, checked) {
+        this.rect(x, y, size, size, { stroke: '#333333', width: 0.8 });
+        if (checked) {
+            this.line(x + size * 0.2, y + size * 0.55, x + size * 0.42, y + size * 0.8, { width: 1.2 });
+            this.line(x + size * 0.42, y + size * 0.8, x + size * 0.85, y + size * 0.2, { width: 1.2 });
+        }
+    }
+
+    /**
+     * Width of a string in points
+     */
+    widthOf(str, size = 10, bold = false) {
+        const widths = bold ? PDFWriter.BOLD_WIDTHS : PDFWriter.WIDTHS;
+        let units = 0;
+        for (const char of this.toWinAnsi(str)) {
+            const code = char.charCodeAt(0);
+            units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return units * size / 1000;
+    }
+
+    /**
+     * Break text into lines that fit the given width
+     */
+    wrap(str, maxWidth, size = 10, bold = false) {
+        const lines = [];
+        
+        String(str || '').split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.widthOf(candidate, size, bold) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        
+        return lines;
+    }
+
+    /**
+     * Serialize the document to PDF bytes
+     */
+    output() {
+        const objects = [];
+        const pageIds = [];
+        
+        // 1: catalog, 2: page tree, 3-4: fonts, then a page + content pair per page
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        
+        this.pages.forEach((page, index) => {
+            const pageId = 5 + index * 2;
+            const contentId = pageId + 1;
+            const stream = page.ops.join('\n');
+            
+            pageIds.push(pageId);
+            objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.num(this.width)} ${this.num(this.height)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+            objects[contentId] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+        });
+        
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        
+        let pdf = '%PDF-1.4\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = pdf.length;
+            pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+        
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+        
+        // Every character is a single WinAnsi byte at this point
+        return Uint8Array.from(pdf, char => char.charCodeAt(0));
+    }
+
+    toBlob() {
+        return new Blob([this.output()], { type: 'application/pdf' });
+    }
+
+    /**
+     * Map text onto WinAnsi, replacing characters the standard fonts cannot show
+     */
+    toWinAnsi(str) {
+        return String(str ?? '').replace(/[^\x20-\x7e\xa0-\xff]/g, char =>
+            PDFWriter.WIN_ANSI[char] || (/\s/.test(char) ? ' ' : '?')
+        );
+    }
+
+    escape(str) {
+        return this.toWinAnsi(str).replace(/[\\()]/g, '\\$&');
+    }
+
+    color(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+            .map(channel => this.num(channel / 255))
+            .join(' ');
+    }
+
+    num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+}
+
+// Helvetica and Helvetica-Bold advance widths for ASCII 32-126 (1/1000 em)
+PDFWriter.WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+PDFWriter.BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsi can still encode
+PDFWriter.WIN_ANSI = {
+    '€': '\x80', '‚': '\x82', '„': '\x84', '…': '\x85', '•': '\x95',
+    '‘': '\x91', '’': '\x92', '“': '\x93', '”': '\x94', '–': '\x96', '—': '\x97',
+    '™': '\x99', '✓': 'x', '✔': 'x', '⇄': '<>', '→': '->', '−': '-'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PDFWriter };
+}
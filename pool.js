@@ -0,0 +1,142 @@
+/**
+ * Tesseract Worker Pool
+ * Lends out up to `size` Tesseract workers, one job at a time, so pages can
+ * be recognized in parallel. Each worker remembers the language it was
+ * initialized with; a request for another language takes an idle worker
+ * already set up for it, grows the pool, or re-initializes the least
+ * recently used idle worker, in that order.
+ */
+
+class WorkerPool {
+    /**
+     * createWorker(lang) resolves to an initialized Tesseract worker
+     */
+    constructor(createWorker, size = WorkerPool.defaultSize()) {
+        this.createWorker = createWorker;
+        this.size = size;
+        this.entries = [];
+        this.waiting = [];
+        this.creating = 0;
+        this.generation = 0;
+    }
+
+    /**
+     * Pool size from CONFIG.ocr.pool, leaving one core for the page and PDF.js
+     */
+    static defaultSize() {
+        const { size, maxWorkers } = CONFIG.ocr.pool;
+        if (size !== 'auto') return Math.max(1, size);
+        
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.min(maxWorkers, Math.max(1, cores - 1));
+    }
+
+    /**
+     * Borrow a worker for lang, run task(worker) and give it back
+     */
+    async run(lang, task) {
+        const worker = await this.acquire(lang);
+        try {
+            return await task(worker);
+        } finally {
+            this.release(worker);
+        }
+    }
+
+    async acquire(lang) {
+        for (;;) {
+            const idle = this.entries.filter(entry => !entry.busy);
+            const match = idle.find(entry => entry.lang === lang);
+            if (match) {
+                match.busy = true;
+                return match.worker;
+            }
+            
+            if (this.entries.length + this.creating < this.size) {
+                return this.grow(lang);
+            }
+            
+            if (idle.length > 0) {
+                const entry = idle.sort((a, b) => a.lastUsed - b.lastUsed)[0];
+                return this.switchLanguage(entry, lang);
+            }
+            
+            await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+        }
+    }
+
+    release(worker) {
+        const entry = this.entries.find(candidate => candidate.worker === worker);
+        if (!entry) return;
+        
+        entry.busy = false;
+        entry.lastUsed = Date.now();
+        this.wake();
+    }
+
+    async grow(lang) {
+        const generation = this.generation;
+        this.creating++;
+        
+        try {
+            const worker = await this.createWorker(lang);
+            
+            // The pool was terminated while this worker was loading
+            if (generation !== this.generation) {
+                await worker.terminate();
+                throw new Error('Worker pool was terminated');
+            }
+            
+            this.entries.push({ worker, lang, busy: true, lastUsed: Date.now() });
+            return worker;
+        } catch (error) {
+            // Another caller may now have room to create a worker
+            this.wake();
+            throw error;
+        } finally {
+            this.creating--;
+        }
+    }
+
+    async switchLanguage(entry, lang) {
+        entry.busy = true;
+        
+        try {
+            await entry.worker.reinitialize(lang);
+            entry.lang = lang;
+            return entry.worker;
+        } catch (error) {
+            this.entries = this.entries.filter(candidate => candidate !== entry);
+            entry.worker.terminate().catch(() => {});
+            this.wake();
+            throw error;
+        }
+    }
+
+    wake() {
+        const next = this.waiting.shift();
+        if (next) next.resolve();
+    }
+
+    /**
+     * Terminate every worker, busy or idle, and turn away anyone waiting
+     * Entries are detached first so overlapping calls never terminate a worker twice.
+     */
+    async terminate() {
+        const entries = this.entries;
+        const waiting = this.waiting;
+        this.entries = [];
+        this.waiting = [];
+        this.generation++;
+        
+        waiting.forEach(({ reject }) => reject(new Error('Worker pool was terminated')));
+        
+        await Promise.all(entries.map(async ({ worker }) => {
+            try {
+                await worker.terminate();
+            } catch (error) {
+                console.warn('Error terminating Tesseract worker:', error);
+            }
+        }));
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * Image Preprocessing Pipeline
+ * Cleans up page images before OCR. Each profile in CONFIG.ocr.preprocessing
+ * switches steps on or off: shadow removal, denoising and Otsu or Sauvola
+ * binarization. Upscaling happens when the image is drawn onto the canvas.
+ */
+
+class ImagePreprocessor {
+    /**
+     * Names of the configured profiles, e.g. ['scan', 'photo', 'fax']
+     */
+    getProfiles() {
+        return Object.keys(CONFIG.ocr.preprocessing.profiles);
+    }
+
+    getProfile(name) {
+        const profiles = CONFIG.ocr.preprocessing.profiles;
+        return profiles[name] || profiles[CONFIG.ocr.preprocessing.fallbackProfile];
+    }
+
+    /**
+     * Scale factor that brings a small image up to the profile's minimum size
+     */
+    getScale(width, height, profile) {
+        const longest = Math.max(width, height);
+        if (!profile.minSize || longest >= profile.minSize) return 1;
+        return Math.min(CONFIG.ocr.preprocessing.maxUpscale, profile.minSize / longest);
+    }
+
+    /**
+     * Run the profile's steps over ImageData in place
+     */
+    process(imageData, profileName) {
+        const profile = this.getProfile(profileName);
+        const { width, height, data } = imageData;
+        let gray = this.toGray(data);
+        
+        if (profile.removeShadows) gray = this.removeShadows(gray, width, height, profile.shadowBlock);
+        if (profile.denoise) gray = this.median(gray, width, height);
+        
+        let binary;
+        if (profile.binarize === 'sauvola') {
+            binary = this.sauvola(gray, width, height, profile.window, profile.k);
+        } else if (profile.binarize === 'otsu') {
+            binary = this.threshold(gray, this.otsu(gray));
+        } else {
+            binary = gray;
+        }
+        
+        for (let i = 0; i < binary.length; i++) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = binary[i];
+            data[i * 4 + 3] = 255;
+        }
+        
+        return imageData;
+    }
+
+    toGray(data) {
+        const gray = new Uint8ClampedArray(data.length / 4);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+        }
+        return gray;
+    }
+
+    /**
+     * Global threshold that best separates ink from paper
+     */
+    otsu(gray) {
+        const histogram = new Array(256).fill(0);
+        gray.forEach(value => histogram[value]++);
+        
+        let sum = 0;
+        for (let i = 0; i < 256; i++) sum += i * histogram[i];
+        
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let best = 127;
+        let bestVariance = -1;
+        
+        for (let t = 0; t < 256; t++) {
+            weightBackground += histogram[t];
+            if (weightBackground === 0) continue;
+            
+            const weightForeground = gray.length - weightBackground;
+            if (weightForeground === 0) break;
+            
+            sumBackground += t * histogram[t];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sum - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+            
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = t;
+            }
+        }
+        
+        return best;
+    }
+
+    threshold(gray, level) {
+        return gray.map(value => value > level ? 255 : 0);
+    }
+
+    /**
+     * Local threshold from the mean and spread of a window around each pixel
+     * Copes with uneven lighting that defeats a single global threshold.
+     */
+    sauvola(gray, width, height, window = 25, k = 0.2) {
+        const { sum, squares } = this.integral(gray, width, height);
+        const half = Math.floor(window / 2);
+        const stride = width + 1;
+        const output = new Uint8ClampedArray(gray.length);
+        
+        for (let y = 0; y < height; y++) {
+            const top = Math.max(0, y - half);
+            const bottom = Math.min(height, y + half + 1);
+            
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - half);
+                const right = Math.min(width, x + half + 1);
+                const area = (bottom - top) * (right - left);
+                
+                const a = top * stride + left;
+                const b = top * stride + right;
+                const c = bottom * stride + left;
+                const d = bottom * stride + right;
+                
+                const mean = (sum[d] - sum[b] - sum[c] + sum[a]) / area;
+                const variance = (squares[d] - squares[b] - squares[c] + squares[a]) / area - mean * mean;
+                const level = mean * (1 + k * (Math.sqrt(Math.max(0, variance)) / 128 - 1));
+                
+                output[y * width + x] = gray[y * width + x] > level ? 255 : 0;
+            }
+        }
+        
+        return output;
+    }
+
+    /**
+     * Summed-area tables of values and squared values
+     */
+    integral(gray, width, height) {
+        const stride = width + 1;
+        const sum = new Float64Array(stride * (height + 1));
+        const squares = new Float64Array(stride * (height + 1));
+        
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            let rowSquares = 0;
+            for (let x = 0; x < width; x++) {
+                const value = gray[y * width + x];
+                rowSum += value;
+                rowSquares += value * value;
+                sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum;
+                squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+            }
+        }
+        
+        return { sum, squares };
+    }
+
+    /**
+     * 3x3 median filter, removing speckle while keeping stroke edges
+     */
+    median(gray, width, height) {
+        const output = new Uint8ClampedArray(gray.length);
+        const window = new Uint8Array(9);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let n = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        window[n++] = gray[row + Math.min(width - 1, Math.max(0, x + dx))];
+                    }
+                }
+                window.sort();
+                output[y * width + x] = window[4];
+            }
+        }
+        
+        return output;
+    }
+
+    /**
+     * Flatten uneven lighting by dividing out an estimate of the paper colour
+     * The background is the brightest value per block, smoothed and
+     * interpolated back to full size.
+     */
+    removeShadows(gray, width, height, block = 32) {
+        const cols = Math.ceil(width / block);
+        const rows = Math.ceil(height / block);
+        const maxima = new Float32Array(cols * rows);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = Math.floor(y / block) * cols + Math.floor(x / block);
+                maxima[index] = Math.max(maxima[index], gray[y * width + x]);
+            }
+        }
+        
+        // Smooth block maxima so a block full of ink borrows from its neighbours
+        const background = new Float32Array(maxima.length);
+        for (let by = 0; by < rows; by++) {
+            for (let bx = 0; bx < cols; bx++) {
+                let total = 0;
+                let count = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const ny = by + dy;
+                        const nx = bx + dx;
+                        if (ny < 0 || ny >= rows || nx < 0 || nx >= cols) continue;
+                        total += maxima[ny * cols + nx];
+                        count++;
+                    }
+                }
+                background[by * cols + bx] = Math.max(maxima[by * cols + bx], total / count);
+            }
+        }
+        
+        const output = new Uint8ClampedArray(gray.length);
+        for (let y = 0; y < height; y++) {
+            const fy = Math.min(rows - 1, Math.max(0, (y + 0.5) / block - 0.5));
+            const y0 = Math.floor(fy);
+            const y1 = Math.min(rows - 1, y0 + 1);
+            const ty = fy - y0;
+            
+            for (let x = 0; x < width; x++) {
+                const fx = Math.min(cols - 1, Math.max(0, (x + 0.5) / block - 0.5));
+                const x0 = Math.floor(fx);
+                const x1 = Math.min(cols - 1, x0 + 1);
+                const tx = fx - x0;
+                
+                const paper =
+                    background[y0 * cols + x0] * (1 - tx) * (1 - ty) +
+                    background[y0 * cols + x1] * tx * (1 - ty) +
+                    background[y1 * cols + x0] * (1 - tx) * ty +
+                    background[y1 * cols + x1] * tx * ty;
+                
+                output[y * width + x] = paper > 0 ? (gray[y * width + x] / paper) * 255 : 255;
+            }
+        }
+        
+        return output;
+    }
+}
+
+// Create global instance
+const imagePreprocessor = new ImagePreprocessor();
@@ -0,0 +1,295 @@
+/**
+ * Region OCR Viewer
+ * Shows an uploaded image or PDF page so the user can drag a box around a
+ * part the full-page pass got wrong (a handwritten amendment, a boxed
+ * allergy notice) and OCR just that region with its own language and profile.
+ */
+
+class RegionSelector {
+    constructor() {
+        this.file = null;
+        this.pdf = null;
+        this.pageNum = 1;
+        this.pageImage = null;
+        this.selection = null;
+        this.position = null;
+        this.onInsert = null;
+        this.modal = null;
+    }
+
+    /**
+     * Open the viewer for a file
+     * onInsert({ file, page, text, position }) receives the region text, with
+     * position the vertical centre of the box as a fraction of the page height.
+     */
+    async open(file, { onInsert, page = 1 } = {}) {
+        this.close();
+        this.file = file;
+        this.onInsert = onInsert || null;
+        this.pageNum = page;
+        this.selection = null;
+        this.position = null;
+        
+        this.buildModal();
+        
+        try {
+            if (file.type === 'application/pdf') {
+                this.pdf = await ocrProcessor.openPDF(file);
+            }
+            await this.showPage(this.pageNum);
+        } catch (error) {
+            console.error('Error opening region viewer:', error);
+            showToast(`Could not display ${file.name}`, 'error');
+            this.close();
+        }
+    }
+
+    close() {
+        if (this.modal) {
+            this.modal.remove();
+            // Workers started for region reads would otherwise idle until the next processing run
+            ocrProcessor.releaseWorkers().catch(error => console.warn('Error stopping OCR workers:', error));
+        }
+        if (this.pdf) this.pdf.destroy();
+        this.modal = null;
+        this.pdf = null;
+        this.pageImage = null;
+    }
+
+    buildModal() {
+        this.modal = DOM.create('div', { className: 'modal active region-modal' });
+        this.modal.appendChild(DOM.create('div', { className: 'modal-overlay', onclick: () => this.close() }));
+        
+        const content = DOM.create('div', { className: 'modal-content' });
+        content.appendChild(DOM.create('button', { className: 'modal-close', textContent: '×', onclick: () => this.close() }));
+        content.appendChild(DOM.create('h3', { textContent: `✂️ Read a region - ${this.file.name}` }));
+        content.appendChild(DOM.create('p', {
+            className: 'help-text',
+            textContent: 'Drag a box around the part that was misread, then read it again.'
+        }));
+        
+        content.appendChild(this.buildToolbar());
+        
+        this.stage = DOM.create('div', { className: 'region-stage' });
+        this.canvas = DOM.create('canvas', { className: 'region-canvas' });
+        this.box = DOM.create('div', { className: 'region-box' });
+        this.stage.appendChild(this.canvas);
+        this.stage.appendChild(this.box);
+        this.setupDrag();
+        content.appendChild(this.stage);
+        
+        this.result = DOM.create('textarea', {
+            className: 'region-result',
+            placeholder: 'Region text will appear here - edit it before inserting if needed',
+            rows: 4
+        });
+        content.appendChild(this.result);
+        
+        const actions = DOM.create('div', { className: 'button-group' });
+        this.readBtn = DOM.create('button', {
+            className: 'btn btn-primary',
+            innerHTML: '<span class="btn-icon">🔍</span> Read Region',
+            onclick: () => this.readRegion()
+        });
+        this.readBtn.disabled = true;
+        this.insertBtn = DOM.create('button', {
+            className: 'btn btn-secondary',
+            innerHTML: '<span class="btn-icon">📥</span> Insert into Text',
+            onclick: () => this.insert()
+        });
+        this.insertBtn.disabled = true;
+        actions.appendChild(this.readBtn);
+        actions.appendChild(this.insertBtn);
+        content.appendChild(actions);
+        
+        this.modal.appendChild(content);
+        document.body.appendChild(this.modal);
+    }
+
+    /**
+     * Page navigation, rotation and the language/profile used for this region
+     */
+    buildToolbar() {
+        const toolbar = DOM.create('div', { className: 'region-toolbar' });
+        
+        this.prevBtn = DOM.create('button', { className: 'region-tool', textContent: '◀', title: 'Previous page', onclick: () => this.showPage(this.pageNum - 1) });
+        this.pageLabel = DOM.create('span', { className: 'region-page' });
+        this.nextBtn = DOM.create('button', { className: 'region-tool', textContent: '▶', title: 'Next page', onclick: () => this.showPage(this.pageNum + 1) });
+        toolbar.appendChild(this.prevBtn);
+        toolbar.appendChild(this.pageLabel);
+        toolbar.appendChild(this.nextBtn);
+        
+        toolbar.appendChild(DOM.create('button', {
+            className: 'region-tool',
+            textContent: '↻',
+            title: 'Rotate 90°',
+            onclick: () => this.rotate()
+        }));
+        
+        this.langSelect = DOM.create('select', { title: 'Language' });
+        Object.entries(LANGUAGE_PACKS).forEach(([code, pack]) => {
+            this.langSelect.appendChild(DOM.create('option', { value: code, textContent: pack.name }));
+        });
+        this.langSelect.value = ocrProcessor.language === 'auto' ? CONFIG.language.default : ocrProcessor.language;
+        toolbar.appendChild(this.langSelect);
+        
+        this.profileSelect = DOM.create('select', { title: 'Image cleanup' });
+        this.profileSelect.appendChild(DOM.create('option', { value: 'auto', textContent: 'Auto cleanup' }));
+        Object.entries(CONFIG.ocr.preprocessing.profiles).forEach(([name, profile]) => {
+            this.profileSelect.appendChild(DOM.create('option', { value: name, textContent: profile.label }));
+        });
+        this.profileSelect.value = ocrProcessor.profile;
+        toolbar.appendChild(this.profileSelect);
+        
+        return toolbar;
+    }
+
+    get pageCount() {
+        return this.pdf ? this.pdf.numPages : 1;
+    }
+
+    /**
+     * Render the current page (or the image) into the viewer
+     */
+    async showPage(pageNum) {
+        if (pageNum < 1 || pageNum > this.pageCount) return;
+        this.pageNum = pageNum;
+        
+        if (this.pdf) {
+            const page = await this.pdf.getPage(pageNum);
+            this.pageImage = await ocrProcessor.renderPage(page);
+            page.cleanup();
+        } else {
+            this.pageImage = await ocrProcessor.loadImage(await ocrProcessor.fileToDataURL(this.file));
+        }
+        
+        this.pageLabel.textContent = `Page ${pageNum} of ${this.pageCount}`;
+        this.prevBtn.disabled = pageNum <= 1;
+        this.nextBtn.disabled = pageNum >= this.pageCount;
+        this.draw();
+    }
+
+    rotate() {
+        if (!this.pageImage) return;
+        this.pageImage = ocrProcessor.rotateImage(this.pageImage, 90);
+        this.draw();
+    }
+
+    draw() {
+        this.canvas.width = this.pageImage.width;
+        this.canvas.height = this.pageImage.height;
+        this.canvas.getContext('2d').drawImage(this.pageImage, 0, 0);
+        this.setSelection(null);
+    }
+
+    /**
+     * Rectangle selection in displayed pixels, converted to image pixels on read
+     */
+    setupDrag() {
+        let start = null;
+        
+        const point = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return {
+                x: Math.min(Math.max(e.clientX - rect.left, 0), rect.width),
+                y: Math.min(Math.max(e.clientY - rect.top, 0), rect.height)
+            };
+        };
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            start = point(e);
+            this.setSelection({ x: start.x, y: start.y, width: 0, height: 0 });
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!start) return;
+            const current = point(e);
+            this.setSelection({
+                x: Math.min(start.x, current.x),
+                y: Math.min(start.y, current.y),
+                width: Math.abs(current.x - start.x),
+                height: Math.abs(current.y - start.y)
+            });
+        });
+        
+        this.canvas.addEventListener('pointerup', () => {
+            start = null;
+            if (this.selection && (this.selection.width < 5 || this.selection.height < 5)) {
+                this.setSelection(null);
+            }
+        });
+    }
+
+    setSelection(selection) {
+        this.selection = selection;
+        this.readBtn.disabled = !selection;
+        
+        if (!selection) {
+            this.box.style.display = 'none';
+            return;
+        }
+        
+        // The canvas may sit inside padding; position the box relative to the stage
+        const offsetLeft = this.canvas.offsetLeft;
+        const offsetTop = this.canvas.offsetTop;
+        Object.assign(this.box.style, {
+            display: 'block',
+            left: `${offsetLeft + selection.x}px`,
+            top: `${offsetTop + selection.y}px`,
+            width: `${selection.width}px`,
+            height: `${selection.height}px`
+        });
+    }
+
+    /**
+     * OCR the selected box at full image resolution
+     */
+    async readRegion() {
+        if (!this.selection || !this.pageImage) return;
+        
+        const scale = this.canvas.width / this.canvas.getBoundingClientRect().width;
+        const region = {
+            x: Math.round(this.selection.x * scale),
+            y: Math.round(this.selection.y * scale),
+            width: Math.round(this.selection.width * scale),
+            height: Math.round(this.selection.height * scale)
+        };
+        this.position = (region.y + region.height / 2) / this.canvas.height;
+        
+        this.readBtn.disabled = true;
+        this.readBtn.innerHTML = '<span class="btn-icon">⏳</span> Reading...';
+        
+        try {
+            const text = await ocrProcessor.extractRegion(
+                this.canvas.toDataURL('image/png'),
+                region.x, region.y, region.width, region.height,
+                { lang: languageDetector.tesseractFor(this.langSelect.value), profile: this.profileSelect.value }
+            );
+            
+            this.result.value = text;
+            this.insertBtn.disabled = !text.trim();
+            if (!text.trim()) showToast('No text found in the selected region', 'warning');
+        } finally {
+            this.readBtn.disabled = false;
+            this.readBtn.innerHTML = '<span class="btn-icon">🔍</span> Read Region';
+        }
+    }
+
+    insert() {
+        const text = this.result.value.trim();
+        if (!text || !this.onInsert) return;
+        
+        this.onInsert({
+            file: this.file,
+            page: this.pdf ? this.pageNum : null,
+            text,
+            position: this.position ?? 0.5
+        });
+        this.close();
+    }
+}
+
+// Create global instance
+const regionSelector = new RegionSelector();
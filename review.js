@@ -0,0 +1,446 @@
+/**
+ * Review and Correction Grid
+ * Lets the advance team fix parsed items before a checklist is generated
+ */
+
+class ReviewGrid {
+    constructor() {
+        this.data = null;
+        this.rows = [];
+        this.edits = [];
+        this.history = [];
+        this.selected = new Set();
+        this.flaggedOnly = false;
+        this.container = null;
+        this.onChange = null;
+        this.nextRowId = 0;
+    }
+
+    /**
+     * Load parsed data into the grid, keeping any edits stored with it
+     */
+    load(parsedData, onChange) {
+        this.data = parsedData;
+        this.onChange = onChange || null;
+        this.nextRowId = 0;
+        this.rows = (parsedData.items || []).map(item => this.createRow(item));
+        this.edits = parsedData.review?.edits ? [...parsedData.review.edits] : [];
+        this.history = [];
+        this.selected.clear();
+    }
+
+    /**
+     * Create a grid row from a parsed item
+     */
+    createRow(item) {
+        return {
+            ...item,
+            rowId: `row_${this.nextRowId++}`,
+            quantity: item.quantity || 1,
+            category: item.category || 'General',
+            room: item.room || null,
+            notes: item.notes || ''
+        };
+    }
+
+    /**
+     * Render the grid into a container
+     */
+    render(container) {
+        if (container) this.container = container;
+        if (!this.container) return;
+        
+        this.container.innerHTML = '<h3>Review Detected Items</h3>';
+        this.container.appendChild(this.buildToolbar());
+        
+        const visibleRows = this.flaggedOnly ? this.rows.filter(row => row.needsReview) : this.rows;
+        
+        if (visibleRows.length === 0) {
+            this.container.appendChild(DOM.create('p', {
+                className: 'help-text',
+                textContent: this.flaggedOnly ? 'No flagged items left to review' : 'No items detected'
+            }));
+            return;
+        }
+        
+        const table = DOM.create('table', { className: 'review-grid' });
+        table.appendChild(DOM.create('thead', {
+            innerHTML: `
+                <tr>
+                    <th></th>
+                    <th>Qty</th>
+                    <th>Item</th>
+                    <th>Category</th>
+                    <th>Room</th>
+                    <th>Notes</th>
+                    <th></th>
+                </tr>
+            `
+        }));
+        
+        const tbody = DOM.create('tbody');
+        visibleRows.forEach(row => tbody.appendChild(this.buildRow(row)));
+        table.appendChild(tbody);
+        
+        this.container.appendChild(table);
+        this.container.appendChild(this.buildCategoryList());
+    }
+
+    /**
+     * Build toolbar with summary and bulk actions
+     */
+    buildToolbar() {
+        const toolbar = DOM.create('div', { className: 'review-toolbar' });
+        const flagged = this.rows.filter(row => row.needsReview).length;
+        
+        toolbar.appendChild(DOM.create('span', {
+            className: 'review-summary',
+            textContent: `${this.rows.length} items · ${flagged} flagged · ${this.edits.length} edits`
+        }));
+        
+        const filter = DOM.create('label', { className: 'review-filter' }, [
+            DOM.create('input', {
+                type: 'checkbox',
+                onchange: (e) => {
+                    this.flaggedOnly = e.target.checked;
+                    this.render();
+                }
+            }),
+            ' Flagged only'
+        ]);
+        filter.querySelector('input').checked = this.flaggedOnly;
+        toolbar.appendChild(filter);
+        
+        const actions = [
+            { text: 'Merge Selected', icon: '⇲', onclick: () => this.mergeRows([...this.selected]), disabled: this.selected.size < 2 },
+            { text: 'Delete Selected', icon: '🗑', onclick: () => this.deleteRows([...this.selected]), disabled: this.selected.size === 0 },
+            { text: 'Undo', icon: '↶', onclick: () => this.undo(), disabled: this.history.length === 0 }
+        ];
+        
+        actions.forEach(action => {
+            const button = DOM.create('button', {
+                className: 'btn btn-secondary btn-small',
+                innerHTML: `<span>${action.icon}</span> ${action.text}`,
+                onclick: action.onclick
+            });
+            button.disabled = action.disabled;
+            toolbar.appendChild(button);
+        });
+        
+        return toolbar;
+    }
+
+    /**
+     * Build a single editable row
+     */
+    buildRow(row) {
+        const tr = DOM.create('tr', {
+            className: row.needsReview ? 'review-row low-confidence' : 'review-row',
+            'data-row': row.rowId
+        });
+        
+        // Selection
+        const select = DOM.create('input', {
+            type: 'checkbox',
+            onchange: (e) => {
+                if (e.target.checked) {
+                    this.selected.add(row.rowId);
+                } else {
+                    this.selected.delete(row.rowId);
+                }
+                this.refreshToolbar();
+            }
+        });
+        select.checked = this.selected.has(row.rowId);
+        tr.appendChild(DOM.create('td', {}, [select]));
+        
+        // Quantity
+        tr.appendChild(DOM.create('td', {}, [DOM.create('input', {
+            type: 'number',
+            min: '1',
+            className: 'review-input review-qty',
+            value: String(row.quantity),
+            onchange: (e) => this.updateRow(row.rowId, 'quantity', Math.max(1, parseInt(e.target.value) || 1))
+        })]));
+        
+        // Name
+        tr.appendChild(DOM.create('td', {}, [DOM.create('input', {
+            type: 'text',
+            className: 'review-input review-name',
+            value: row.name,
+            onchange: (e) => this.updateRow(row.rowId, 'name', e.target.value.trim())
+        })]));
+        
+        // Category
+        tr.appendChild(DOM.create('td', {}, [DOM.create('input', {
+            type: 'text',
+            className: 'review-input',
+            list: 'reviewCategories',
+            value: row.category,
+            onchange: (e) => this.updateRow(row.rowId, 'category', e.target.value.trim() || 'General')
+        })]));
+        
+        // Room
+        const roomSelect = DOM.create('select', {
+            className: 'review-input',
+            onchange: (e) => this.updateRow(row.rowId, 'room', e.target.value || null)
+        });
+        roomSelect.appendChild(DOM.create('option', { value: '', textContent: '—' }));
+        (this.data.rooms || []).forEach(room => {
+            roomSelect.appendChild(DOM.create('option', {
+                value: room.id,
+                textContent: room.name || `Room ${room.id}`
+            }));
+        });
+        roomSelect.value = row.room || '';
+        tr.appendChild(DOM.create('td', {}, [roomSelect]));
+        
+        // Notes
+        tr.appendChild(DOM.create('td', {}, [DOM.create('input', {
+            type: 'text',
+            className: 'review-input',
+            value: row.notes,
+            onchange: (e) => this.updateRow(row.rowId, 'notes', e.target.value.trim())
+        })]));
+        
+        // Row actions
+        const actions = DOM.create('td', { className: 'review-actions' });
+        if (row.source) {
+            actions.appendChild(DOM.create('button', {
+                className: 'review-action',
+                title: `Show source (line ${row.source.line})${row.confidence !== undefined ? ` · confidence ${Math.round(row.confidence * 100)}%` : ''}`,
+                textContent: '↗',
+                onclick: () => window.riderApp?.jumpToSource(row.source)
+            }));
+        }
+        actions.appendChild(DOM.create('button', {
+            className: 'review-action',
+            title: 'Split into several items',
+            textContent: '✂',
+            onclick: () => this.promptSplit(row.rowId)
+        }));
+        actions.appendChild(DOM.create('button', {
+            className: 'review-action',
+            title: 'Delete (false positive)',
+            textContent: '×',
+            onclick: () => this.deleteRows([row.rowId])
+        }));
+        tr.appendChild(actions);
+        
+        return tr;
+    }
+
+    /**
+     * Datalist of known categories for the category inputs
+     */
+    buildCategoryList() {
+        const categories = new Set([
+            ...Object.keys(this.data.categories || {}),
+            ...this.rows.map(row => row.category),
+            ...Object.keys(CATEGORY_KEYWORDS).map(key => riderParser.capitalizeFirst(key))
+        ]);
+        
+        const list = DOM.create('datalist', { id: 'reviewCategories' });
+        categories.forEach(category => list.appendChild(DOM.create('option', { value: category })));
+        return list;
+    }
+
+    /**
+     * Update toolbar buttons without re-rendering the rows
+     */
+    refreshToolbar() {
+        const toolbar = this.container?.querySelector('.review-toolbar');
+        if (toolbar) toolbar.replaceWith(this.buildToolbar());
+    }
+
+    /**
+     * Change a single field of a row
+     */
+    updateRow(rowId, field, value) {
+        const row = this.findRow(rowId);
+        if (!row || row[field] === value) return;
+        if (field === 'name' && !value) {
+            this.render();
+            return;
+        }
+        
+        this.snapshot();
+        this.recordEdit('update', [rowId], { field, from: row[field], to: value });
+        row[field] = value;
+        row.needsReview = false;
+        
+        const tr = this.container?.querySelector(`[data-row="${rowId}"]`);
+        tr?.classList.remove('low-confidence');
+        this.refreshToolbar();
+        this.notifyChange();
+    }
+
+    /**
+     * Ask for the parts of a row to split into
+     */
+    promptSplit(rowId) {
+        const row = this.findRow(rowId);
+        if (!row) return;
+        
+        const suggestion = row.name.split(/\s*(?:,|\/|&|\band\b)\s*/i).filter(Boolean).join('; ');
+        const answer = prompt('Split into items (separate with ";"):', suggestion);
+        if (!answer) return;
+        
+        this.splitRow(rowId, answer.split(';').map(part => part.trim()).filter(Boolean));
+    }
+
+    /**
+     * Replace a row with one row per part
+     */
+    splitRow(rowId, parts) {
+        const index = this.rows.findIndex(row => row.rowId === rowId);
+        if (index === -1 || parts.length < 2) return;
+        
+        const original = this.rows[index];
+        this.snapshot();
+        
+        const newRows = parts.map(part => {
+            // Let the parser pick up quantities written into each part
+            const parsed = riderParser.parseItem(part, original.category, original.room) || { name: part };
+            return this.createRow({
+                ...original,
+                ...parsed,
+                category: original.category,
+                room: original.room,
+                notes: original.notes,
+                needsReview: false
+            });
+        });
+        
+        this.recordEdit('split', [rowId], { from: original.name, to: newRows.map(row => row.name) });
+        this.rows.splice(index, 1, ...newRows);
+        this.selected.delete(rowId);
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Combine several rows into the first one
+     */
+    mergeRows(rowIds) {
+        const rows = this.rows.filter(row => rowIds.includes(row.rowId));
+        if (rows.length < 2) return;
+        
+        this.snapshot();
+        
+        const [target, ...rest] = rows;
+        const merged = {
+            quantity: rows.reduce((sum, row) => sum + (row.quantity || 1), 0),
+            notes: rows.map(row => row.notes).filter(Boolean).join('; '),
+            mustHave: rows.some(row => row.mustHave),
+            needsReview: false
+        };
+        
+        this.recordEdit('merge', rowIds, { into: target.rowId, names: rows.map(row => row.name) });
+        Object.assign(target, merged);
+        this.rows = this.rows.filter(row => !rest.includes(row));
+        this.selected.clear();
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Remove rows, e.g. contact lines parsed as items
+     */
+    deleteRows(rowIds) {
+        const rows = this.rows.filter(row => rowIds.includes(row.rowId));
+        if (rows.length === 0) return;
+        
+        this.snapshot();
+        this.recordEdit('delete', rowIds, { names: rows.map(row => row.name) });
+        this.rows = this.rows.filter(row => !rowIds.includes(row.rowId));
+        rowIds.forEach(id => this.selected.delete(id));
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Revert the last edit
+     */
+    undo() {
+        const previous = this.history.pop();
+        if (!previous) return;
+        
+        this.rows = previous.rows;
+        this.edits = previous.edits;
+        this.selected.clear();
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Build parsed data reflecting all edits, with the edit log attached
+     */
+    getReviewedData() {
+        if (!this.data) return null;
+        
+        const items = this.rows.map(row => {
+            const { rowId, ...item } = row;
+            return item;
+        });
+        
+        const categories = {};
+        items.forEach(item => {
+            if (!categories[item.category]) categories[item.category] = [];
+            categories[item.category].push(item);
+        });
+        
+        const rooms = (this.data.rooms || []).map(room => ({
+            ...room,
+            items: items.filter(item => item.room === room.id)
+        }));
+        
+        return {
+            ...this.data,
+            items,
+            categories,
+            rooms,
+            review: {
+                edits: [...this.edits],
+                reviewedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Helpers
+     */
+    findRow(rowId) {
+        return this.rows.find(row => row.rowId === rowId);
+    }
+
+    snapshot() {
+        this.history.push({
+            rows: this.rows.map(row => ({ ...row })),
+            edits: [...this.edits]
+        });
+    }
+
+    recordEdit(type, rowIds, changes) {
+        const names = rowIds.map(id => this.findRow(id)?.name).filter(Boolean);
+        this.edits.push({
+            type,
+            items: names,
+            changes,
+            at: new Date().toISOString()
+        });
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            try {
+                this.onChange(this.getReviewedData());
+            } catch (error) {
+                console.error('Review change callback error:', error);
+            }
+        }
+    }
+}
+
+// Create global instance
+const reviewGrid = new ReviewGrid();
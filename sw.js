@@ -0,0 +1,170 @@
+/**
+ * Service Worker
+ * Precaches the app shell and the PDF.js/Tesseract assets so the app opens
+ * and processes riders without a connection. App files are fetched from the
+ * network first, so updates arrive whenever there is one; library files
+ * never change for a given URL, so they come from the cache first. With a
+ * vendor/ copy every library asset is precached; on the CDNs, so are the
+ * Tesseract worker, WASM cores and traineddata at the URLs Tesseract.js
+ * requests them from, so OCR works offline before it has ever run.
+ */
+
+importScripts('config.js');
+
+const SHELL_CACHE = `rider-shell-v${CONFIG.pwa.cacheVersion}`;
+const ASSET_CACHE = `rider-assets-v${CONFIG.pwa.cacheVersion}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'config.js',
+    'assets.js',
+    'utils.js',
+    'sync.js',
+    'pdf-writer.js',
+    'library.js',
+    'language.js',
+    'parser.js',
+    'layout.js',
+    'preprocess.js',
+    'confidence.js',
+    'region.js',
+    'job.js',
+    'pool.js',
+    'cache.js',
+    'documents.js',
+    'ocr.js',
+    'checklist.js',
+    'review.js',
+    'diagnostics.js',
+    'app.js'
+];
+
+/**
+ * Library URLs to precache: the vendor/ copy when there is one, otherwise the CDN scripts
+ */
+async function libraryAssets() {
+    if (CONFIG.assets.mode !== 'cdn') {
+        try {
+            const response = await fetch(CONFIG.assets.manifest, { cache: 'no-store' });
+            if (response.ok) {
+                const manifest = await response.json();
+                return [CONFIG.assets.manifest, ...manifest.files];
+            }
+        } catch (error) {
+            console.warn('No vendor manifest - precaching CDN libraries', error);
+        }
+    }
+
+    return [...Object.values(CONFIG.assets.cdn).map(sources => sources[0]), CONFIG.pdf.workerSrc, ...tesseractAssets()];
+}
+
+/**
+ * What Tesseract.js fetches from jsDelivr with its default paths: the worker,
+ * each WASM core (SIMD or not, LSTM-only or with the legacy engine that
+ * orientation detection needs) and the traineddata for every language pack
+ * These must match its URLs exactly, 'v' version prefix included.
+ */
+function tesseractAssets() {
+    const { tesseract, tesseractCore } = CONFIG.assets.versions;
+    const cdn = 'https://cdn.jsdelivr.net/npm';
+    const languages = new Set([CONFIG.ocr.lang, ...Object.values(LANGUAGE_PACKS).map(pack => pack.tesseract)]);
+
+    return [
+        `${cdn}/tesseract.js@v${tesseract}/dist/worker.min.js`,
+        ...['tesseract-core', 'tesseract-core-simd', 'tesseract-core-lstm', 'tesseract-core-simd-lstm']
+            .map(name => `${cdn}/tesseract.js-core@v${tesseractCore}/${name}.wasm.js`),
+        ...[...languages].map(lang => `${cdn}/@tesseract.js-data/${lang}/4.0.0_best_int/${lang}.traineddata.gz`),
+        `${cdn}/@tesseract.js-data/osd/4.0.0/osd.traineddata.gz`
+    ];
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(APP_SHELL);
+        
+        // Best effort: one missing library file should not stop the app from installing
+        const assets = await caches.open(ASSET_CACHE);
+        const urls = await libraryAssets();
+        const results = await Promise.allSettled(urls.map(url => assets.add(url)));
+        const failed = results.filter(result => result.status === 'rejected').length;
+        if (failed > 0) console.warn(`${failed} of ${urls.length} library file(s) could not be precached`);
+        
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, ASSET_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('rider-') && !keep.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // The vendor manifest decides the asset source, so it must not go stale
+    if (sameOrigin && url.pathname.endsWith(CONFIG.assets.manifest)) {
+        event.respondWith(networkFirst(request, ASSET_CACHE));
+    } else if (sameOrigin && url.pathname.includes('/vendor/')) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    } else if (sameOrigin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (CONFIG.pwa.libraryHosts.includes(url.hostname) && request.cache !== 'reload') {
+        event.respondWith(cacheFirst(request, ASSET_CACHE));
+    }
+    // Anything else (LLM APIs, diagnostics health checks) goes to the network untouched
+});
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return cache.match('index.html');
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.status === 200 || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Background sync: queued tasks run in the page (they need its parser and
+ * API key), so wake any open window to flush its queue
+ */
+self.addEventListener('sync', (event) => {
+    if (event.tag !== CONFIG.pwa.syncTag) return;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach(client => client.postMessage({ type: 'sync' }));
+    })());
+});
@@ -0,0 +1,134 @@
+/**
+ * Background Sync Queue
+ * Work that needs the network (e.g. LLM parsing started offline) is saved
+ * here and run once a connection is back: on the 'online' event, on the next
+ * start, or when the service worker's background sync fires. Tasks are
+ * stored with Storage, so they survive the tab being closed.
+ */
+
+class SyncQueue {
+    constructor() {
+        this.handlers = new Map();
+        this.listeners = [];
+        this.flushing = null;
+    }
+
+    /**
+     * handler(payload) runs a task of this type; a rejection leaves it queued for the next try
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Queue a task; unique replaces any queued task of the same type
+     */
+    add(type, payload, { label = type, unique = false } = {}) {
+        const entries = this.entries().filter(entry => !unique || entry.type !== type);
+        entries.push({
+            id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            label,
+            payload,
+            attempts: 0,
+            queuedAt: new Date().toISOString()
+        });
+        
+        this.save(entries);
+        this.requestBackgroundSync();
+        if (navigator.onLine) this.flush();
+    }
+
+    entries() {
+        return Storage.get(CONFIG.storage.syncQueue, []);
+    }
+
+    save(entries) {
+        if (entries.length > 0) {
+            Storage.set(CONFIG.storage.syncQueue, entries);
+        } else {
+            Storage.remove(CONFIG.storage.syncQueue);
+        }
+        this.listeners.forEach(listener => listener(entries));
+    }
+
+    /**
+     * listener(entries) is called whenever the queue changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Run queued tasks in order; resolves to how many finished
+     * Stops at the first failure while offline, since the rest would fail too.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.run().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async run() {
+        let done = 0;
+        
+        for (const entry of this.entries()) {
+            if (!navigator.onLine) break;
+            
+            const handler = this.handlers.get(entry.type);
+            if (!handler) continue;
+            
+            try {
+                await handler(entry.payload);
+                this.save(this.entries().filter(candidate => candidate.id !== entry.id));
+                done++;
+            } catch (error) {
+                console.warn(`Queued ${entry.label} failed:`, error);
+                this.recordFailure(entry, error);
+            }
+        }
+        
+        return done;
+    }
+
+    /**
+     * Count a failed try, dropping the task after CONFIG.pwa.maxSyncAttempts
+     * Failures while offline are not counted.
+     */
+    recordFailure(entry, error) {
+        if (!navigator.onLine) return;
+        
+        const attempts = entry.attempts + 1;
+        const entries = this.entries();
+        
+        if (attempts >= CONFIG.pwa.maxSyncAttempts) {
+            showToast(`Gave up on ${entry.label} after ${attempts} tries: ${error.message}`, 'error');
+            this.save(entries.filter(candidate => candidate.id !== entry.id));
+            return;
+        }
+        
+        this.save(entries.map(candidate => candidate.id === entry.id
+            ? { ...candidate, attempts, lastError: error.message }
+            : candidate));
+    }
+
+    /**
+     * Ask the service worker to wake the app when the connection returns,
+     * where the browser supports Background Sync
+     */
+    async requestBackgroundSync() {
+        try {
+            if (!('serviceWorker' in navigator)) return;
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) await registration.sync.register(CONFIG.pwa.syncTag);
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
+    }
+}
+
+// Create global instance
+const syncQueue = new SyncQueue();
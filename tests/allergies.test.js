@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+function createParser(language) {
+    const { context, load } = createBrowser();
+    load('config.js', 'utils.js', 'language.js', 'parser.js');
+    
+    const parser = context.riderParser;
+    parser.setLanguage(language);
+    return parser;
+}
+
+// A plural heading must not leave its last letter on the captured allergy
+const PLURAL_HEADINGS = [
+    ['es', 'Alergias: cacahuetes', 'cacahuetes'],
+    ['fr', 'Allergies : arachides', 'arachides'],
+    ['de', 'Allergien: Erdnüsse', 'Erdnüsse'],
+    ['pt', 'Alergias: amendoim', 'amendoim']
+];
+
+PLURAL_HEADINGS.forEach(([language, heading, allergy]) => {
+    test(`the ${language} plural allergy heading "${heading}" captures only the allergy`, async () => {
+        const parser = createParser(language);
+        
+        const result = await parser.parse(`CATERING\n${heading}\n`);
+        
+        assert.ok(result.allergies.includes(allergy), `${result.allergies.join(', ')} does not include ${allergy}`);
+        assert.ok(!result.allergies.some(value => /^[sn] /.test(value)), result.allergies.join(', '));
+    });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Just enough of a File for FileUtils.readAsText and the document extractors
+function file(name, type, content) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    return {
+        name,
+        type,
+        size: bytes.length,
+        text: async () => new TextDecoder().decode(bytes),
+        arrayBuffer: async () => bytes.buffer
+    };
+}
+
+// Outlook .msg files are OLE compound files, recognised by their signature
+const OLE_SIGNATURE = new Uint8Array([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0, 0, 0, 0]);
+
+class FakeFileReader {
+    readAsText(blob) {
+        blob.text().then(result => this.onload({ target: { result } }), this.onerror);
+    }
+}
+
+function createProcessor(libraries = { pdfjsLib: {}, Tesseract: {} }) {
+    const { context, load } = createBrowser({
+        AbortController,
+        FileReader: FakeFileReader,
+        ...libraries
+    });
+    load('config.js', 'utils.js', 'language.js', 'job.js', 'pool.js', 'cache.js', 'documents.js', 'assets.js', 'ocr.js');
+    
+    const ocr = context.ocrProcessor;
+    ocr.isInitialized = 'pdfjsLib' in libraries;
+    ocr.cacheMode = 'bypass';
+    return ocr;
+}
+
+test('an unreadable upload fails on its own without losing the rest of the batch', async () => {
+    const ocr = createProcessor();
+    const files = [
+        file('rider.txt', 'text/plain', 'CATERING\n- 12 x Still water'),
+        file('forwarded.msg', 'application/vnd.ms-outlook', OLE_SIGNATURE)
+    ];
+    
+    const result = await ocr.batchProcess(files, () => {});
+    
+    assert.strictEqual(result.successCount, 1);
+    assert.strictEqual(result.failCount, 1);
+    assert.match(result.totalText, /--- rider\.txt ---\n\nCATERING\n- 12 x Still water/);
+    
+    const failed = result.results.find(entry => entry.filename === 'forwarded.msg');
+    assert.strictEqual(failed.success, false);
+    assert.match(failed.error, /Outlook \.msg files are not supported/);
+});
+
+test('text uploads are read when neither PDF.js nor Tesseract loaded', async () => {
+    const files = [file('rider.txt', 'text/plain', 'CATERING\n- 12 x Still water')];
+    
+    for (const method of ['processFiles', 'batchProcess']) {
+        const ocr = createProcessor({});
+        const result = await ocr[method](files, () => {});
+        
+        assert.strictEqual(result.successCount, 1, method);
+        assert.match(result.totalText, /12 x Still water/);
+    }
+});
+
+test('a queued PDF still needs PDF.js', async () => {
+    const ocr = createProcessor({ Tesseract: {} });
+    
+    assert.strictEqual(ocr.missingLibraries([file('rider.pdf', 'application/pdf', '%PDF-1.7')]).join(' '), 'PDF.js');
+    await assert.rejects(ocr.processFiles([file('rider.pdf', 'application/pdf', '%PDF-1.7')], () => {}), /Required libraries not available/);
+});
@@ -0,0 +1,57 @@
+/**
+ * Loads the app's browser scripts into a sandbox for node --test.
+ * Top-level const and class declarations are turned into globals of the
+ * sandbox, the way they are shared between <script> tags in index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createBrowser(globals = {}) {
+    const storage = new Map();
+    const toasts = [];
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        URL,
+        TextEncoder,
+        TextDecoder,
+        navigator: { onLine: true },
+        localStorage: {
+            getItem: key => storage.has(key) ? storage.get(key) : null,
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        document: {
+            readyState: 'loading',
+            addEventListener() {},
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        window: {},
+        toasts,
+        ...globals
+    };
+    vm.createContext(context);
+    
+    const load = (...files) => {
+        files.forEach(file => {
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8')
+                .replace(/^const (\w+) =/mg, 'var $1 =')
+                .replace(/^class (\w+)/mg, 'var $1 = class $1');
+            vm.runInContext(source, context, { filename: file });
+        });
+        
+        // utils.js defines showToast; record toasts instead of rendering them
+        context.showToast = (message, type = 'info') => toasts.push({ message, type });
+        return context;
+    };
+    
+    return { context, load };
+}
+
+module.exports = { createBrowser };
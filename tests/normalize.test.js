@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+function createParser() {
+    const { context, load } = createBrowser();
+    load('config.js', 'utils.js', 'language.js', 'parser.js');
+    return context.riderParser;
+}
+
+test('item lines that differ only in quantity are not taken for running headers', () => {
+    const parser = createParser();
+    const text = [
+        'HOSPITALITY RIDER',
+        '- 6 x Bath towels',
+        'CATERING',
+        '- 2 x Apples',
+        'Tour Rider 2024 - Page 1 of 2',
+        '\f',
+        'HOSPITALITY RIDER',
+        '- 12 x Bath towels',
+        'DRESSING ROOM',
+        '- 3 x Apples',
+        'Tour Rider 2024 - Page 2 of 2'
+    ].join('\n');
+    
+    const normalized = parser.normalizeText(text);
+    
+    ['- 6 x Bath towels', '- 12 x Bath towels', '- 2 x Apples', '- 3 x Apples'].forEach(item => {
+        assert.ok(normalized.includes(item), `${item} was removed`);
+    });
+    assert.doesNotMatch(normalized, /HOSPITALITY RIDER/);
+    assert.doesNotMatch(normalized, /Page \d of 2/);
+});
+
+test('running lines are only dropped at the edges of a page', () => {
+    const parser = createParser();
+    const text = [
+        'Green Room',
+        '- 1 x Kettle',
+        'CATERING',
+        '- 4 x Still water',
+        'Green Room',
+        '- 2 x Towels',
+        'BACKLINE',
+        '- 1 x Mirror',
+        '\f',
+        'Green Room',
+        '- 2 x Chairs',
+        'DRESSING ROOM',
+        '- 6 x Hangers',
+        '- 1 x Rail'
+    ].join('\n');
+    
+    const lines = parser.normalizeText(text).split('\n');
+    
+    assert.strictEqual(lines.filter(line => line === 'Green Room').length, 1);
+    assert.ok(lines.indexOf('Green Room') > lines.indexOf('- 4 x Still water'));
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Records how workers are created, with the argument order of Tesseract.js 5
+function fakeTesseract() {
+    const created = [];
+    return {
+        created,
+        OEM: { TESSERACT_ONLY: 0, LSTM_ONLY: 1 },
+        createWorker: async (langs, oem, options) => {
+            const worker = {
+                langs,
+                reinitialize: async (lang) => {
+                    worker.langs = lang;
+                },
+                terminate: async () => {
+                    worker.terminated = true;
+                }
+            };
+            created.push({ langs, oem, options, worker });
+            return worker;
+        }
+    };
+}
+
+function createProcessor() {
+    const Tesseract = fakeTesseract();
+    const { context, load } = createBrowser({ AbortController, Tesseract, location: { origin: 'https://riders.example' } });
+    context.document.baseURI = 'https://riders.example/app/';
+    load('config.js', 'utils.js', 'job.js', 'pool.js', 'assets.js', 'ocr.js', 'diagnostics.js', 'region.js');
+    return { ocr: context.ocrProcessor, Tesseract, context };
+}
+
+test('workers are created for the requested language', async () => {
+    const { ocr, Tesseract } = createProcessor();
+    
+    await ocr.createWorker('spa+eng');
+    
+    const [{ langs, oem, options }] = Tesseract.created;
+    assert.strictEqual(langs, 'spa+eng');
+    assert.strictEqual(oem, Tesseract.OEM.LSTM_ONLY);
+    assert.strictEqual(typeof options.logger, 'function');
+});
+
+test('recognition progress from the worker logger moves the page along', async () => {
+    const { ocr, Tesseract } = createProcessor();
+    const events = [];
+    ocr.progressCallback = event => events.push(event);
+    ocr.progressState = { fileIndex: 0, fileCount: 2, filename: 'scan.png', page: null, pageCount: null, pageProgress: 0 };
+    
+    await ocr.createWorker('eng');
+    const { logger } = Tesseract.created[0].options;
+    logger({ status: 'loading tesseract core', progress: 1 });
+    logger({ status: 'recognizing text', progress: 0.5 });
+    
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'ocr');
+    assert.strictEqual(events[0].fileProgress, 0.5);
+    assert.strictEqual(events[0].progress, 0.25);
+});
+
+test('a pooled worker switched to another language is re-initialized with it', async () => {
+    const { context, Tesseract } = createProcessor();
+    const pool = new context.WorkerPool(lang => Tesseract.createWorker(lang, Tesseract.OEM.LSTM_ONLY, {}), 1);
+    
+    await pool.run('eng', async () => {});
+    const used = await pool.run('fra+eng', async worker => worker);
+    
+    assert.strictEqual(Tesseract.created.length, 1);
+    assert.strictEqual(used, Tesseract.created[0].worker);
+    assert.strictEqual(used.langs, 'fra+eng');
+    assert.strictEqual(pool.entries[0].lang, 'fra+eng');
+});
+
+test('self-hosted workers are created with the vendor paths and diagnostics confirm them', async () => {
+    const { ocr, Tesseract, context } = createProcessor();
+    assert.match(context.libraryDiagnostics.tesseractRows()[0][1], /no OCR worker/);
+    
+    context.assetLoader.source = 'local';
+    await ocr.createWorker('deu+eng');
+    
+    const { options } = Tesseract.created[0];
+    assert.strictEqual(options.workerPath, 'https://riders.example/app/vendor/tesseract/worker.min.js');
+    assert.strictEqual(options.corePath, 'https://riders.example/app/vendor/tesseract-core');
+    assert.strictEqual(options.langPath, 'https://riders.example/app/vendor/tessdata');
+    
+    const rows = context.libraryDiagnostics.tesseractRows();
+    assert.strictEqual(rows.map(row => row[3]).join(' '), '✅ ✅ ✅');
+    assert.ok(rows.every(row => row[1].startsWith('self-hosted')));
+});
+
+test('diagnostics flag CDN paths while self-hosted assets are expected', async () => {
+    const { ocr, context } = createProcessor();
+    
+    await ocr.createWorker('eng');
+    context.assetLoader.source = 'local';
+    
+    assert.strictEqual(context.libraryDiagnostics.tesseractRows().map(row => row[3]).join(' '), '❌ ❌ ❌');
+});
+
+test('closing the region viewer stops the workers its reads started', async () => {
+    const { ocr, Tesseract, context } = createProcessor();
+    const viewer = context.regionSelector;
+    
+    await ocr.pool.run('eng', async () => {});
+    viewer.modal = { remove() {} };
+    viewer.close();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    assert.strictEqual(Tesseract.created[0].worker.terminated, true);
+    assert.strictEqual(ocr.pool.entries.length, 0);
+});
+
+test('closing the region viewer leaves a running job its workers', async () => {
+    const { ocr, Tesseract, context } = createProcessor();
+    const viewer = context.regionSelector;
+    
+    await ocr.pool.run('eng', async () => {});
+    ocr.job = new context.ProcessingJob();
+    viewer.modal = { remove() {} };
+    viewer.close();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    
+    assert.strictEqual(Tesseract.created[0].worker.terminated, undefined);
+});
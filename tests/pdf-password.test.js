@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Just enough of a File for FileUtils.readAsText and FileUtils.readAsArrayBuffer
+function file(name, type, content) {
+    const bytes = new TextEncoder().encode(content);
+    return {
+        name,
+        type,
+        size: bytes.length,
+        lastModified: 0,
+        text: async () => content,
+        arrayBuffer: async () => bytes.buffer
+    };
+}
+
+class FakeFileReader {
+    readAsText(blob) {
+        blob.text().then(result => this.onload({ target: { result } }), this.onerror);
+    }
+
+    readAsArrayBuffer(blob) {
+        blob.arrayBuffer().then(result => this.onload({ target: { result } }), this.onerror);
+    }
+}
+
+// A PDF.js that refuses every file for want of a password
+const lockedPdfjs = {
+    PasswordResponses: { NEED_PASSWORD: 1, INCORRECT_PASSWORD: 2 },
+    getDocument: () => ({
+        promise: Promise.reject(Object.assign(new Error('No password given'), { name: 'PasswordException', code: 1 }))
+    })
+};
+
+function createProcessor() {
+    const { context, load } = createBrowser({
+        AbortController,
+        DOMException,
+        FileReader: FakeFileReader,
+        pdfjsLib: lockedPdfjs,
+        Tesseract: {}
+    });
+    load('config.js', 'utils.js', 'language.js', 'job.js', 'pool.js', 'cache.js', 'documents.js', 'assets.js', 'ocr.js');
+    
+    const ocr = context.ocrProcessor;
+    ocr.isInitialized = true;
+    ocr.cacheMode = 'bypass';
+    return { ocr, context };
+}
+
+test('skipping the password prompt records the locked PDF as a per-file error', async () => {
+    const { ocr } = createProcessor();
+    const prompts = [];
+    ocr.setPasswordPrompt(async (filename, incorrect) => {
+        prompts.push(filename);
+        return null;
+    });
+    
+    const result = await ocr.processFiles([
+        file('locked.pdf', 'application/pdf', '%PDF-1.7'),
+        file('rider.txt', 'text/plain', 'CATERING\n- 12 x Still water')
+    ], () => {});
+    
+    assert.strictEqual(prompts.join(' '), 'locked.pdf');
+    assert.strictEqual(result.cancelled, false);
+    assert.strictEqual(result.successCount, 1);
+    
+    const locked = result.results.find(entry => entry.filename === 'locked.pdf');
+    assert.strictEqual(locked.success, false);
+    assert.match(locked.error, /locked\.pdf is password protected - password required/);
+});
+
+test('cancelling the run while the password prompt is open aborts the prompt', async () => {
+    const { ocr, context } = createProcessor();
+    const job = new context.ProcessingJob();
+    let promptSignal = null;
+    ocr.setPasswordPrompt((filename, incorrect, signal) => new Promise(resolve => {
+        promptSignal = signal;
+        signal.addEventListener('abort', () => resolve(null));
+        job.cancel();
+    }));
+    
+    const result = await ocr.processFiles([file('locked.pdf', 'application/pdf', '%PDF-1.7')], () => {}, job);
+    
+    assert.strictEqual(promptSignal.aborted, true);
+    assert.strictEqual(result.cancelled, true);
+});
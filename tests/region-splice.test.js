@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Two PDFs as ocr.js joins them: a header per file, pages separated by \f
+const RAW_TEXT = [
+    '--- stage.pdf ---',
+    '',
+    'STAGE',
+    '- 2 x Risers',
+    '\f',
+    'LIGHTING',
+    '- 4 x Par cans',
+    '',
+    '',
+    '--- hospitality.pdf ---',
+    '',
+    'DRESSING ROOM',
+    '- 1 x Mirror',
+    '\f',
+    'CATERING',
+    '- 12 x Still water',
+    '- 6 x Bananas',
+    '\f',
+    'Page 3 of 3'
+].join('\n');
+
+function createApp() {
+    const { context, load } = createBrowser({ ocrProcessor: { pool: { size: 1 } } });
+    load('config.js', 'utils.js', 'language.js', 'parser.js', 'app.js');
+    
+    const app = new context.RiderApp();
+    app.filesCache = [{ name: 'stage.pdf' }, { name: 'hospitality.pdf' }];
+    app.rawText = RAW_TEXT;
+    app.extractedText = context.riderParser.normalizeText(RAW_TEXT);
+    return { app, context };
+}
+
+function page(text, filename, number) {
+    const start = text.indexOf(`--- ${filename} ---`);
+    const next = text.indexOf('\n\n--- ', start + 1);
+    return text.slice(start, next < 0 ? text.length : next).split('\f')[number - 1];
+}
+
+test('normalized text has no file headers or page breaks to splice into', () => {
+    const { app } = createApp();
+    
+    assert.ok(!app.extractedText.includes('--- hospitality.pdf ---'));
+    assert.ok(!app.extractedText.includes('\f'));
+});
+
+test('region text replaces matching lines on page 2 of the second file', () => {
+    const { app, context } = createApp();
+    
+    app.spliceRegionText({
+        file: { name: 'hospitality.pdf' },
+        page: 2,
+        text: '- 24 x Still water',
+        position: 0.5
+    });
+    
+    assert.deepStrictEqual(context.toasts.map(toast => toast.type), ['success']);
+    assert.match(page(app.rawText, 'hospitality.pdf', 2), /- 24 x Still water\n- 6 x Bananas/);
+    assert.doesNotMatch(app.rawText, /12 x Still water/);
+    assert.strictEqual(page(app.rawText, 'stage.pdf', 2), page(RAW_TEXT, 'stage.pdf', 2));
+    assert.strictEqual(page(app.rawText, 'hospitality.pdf', 1), page(RAW_TEXT, 'hospitality.pdf', 1));
+    
+    // The editor text is the normalized raw text, so the next splice still finds its page
+    assert.strictEqual(app.extractedText, context.riderParser.normalizeText(app.rawText));
+    assert.match(app.extractedText, /- 24 x Still water/);
+});
+
+test('region text with no matching lines is inserted at its height on the page', () => {
+    const { app } = createApp();
+    
+    app.spliceRegionText({
+        file: { name: 'hospitality.pdf' },
+        page: 2,
+        text: 'Hot tea on arrival',
+        position: 1
+    });
+    
+    assert.match(page(app.rawText, 'hospitality.pdf', 2), /- 6 x Bananas\nHot tea on arrival/);
+    assert.match(app.extractedText, /Hot tea on arrival/);
+});
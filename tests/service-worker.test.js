@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// sw.js with no vendor/ copy to find, so it falls back to the CDNs
+function createServiceWorker() {
+    const browser = createBrowser({
+        self: { addEventListener() {}, location: { origin: 'https://riders.example' } },
+        fetch: async () => ({ ok: false })
+    });
+    browser.context.importScripts = (...files) => browser.load(...files);
+    browser.load('sw.js');
+    return browser.context;
+}
+
+test('the install step precaches Tesseract worker, cores and traineddata from the CDN', async () => {
+    const sw = createServiceWorker();
+    
+    const urls = Array.from(await sw.libraryAssets());
+    
+    [
+        'https://cdn.jsdelivr.net/npm/tesseract.js@v5.0.5/dist/worker.min.js',
+        'https://cdn.jsdelivr.net/npm/tesseract.js-core@v5.0.0/tesseract-core-simd-lstm.wasm.js',
+        'https://cdn.jsdelivr.net/npm/tesseract.js-core@v5.0.0/tesseract-core-lstm.wasm.js',
+        'https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz',
+        'https://cdn.jsdelivr.net/npm/@tesseract.js-data/spa/4.0.0_best_int/spa.traineddata.gz',
+        'https://cdn.jsdelivr.net/npm/@tesseract.js-data/osd/4.0.0/osd.traineddata.gz'
+    ].forEach(url => assert.ok(urls.includes(url), `${url} is not precached`));
+    assert.ok(urls.includes(sw.CONFIG.pdf.workerSrc));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createBrowser } = require('./helpers/browser');
+
+// Records the job each run is handed and whether the controls knew about it
+function fakeOcrProcessor(app, runs) {
+    const run = method => async (files, progress, job) => {
+        runs.push({ method, job, controlled: app.controlledJob === job });
+        return { cancelled: false, stats: { pages: 1, seconds: 1, pagesPerMinute: 60, workers: 1 } };
+    };
+    
+    return {
+        cacheMode: 'auto',
+        pool: { size: 2 },
+        setCacheMode(mode) { this.cacheMode = mode; },
+        warmUp: async () => {},
+        processFiles: run('processFiles'),
+        batchProcess: run('batchProcess')
+    };
+}
+
+function createApp() {
+    const runs = [];
+    const { context, load } = createBrowser({ AbortController, ocrProcessor: { pool: { size: 2 } }, pdfjsLib: {}, Tesseract: {} });
+    load('config.js', 'utils.js', 'language.js', 'job.js', 'parser.js', 'app.js');
+    
+    const app = new context.RiderApp();
+    app.filesCache = [{ name: 'rider.pdf' }];
+    context.ocrProcessor = fakeOcrProcessor(app, runs);
+    return { app, context, runs };
+}
+
+test('the speed comparison enables pause and cancel for each of its runs', async () => {
+    const { app, runs } = createApp();
+    app.updateProcessingControls = () => { app.controlledJob = app.processingJob; };
+    
+    await app.compareThroughput();
+    
+    assert.strictEqual(runs.map(run => run.method).join(' '), 'processFiles batchProcess');
+    assert.ok(runs.every(run => run.job && run.controlled));
+    assert.notStrictEqual(runs[0].job, runs[1].job);
+});
+
+test('cancelling while the language data loads stops the speed comparison', async () => {
+    const { app, context, runs } = createApp();
+    context.ocrProcessor.warmUp = async () => app.cancelProcessing();
+    
+    await app.compareThroughput();
+    
+    assert.strictEqual(runs.length, 0);
+    assert.strictEqual(app.isProcessing, false);
+});
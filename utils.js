@@ -78,7 +78,7 @@ const FileUtils = {
     formatSize(bytes) {
         if (bytes === 0) return '0 Bytes';
         const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     },
@@ -87,7 +87,16 @@ const FileUtils = {
      * Check if file type is valid
      */
     isValidType(file) {
-        return CONFIG.upload.acceptedFormats.includes(file.type);
+        return CONFIG.upload.acceptedFormats.includes(file.type) ||
+            FileUtils.isChecklistExport(file) ||
+            documentExtractor.detectFormat(file) !== null;
+    },
+
+    /**
+     * Check if file is an exported checklist (some systems report no MIME type for .json)
+     */
+    isChecklistExport(file) {
+        return file.type === 'application/json' || FileUtils.getExtension(file.name) === 'json';
     },
 
     /**
@@ -127,46 +136,263 @@ const FileUtils = {
 };
 
 // Storage Utilities
+// Values live in IndexedDB; an in-memory copy keeps get/set synchronous for callers.
+// Call Storage.init() once before reading. Falls back to localStorage when
+// IndexedDB is unavailable (e.g. some private browsing modes) or a write to it fails.
 const Storage = {
+    db: null,
+    backend: null,
+    cache: new Map(),
+    pending: new Set(),
+    ready: null,
+    fallbackWarned: false,
+
     /**
-     * Save to localStorage with JSON serialization
+     * Schema migrations, keyed by the database version that introduces them
      */
-    set(key, value) {
+    migrations: {
+        1: (db) => {
+            db.createObjectStore(CONFIG.database.store, { keyPath: 'key' });
+        }
+    },
+
+    /**
+     * Open the database, load every record and migrate old localStorage keys
+     */
+    init() {
+        if (!Storage.ready) {
+            Storage.ready = Storage.open()
+                .then(async (db) => {
+                    Storage.db = db;
+                    Storage.backend = 'indexeddb';
+                    await Storage.loadAll();
+                    await Storage.migrateLocalStorage();
+                })
+                .catch((error) => {
+                    console.warn('IndexedDB unavailable, using localStorage:', error);
+                    Storage.db = null;
+                    Storage.backend = 'localstorage';
+                    Storage.loadLocalStorage();
+                });
+        }
+        return Storage.ready;
+    },
+
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not supported'));
+                return;
+            }
+            
+            const { name, version } = CONFIG.database;
+            const request = indexedDB.open(name, version);
+            
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let v = event.oldVersion + 1; v <= version; v++) {
+                    if (Storage.migrations[v]) Storage.migrations[v](db, request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+        });
+    },
+
+    loadAll() {
+        return new Promise((resolve, reject) => {
+            const request = Storage.transaction('readonly').getAll();
+            request.onsuccess = () => {
+                request.result.forEach(record => Storage.cache.set(record.key, record.value));
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Copy riderChecklist_* keys (and other old JSON keys) into IndexedDB, then drop them
+     * A key left in localStorage is newer than any database copy: it was either
+     * never migrated or saved there after an IndexedDB write failed.
+     */
+    async migrateLocalStorage() {
+        const keys = Storage.legacyKeys();
+        if (keys.length === 0) return;
+        
+        keys.forEach(key => {
+            try {
+                Storage.cache.set(key, JSON.parse(localStorage.getItem(key)));
+            } catch (e) {
+                console.warn(`Skipping unreadable storage key ${key}`);
+            }
+        });
+        
+        // A successful write drops the localStorage copy
+        const readable = keys.filter(key => Storage.cache.has(key));
+        await Promise.all(readable.map(key => Storage.write(key)));
+        
+        const migrated = readable.filter(key => localStorage.getItem(key) === null);
+        console.log(`Migrated ${migrated.length} item(s) from localStorage to IndexedDB`);
+    },
+
+    loadLocalStorage() {
+        Storage.legacyKeys().forEach(key => {
+            try {
+                Storage.cache.set(key, JSON.parse(localStorage.getItem(key)));
+            } catch (e) {
+                console.warn(`Skipping unreadable storage key ${key}`);
+            }
+        });
+    },
+
+    legacyKeys() {
         try {
-            localStorage.setItem(key, JSON.stringify(value));
+            return Object.keys(localStorage).filter(key =>
+                key.startsWith(CONFIG.database.legacyPrefix) || CONFIG.database.legacyKeys.includes(key)
+            );
+        } catch (e) {
+            return [];
+        }
+    },
+
+    transaction(mode) {
+        return Storage.db.transaction(CONFIG.database.store, mode).objectStore(CONFIG.database.store);
+    },
+
+    /**
+     * Persist one key from the cache to the backend; resolves to false when it could not be saved
+     */
+    write(key) {
+        if (Storage.backend !== 'indexeddb') {
+            return Promise.resolve(Storage.writeLocal(key));
+        }
+        
+        const deleted = !Storage.cache.has(key);
+        const write = new Promise((resolve) => {
+            try {
+                const store = Storage.transaction('readwrite');
+                if (deleted) {
+                    store.delete(key);
+                } else {
+                    store.put({ key, value: Storage.cache.get(key), updatedAt: new Date().toISOString() });
+                }
+                
+                // Quota errors abort the transaction after the request itself succeeded
+                store.transaction.oncomplete = () => {
+                    Storage.clearLocalCopy(key);
+                    resolve(true);
+                };
+                store.transaction.onabort = () => resolve(Storage.writeFallback(key, store.transaction.error));
+            } catch (e) {
+                resolve(Storage.writeFallback(key, e));
+            }
+        });
+        
+        Storage.pending.add(write);
+        write.then(() => Storage.pending.delete(write));
+        return write;
+    },
+
+    writeLocal(key) {
+        try {
+            if (Storage.cache.has(key)) {
+                localStorage.setItem(key, JSON.stringify(Storage.cache.get(key)));
+            } else {
+                localStorage.removeItem(key);
+            }
             return true;
         } catch (e) {
-            console.error('Storage error:', e);
+            Storage.handleWriteError(e);
             return false;
         }
     },
 
     /**
-     * Get from localStorage with JSON parsing
+     * Keep a value whose IndexedDB write failed in localStorage; the next
+     * start migrates it back. A failed delete cannot be kept that way.
      */
-    get(key, defaultValue = null) {
+    writeFallback(key, error) {
+        console.warn(`IndexedDB write failed for ${key}, using localStorage:`, error);
+        if (!Storage.cache.has(key)) {
+            Storage.clearLocalCopy(key);
+            Storage.handleWriteError(error);
+            return false;
+        }
+        if (!Storage.writeLocal(key)) return false;
+        
+        if (!Storage.fallbackWarned) {
+            Storage.fallbackWarned = true;
+            showToast('Could not save to the database - changes are kept in browser storage instead', 'warning');
+        }
+        return true;
+    },
+
+    /**
+     * Drop a fallback copy once the database holds the key, so it cannot overwrite newer data on the next start
+     */
+    clearLocalCopy(key) {
         try {
-            const item = localStorage.getItem(key);
-            return item ? JSON.parse(item) : defaultValue;
+            localStorage.removeItem(key);
         } catch (e) {
-            console.error('Storage error:', e);
-            return defaultValue;
+            // Nothing to clear when localStorage is unavailable
+        }
+    },
+
+    handleWriteError(error) {
+        console.error('Storage error:', error);
+        if (error && error.name === 'QuotaExceededError') {
+            showToast('Storage is full - archive or delete old checklists', 'error');
+        } else {
+            showToast(`Could not save changes: ${error ? error.message : 'unknown error'}`, 'error');
         }
     },
 
     /**
-     * Remove from localStorage
+     * Wait for outstanding writes
      */
-    remove(key) {
+    flush() {
+        return Promise.all(Array.from(Storage.pending));
+    },
+
+    /**
+     * Save a value (written to IndexedDB in the background)
+     * Resolves to false when it could not be saved anywhere; the user has been told.
+     */
+    set(key, value) {
         try {
-            localStorage.removeItem(key);
-            return true;
+            Storage.cache.set(key, Storage.clone(value));
+            return Storage.write(key);
         } catch (e) {
-            console.error('Storage error:', e);
-            return false;
+            Storage.handleWriteError(e);
+            return Promise.resolve(false);
         }
     },
 
+    /**
+     * Get a value
+     */
+    get(key, defaultValue = null) {
+        if (!Storage.cache.has(key)) return defaultValue;
+        const value = Storage.cache.get(key);
+        return value === null || value === undefined ? defaultValue : Storage.clone(value);
+    },
+
+    /**
+     * Remove a value
+     */
+    remove(key) {
+        Storage.cache.delete(key);
+        return Storage.write(key);
+    },
+
+    /**
+     * All stored keys
+     */
+    keys() {
+        return Array.from(Storage.cache.keys());
+    },
+
     /**
      * Clear all app storage
      */
@@ -174,19 +400,45 @@ const Storage = {
         Object.values(CONFIG.storage).forEach(key => {
             Storage.remove(key);
         });
+        
+        // Saved checklists and cached extractions are stored one per key
+        const prefixes = [`${CONFIG.storage.history}_`, `${CONFIG.storage.extractionCache}_`];
+        Storage.keys()
+            .filter(key => prefixes.some(prefix => key.startsWith(prefix)))
+            .forEach(key => Storage.remove(key));
     },
 
     /**
-     * Get storage size
+     * Report storage usage
+     * usage/quota come from the browser's estimate for the whole origin;
+     * appBytes is the serialized size of this app's records.
      */
-    getSize() {
-        let size = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                size += localStorage[key].length + key.length;
+    async getUsage() {
+        const appBytes = Storage.keys().reduce((total, key) =>
+            total + new Blob([key, JSON.stringify(Storage.cache.get(key)) || '']).size, 0);
+        
+        let usage = null;
+        let quota = null;
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            try {
+                ({ usage, quota } = await navigator.storage.estimate());
+            } catch (e) {
+                console.warn('Storage estimate unavailable:', e);
             }
         }
-        return size;
+        
+        return {
+            backend: Storage.backend,
+            records: Storage.cache.size,
+            appBytes,
+            usage,
+            quota,
+            percentUsed: usage !== null && quota ? Math.round((usage / quota) * 100) : null
+        };
+    },
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
     }
 };
 
@@ -262,19 +514,25 @@ const DataExport = {
      * Export data as CSV
      */
     exportCSV(items, filename = 'rider-checklist.csv') {
-        const headers = ['Item', 'Quantity', 'Category', 'Room', 'Notes', 'Completed'];
+        const headers = ['Item', 'Quantity', 'Category', 'Room', 'Notes', 'Completed', 'Requested', 'Delivered', 'Outstanding', 'Status', 'Status Reason', 'Status Updated'];
         const rows = items.map(item => [
             item.name,
             item.quantity,
             item.category,
             item.room || '',
             item.notes || '',
-            item.completed ? 'Yes' : 'No'
+            item.completed ? 'Yes' : 'No',
+            item.requested ?? item.quantity,
+            item.delivered ?? '',
+            item.outstanding ?? '',
+            item.statusLabel || '',
+            item.statusReason || '',
+            item.statusUpdated ? DateUtils.format(item.statusUpdated) : ''
         ]);
 
         const csv = [
             headers.join(','),
-            ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
+            ...rows.map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))
         ].join('\n');
 
         const blob = new Blob([csv], { type: 'text/csv' });
@@ -297,6 +555,7 @@ const DataExport = {
         .item { padding: 8px; border-bottom: 1px solid #eee; }
         .completed { text-decoration: line-through; opacity: 0.6; }
         .checkbox { width: 20px; height: 20px; margin-right: 10px; }
+        .status { font-size: 0.85em; color: #666; margin-left: 6px; }
         @media print { body { max-width: 100%; } }
     </style>
 </head>
@@ -304,6 +563,7 @@ const DataExport = {
     <h1>${data.title || 'Rider Checklist'}</h1>
     ${data.artists ? `<p><strong>Artists:</strong> ${data.artists.join(', ')}</p>` : ''}
     ${data.allergies ? `<p style="color: red;"><strong>⚠️ Allergies:</strong> ${data.allergies.join(', ')}</p>` : ''}
+    ${data.progress?.summary ? `<p><strong>Status:</strong> ${data.progress.summary}</p>` : ''}
     ${DataExport.generateHTMLContent(data)}
 </body>
 </html>`;
@@ -324,6 +584,7 @@ const DataExport = {
                             <input type="checkbox" class="checkbox" ${item.completed ? 'checked' : ''}>
                             ${item.quantity > 1 ? `(${item.quantity}) ` : ''}${item.name}
                             ${item.notes ? `- ${item.notes}` : ''}
+                            ${DataExport.generateStatusHTML(item)}
                         </div>`;
                 });
             });
@@ -337,6 +598,7 @@ const DataExport = {
                             <input type="checkbox" class="checkbox" ${item.completed ? 'checked' : ''}>
                             ${item.quantity > 1 ? `(${item.quantity}) ` : ''}${item.name}
                             ${item.notes ? `- ${item.notes}` : ''}
+                            ${DataExport.generateStatusHTML(item)}
                         </div>`;
                 });
             });
@@ -345,6 +607,167 @@ const DataExport = {
         return html;
     },
 
+    /**
+     * Status label and reason for an exported item
+     */
+    generateStatusHTML(item) {
+        if (!item.statusLabel) return '';
+        const partial = item.delivered > 0 && item.outstanding > 0 ? ` · ${item.delivered}/${item.requested} delivered` : '';
+        return `<span class="status">[${item.statusLabel}${item.statusReason ? `: ${item.statusReason}` : ''}${partial}]</span>`;
+    },
+
+    /**
+     * Export as a paginated PDF checklist
+     */
+    exportPDF(data, filename = 'rider-checklist.pdf') {
+        const pdf = DataExport.generatePDF(data);
+        DataExport.download(pdf.toBlob(), filename);
+    },
+
+    /**
+     * Lay out the checklist: header, allergy banner, sections per room, sign-off
+     */
+    generatePDF(data) {
+        const pdf = new PDFWriter();
+        const left = pdf.margin;
+        const right = pdf.width - pdf.margin;
+        const bottom = pdf.height - pdf.margin - 20;
+        const contentWidth = right - left;
+        let y = pdf.margin;
+        let section = null;
+        
+        const ensureSpace = (height) => {
+            if (y + height <= bottom) return;
+            pdf.addPage();
+            y = pdf.margin;
+            if (section) heading(`${section} (continued)`);
+        };
+        
+        const paragraph = (text, options = {}) => {
+            const size = options.size || 10;
+            pdf.wrap(text, options.width || contentWidth, size, options.bold).forEach(line => {
+                ensureSpace(size * 1.4);
+                y += size * 1.4;
+                pdf.text(line, options.x || left, y, options);
+            });
+        };
+        
+        const heading = (text) => {
+            y += 22;
+            pdf.text(text, left, y, { size: 13, bold: true });
+            y += 6;
+            pdf.line(left, y, right, y, { color: '#cccccc' });
+            y += 4;
+        };
+        
+        // Header
+        pdf.text(data.title || 'Tour Rider Checklist', left, y + 18, { size: 20, bold: true });
+        y += 26;
+        pdf.text(`Generated ${DateUtils.format(data.exportDate || new Date())}`, left, y + 10, { size: 9, color: '#666666' });
+        y += 14;
+        if (data.progress?.summary) {
+            paragraph(`Status: ${data.progress.percentage}% complete - ${data.progress.summary}`, { size: 9, color: '#666666' });
+        }
+        y += 6;
+        
+        if (data.artists && data.artists.length > 0) {
+            paragraph(`Artists: ${data.artists.join(', ')}`, { bold: true, size: 11 });
+        }
+        if (data.rooms && data.rooms.length > 0) {
+            paragraph(`Rooms: ${data.rooms.map(room => `${room.name || `Room ${room.id}`}${room.description ? ` (${room.description})` : ''}`).join('; ')}`);
+        }
+        (data.contacts || []).forEach(contact => {
+            const details = [contact.role, contact.email, contact.phone].filter(Boolean).join(' | ');
+            paragraph(`Contact: ${contact.name}${details ? ` - ${details}` : ''}`);
+        });
+        
+        // Allergy banner
+        if (data.allergies && data.allergies.length > 0) {
+            const lines = pdf.wrap(`ALLERGIES: ${data.allergies.join(', ')}`, contentWidth - 20, 11, true);
+            const height = lines.length * 15 + 12;
+            y += 12;
+            ensureSpace(height);
+            pdf.rect(left, y, contentWidth, height, { fill: '#fdecec', stroke: '#ef4444', width: 1 });
+            lines.forEach((line, index) => {
+                pdf.text(line, left + 10, y + 20 + index * 15, { size: 11, bold: true, color: '#b91c1c' });
+            });
+            y += height;
+        }
+        
+        // Items grouped by room, then by category for items without a room
+        const items = data.checklistItems || [];
+        const sections = [];
+        (data.rooms || []).forEach(room => {
+            const roomItems = items.filter(item => item.roomId === room.id);
+            if (roomItems.length > 0) {
+                sections.push({ title: `${room.name || `Room ${room.id}`}${room.description ? ` - ${room.description}` : ''}`, items: roomItems });
+            }
+        });
+        Object.entries(DataExport.groupBy(items.filter(item => !item.roomId), item => item.category || 'General'))
+            .forEach(([category, categoryItems]) => sections.push({ title: category, items: categoryItems }));
+        
+        sections.forEach(({ title, items: sectionItems }) => {
+            section = null;
+            ensureSpace(60);
+            heading(title);
+            section = title;
+            
+            sectionItems.forEach(item => {
+                const name = `${item.requested > 1 ? `(${item.requested}) ` : ''}${item.name}${item.mustHave ? ' - MUST HAVE' : ''}`;
+                const status = item.statusLabel && item.status !== CONFIG.checklist.defaultStatus ? item.statusLabel : '';
+                const delivered = item.requested > 1 && item.delivered > 0 && item.outstanding > 0
+                    ? `${item.delivered}/${item.requested} delivered`
+                    : '';
+                const detail = [status, delivered, item.statusReason].filter(Boolean).join(' - ');
+                const nameLines = pdf.wrap(name, contentWidth - 140, 10);
+                const noteLines = item.notes ? pdf.wrap(`Notes: ${item.notes}`, contentWidth - 24, 9) : [];
+                
+                ensureSpace(nameLines.length * 14 + noteLines.length * 12 + 8);
+                y += 6;
+                pdf.checkbox(left, y, 10, item.completed);
+                nameLines.forEach((line, index) => {
+                    pdf.text(line, left + 18, y + 9 + index * 14, { size: 10 });
+                });
+                if (detail) {
+                    pdf.text(detail.length > 40 ? `${detail.slice(0, 39)}...` : detail, right, y + 9, { size: 8, align: 'right', color: '#666666' });
+                }
+                y += nameLines.length * 14;
+                noteLines.forEach(line => {
+                    y += 12;
+                    pdf.text(line, left + 18, y - 2, { size: 9, color: '#555555' });
+                });
+                y += 2;
+            });
+        });
+        
+        // Sign-off block
+        section = null;
+        ensureSpace(150);
+        heading('Sign-off');
+        ['Checked by', 'Signature', 'Date', 'Tour manager'].forEach(label => {
+            y += 30;
+            pdf.text(label, left, y, { size: 10 });
+            pdf.line(left + 90, y + 2, right, y + 2, { color: '#999999' });
+        });
+        
+        // Footers now that the page count is known
+        for (let index = 0; index < pdf.pageCount; index++) {
+            pdf.setPage(index);
+            pdf.text(data.artists && data.artists.length ? data.artists.join(', ') : 'Rider Checklist', left, pdf.height - pdf.margin + 10, { size: 8, color: '#999999' });
+            pdf.text(`Page ${index + 1} of ${pdf.pageCount}`, right, pdf.height - pdf.margin + 10, { size: 8, align: 'right', color: '#999999' });
+        }
+        
+        return pdf;
+    },
+
+    groupBy(items, keyFn) {
+        return items.reduce((groups, item) => {
+            const key = keyFn(item);
+            (groups[key] = groups[key] || []).push(item);
+            return groups;
+        }, {});
+    },
+
     /**
      * Download blob as file
      */
@@ -374,6 +797,44 @@ const DataExport = {
     }
 };
 
+// Hashing Utilities
+const HashUtils = {
+    /**
+     * Fast, deterministic 32-bit FNV-1a hash as a fixed-width base36 string
+     */
+    stableHash(str) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36).padStart(7, '0');
+    },
+
+    /**
+     * SHA-256 of an ArrayBuffer or string as hex
+     * Returns null where Web Crypto is unavailable (pages served over plain http).
+     */
+    async sha256(data) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+        
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Subresource Integrity value ('sha384-<base64>') of an ArrayBuffer, or null without Web Crypto
+     */
+    async integrity(data, algorithm = 'SHA-384') {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+        
+        const digest = new Uint8Array(await crypto.subtle.digest(algorithm, data));
+        const binary = Array.from(digest, byte => String.fromCharCode(byte)).join('');
+        return `${algorithm.replace('-', '').toLowerCase()}-${btoa(binary)}`;
+    }
+};
+
 // Date/Time Utilities
 const DateUtils = {
     /**
@@ -418,6 +879,17 @@ const DateUtils = {
         }
         
         return 'just now';
+    },
+
+    /**
+     * Short duration for a number of seconds, e.g. '45s' or '3 min'
+     */
+    duration(seconds) {
+        if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+        
+        const hours = Math.floor(seconds / 3600);
+        return `${hours}h ${Math.round((seconds % 3600) / 60)} min`;
     }
 };
 
@@ -527,6 +999,7 @@ if (typeof module !== 'undefined' && module.exports) {
         Storage,
         Toast,
         DataExport,
+        HashUtils,
         DateUtils,
         Performance,
         Validate
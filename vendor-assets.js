@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Vendor Library Assets
+ * Downloads PDF.js, Tesseract.js, the Tesseract WASM cores and traineddata
+ * for every language pack into vendor/, at the versions in CONFIG.assets,
+ * and writes vendor/manifest.json. Serve vendor/ next to index.html and the
+ * app loads everything from its own origin, so it works offline.
+ *
+ * Usage: node vendor-assets.js [--force]
+ */
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, LANGUAGE_PACKS } = require('./config.js');
+
+const VENDOR_DIR = path.join(__dirname, 'vendor');
+const JSDELIVR = 'https://cdn.jsdelivr.net/npm';
+const { versions, local } = CONFIG.assets;
+
+// Download a URL, following redirects
+function download(url, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        const req = https.get(url, { timeout: 30000 }, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(download(new URL(res.headers.location, url).href, redirects - 1));
+                return;
+            }
+            
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`${url}: HTTP ${res.statusCode}`));
+                return;
+            }
+            
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+        });
+        
+        req.on('error', (error) => reject(new Error(`${url}: ${error.message}`)));
+        req.on('timeout', () => {
+            req.destroy();
+            reject(new Error(`${url}: Timeout`));
+        });
+    });
+}
+
+// Files under a directory of an npm package, from the jsDelivr listing
+async function listPackageFiles(pkg, version, dir) {
+    const listing = JSON.parse(await download(`https://data.jsdelivr.com/v1/packages/npm/${pkg}@${version}?structure=flat`));
+    return listing.files
+        .map(file => file.name.replace(/^\//, ''))
+        .filter(name => name.startsWith(`${dir}/`));
+}
+
+// Every asset as { url, file }, file relative to the app root
+async function collectAssets() {
+    const pdfjs = `${JSDELIVR}/pdfjs-dist@${versions.pdfjs}`;
+    const tesseract = `${JSDELIVR}/tesseract.js@${versions.tesseract}/dist`;
+    const core = `${JSDELIVR}/tesseract.js-core@${versions.tesseractCore}`;
+
+    const assets = [
+        { url: `${pdfjs}/build/pdf.min.js`, file: local.pdfjs },
+        { url: `${pdfjs}/build/pdf.worker.min.js`, file: local.pdfWorker },
+        { url: `${tesseract}/tesseract.min.js`, file: local.tesseract },
+        { url: `${tesseract}/worker.min.js`, file: local.tesseractWorker }
+    ];
+
+    for (const [dir, target] of [['cmaps', local.cMaps], ['standard_fonts', local.standardFonts]]) {
+        const files = await listPackageFiles('pdfjs-dist', versions.pdfjs, dir);
+        files.forEach(name => assets.push({ url: `${pdfjs}/${name}`, file: target + name.slice(dir.length + 1) }));
+    }
+
+    // The worker picks a core by SIMD support and whether the legacy engine is needed (orientation detection)
+    ['tesseract-core', 'tesseract-core-simd', 'tesseract-core-lstm', 'tesseract-core-simd-lstm'].forEach(name => {
+        assets.push({ url: `${core}/${name}.wasm.js`, file: `${local.tesseractCore}/${name}.wasm.js` });
+    });
+
+    // LSTM traineddata for each language pack; orientation detection needs the legacy osd model
+    const languages = new Set([CONFIG.ocr.lang, ...Object.values(LANGUAGE_PACKS).map(pack => pack.tesseract)]);
+    languages.forEach(lang => assets.push({
+        url: `${JSDELIVR}/@tesseract.js-data/${lang}/4.0.0_best_int/${lang}.traineddata.gz`,
+        file: `${local.tessdata}/${lang}.traineddata.gz`
+    }));
+    assets.push({ url: `${JSDELIVR}/@tesseract.js-data/osd/4.0.0/osd.traineddata.gz`, file: `${local.tessdata}/osd.traineddata.gz` });
+
+    return assets;
+}
+
+async function main() {
+    const force = process.argv.includes('--force');
+    const manifestFile = path.join(__dirname, CONFIG.assets.manifest);
+
+    console.log(`📦 Vendoring PDF.js ${versions.pdfjs} and Tesseract.js ${versions.tesseract} into ${VENDOR_DIR}\n`);
+
+    try {
+        // An old manifest would mark a half-finished copy as usable
+        fs.rmSync(manifestFile, { force: true });
+        
+        const assets = await collectAssets();
+        let bytes = 0;
+        
+        for (const [index, asset] of assets.entries()) {
+            const target = path.join(__dirname, asset.file);
+            
+            if (!force && fs.existsSync(target)) {
+                bytes += fs.statSync(target).size;
+                continue;
+            }
+            
+            const data = await download(asset.url);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, data);
+            bytes += data.length;
+            console.log(`  [${index + 1}/${assets.length}] ${asset.file} (${Math.round(data.length / 1024)} KB)`);
+        }
+        
+        fs.writeFileSync(manifestFile, JSON.stringify({
+            versions,
+            createdAt: new Date().toISOString(),
+            files: assets.map(asset => asset.file)
+        }, null, 2));
+        
+        console.log(`\n✅ ${assets.length} files, ${(bytes / 1024 / 1024).toFixed(1)} MB - the app will now load its libraries from vendor/`);
+    } catch (error) {
+        console.error('❌ Error vendoring assets:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { collectAssets, download };